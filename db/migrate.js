@@ -0,0 +1,157 @@
+// db/migrate.js
+const fs = require('fs');
+const path = require('path');
+const { Pool } = require('pg');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+// Arbitrary key so that two runners never apply migrations at the same time
+const LOCK_KEY = 727001;
+
+// Migrations are files named NNN_description.js exporting async up(client) and down(client)
+const loadMigrations = (dir = MIGRATIONS_DIR) => {
+  return fs.readdirSync(dir)
+    .filter((file) => /^\d+_.+\.js$/.test(file))
+    .sort()
+    .map((file) => {
+      const { up, down } = require(path.join(dir, file));
+      const [version, ...rest] = path.basename(file, '.js').split('_');
+      return { version, name: rest.join('_'), up, down };
+    });
+};
+
+const ensureMigrationsTable = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version VARCHAR(50) PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      applied_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+};
+
+const getAppliedVersions = async (client) => {
+  const result = await client.query('SELECT version FROM schema_migrations ORDER BY version');
+  return result.rows.map((row) => row.version);
+};
+
+// Runs fn with a dedicated client holding the migration lock
+const withLock = async (pool, fn) => {
+  const client = await pool.connect();
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [LOCK_KEY]);
+    await ensureMigrationsTable(client);
+    return await fn(client);
+  } finally {
+    await client.query('SELECT pg_advisory_unlock($1)', [LOCK_KEY]).catch(() => {});
+    client.release();
+  }
+};
+
+// Each migration runs in its own transaction together with its bookkeeping row
+const runInTransaction = async (client, fn) => {
+  await client.query('BEGIN');
+  try {
+    await fn();
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  }
+};
+
+const migrate = async (pool, { migrations = loadMigrations(), log = () => {} } = {}) => {
+  return withLock(pool, async (client) => {
+    const applied = new Set(await getAppliedVersions(client));
+    const pending = migrations.filter((m) => !applied.has(m.version));
+
+    for (const migration of pending) {
+      log(`Applying ${migration.version}_${migration.name}`);
+      await runInTransaction(client, async () => {
+        await migration.up(client);
+        await client.query(
+          'INSERT INTO schema_migrations (version, name) VALUES ($1, $2)',
+          [migration.version, migration.name]
+        );
+      });
+    }
+    return pending.map((m) => m.version);
+  });
+};
+
+const rollback = async (pool, { steps = 1, migrations = loadMigrations(), log = () => {} } = {}) => {
+  return withLock(pool, async (client) => {
+    const applied = await getAppliedVersions(client);
+    const toRevert = applied.slice(-steps).reverse();
+
+    for (const version of toRevert) {
+      const migration = migrations.find((m) => m.version === version);
+      if (!migration) {
+        throw new Error(`Migration file for applied version ${version} not found`);
+      }
+      log(`Reverting ${migration.version}_${migration.name}`);
+      await runInTransaction(client, async () => {
+        await migration.down(client);
+        await client.query('DELETE FROM schema_migrations WHERE version = $1', [version]);
+      });
+    }
+    return toRevert;
+  });
+};
+
+const status = async (pool, { migrations = loadMigrations() } = {}) => {
+  return withLock(pool, async (client) => {
+    const result = await client.query('SELECT version, applied_at FROM schema_migrations');
+    const appliedAt = new Map(result.rows.map((row) => [row.version, row.applied_at]));
+    return migrations.map((m) => ({
+      version: m.version,
+      name: m.name,
+      applied: appliedAt.has(m.version),
+      appliedAt: appliedAt.get(m.version) || null,
+    }));
+  });
+};
+
+module.exports = { loadMigrations, migrate, rollback, status };
+
+// Command line usage: node db/migrate.js <migrate|rollback [steps]|status>
+if (require.main === module) {
+  require('dotenv').config();
+
+  const [command = 'migrate', arg] = process.argv.slice(2);
+  const pool = new Pool({ connectionString: process.env.POSTGRES_URL });
+  const log = (message) => console.log(message);
+
+  const run = async () => {
+    switch (command) {
+      case 'migrate': {
+        const applied = await migrate(pool, { log });
+        console.log(applied.length ? `Applied ${applied.length} migration(s)` : 'Database is up to date');
+        break;
+      }
+      case 'rollback': {
+        const steps = parseInt(arg) || 1;
+        const reverted = await rollback(pool, { steps, log });
+        console.log(reverted.length ? `Reverted ${reverted.length} migration(s)` : 'Nothing to roll back');
+        break;
+      }
+      case 'status': {
+        const rows = await status(pool);
+        for (const row of rows) {
+          const state = row.applied ? `applied ${row.appliedAt.toISOString()}` : 'pending';
+          console.log(`${row.version}_${row.name}  ${state}`);
+        }
+        break;
+      }
+      default:
+        throw new Error(`Unknown command "${command}". Use migrate, rollback [steps] or status.`);
+    }
+  };
+
+  run()
+    .catch((error) => {
+      console.error(error.message);
+      process.exitCode = 1;
+    })
+    .finally(() => pool.end());
+}
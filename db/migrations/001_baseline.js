@@ -0,0 +1,122 @@
+// Baseline schema: the tables and constraints the existing routes rely on.
+
+exports.up = async (client) => {
+  await client.query(`
+    CREATE TABLE customer (
+      id SERIAL PRIMARY KEY,
+      google_id VARCHAR(255) UNIQUE,
+      email_address VARCHAR(255) NOT NULL UNIQUE,
+      first_name VARCHAR(100),
+      last_name VARCHAR(100),
+      is_admin BOOLEAN NOT NULL DEFAULT FALSE,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE customer_login (
+      customer_id INTEGER PRIMARY KEY REFERENCES customer(id) ON DELETE CASCADE,
+      password_hash VARCHAR(255) NOT NULL
+    );
+
+    CREATE TABLE customer_address (
+      id SERIAL PRIMARY KEY,
+      customer_id INTEGER NOT NULL REFERENCES customer(id) ON DELETE CASCADE,
+      address_line1 VARCHAR(255) NOT NULL,
+      address_line2 VARCHAR(255),
+      city VARCHAR(100),
+      state VARCHAR(100),
+      postal_code VARCHAR(20),
+      country VARCHAR(100),
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE product_category (
+      id SERIAL PRIMARY KEY,
+      name VARCHAR(100) NOT NULL UNIQUE,
+      description TEXT
+    );
+
+    CREATE TABLE product (
+      id SERIAL PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      description TEXT,
+      price NUMERIC(10, 2) NOT NULL CHECK (price >= 0),
+      category_id INTEGER REFERENCES product_category(id) ON DELETE SET NULL,
+      stock_quantity INTEGER NOT NULL DEFAULT 0,
+      image_path VARCHAR(255),
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX product_category_id_idx ON product (category_id);
+
+    CREATE TABLE product_review (
+      id SERIAL PRIMARY KEY,
+      product_id INTEGER NOT NULL REFERENCES product(id) ON DELETE CASCADE,
+      customer_id INTEGER NOT NULL REFERENCES customer(id) ON DELETE CASCADE,
+      rating INTEGER NOT NULL,
+      comment TEXT,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX product_review_product_id_idx ON product_review (product_id);
+
+    CREATE TABLE wishlist (
+      customer_id INTEGER NOT NULL REFERENCES customer(id) ON DELETE CASCADE,
+      product_id INTEGER NOT NULL REFERENCES product(id) ON DELETE CASCADE,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (customer_id, product_id)
+    );
+
+    CREATE TABLE cart (
+      id SERIAL PRIMARY KEY,
+      customer_id INTEGER NOT NULL REFERENCES customer(id) ON DELETE CASCADE,
+      product_id INTEGER NOT NULL REFERENCES product(id) ON DELETE CASCADE,
+      quantity INTEGER NOT NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (customer_id, product_id)
+    );
+
+    CREATE TABLE customer_order (
+      id SERIAL PRIMARY KEY,
+      customer_id INTEGER NOT NULL REFERENCES customer(id),
+      status VARCHAR(50) NOT NULL DEFAULT 'Pending',
+      shipping_address TEXT,
+      payment_method VARCHAR(50),
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX customer_order_customer_id_idx ON customer_order (customer_id);
+
+    CREATE TABLE order_item (
+      id SERIAL PRIMARY KEY,
+      order_id INTEGER NOT NULL REFERENCES customer_order(id) ON DELETE CASCADE,
+      product_id INTEGER NOT NULL REFERENCES product(id),
+      quantity INTEGER NOT NULL
+    );
+
+    CREATE INDEX order_item_order_id_idx ON order_item (order_id);
+
+    CREATE TABLE coupon (
+      id SERIAL PRIMARY KEY,
+      code VARCHAR(50) NOT NULL UNIQUE,
+      discount_percent NUMERIC(5, 2) NOT NULL,
+      valid_from DATE NOT NULL,
+      valid_to DATE NOT NULL
+    );
+  `);
+};
+
+exports.down = async (client) => {
+  await client.query(`
+    DROP TABLE IF EXISTS coupon;
+    DROP TABLE IF EXISTS order_item;
+    DROP TABLE IF EXISTS customer_order;
+    DROP TABLE IF EXISTS cart;
+    DROP TABLE IF EXISTS wishlist;
+    DROP TABLE IF EXISTS product_review;
+    DROP TABLE IF EXISTS product;
+    DROP TABLE IF EXISTS product_category;
+    DROP TABLE IF EXISTS customer_address;
+    DROP TABLE IF EXISTS customer_login;
+    DROP TABLE IF EXISTS customer;
+  `);
+};
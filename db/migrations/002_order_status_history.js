@@ -0,0 +1,25 @@
+// Audit trail of every order status change.
+
+exports.up = async (client) => {
+  await client.query(`
+    CREATE TABLE order_status_history (
+      id SERIAL PRIMARY KEY,
+      order_id INTEGER NOT NULL REFERENCES customer_order(id) ON DELETE CASCADE,
+      from_status VARCHAR(50),
+      to_status VARCHAR(50) NOT NULL,
+      changed_by INTEGER REFERENCES customer(id) ON DELETE SET NULL,
+      note TEXT,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX order_status_history_order_id_idx ON order_status_history (order_id);
+
+    -- Seed the history with each existing order's current status
+    INSERT INTO order_status_history (order_id, from_status, to_status, created_at)
+    SELECT id, NULL, status, created_at FROM customer_order;
+  `);
+};
+
+exports.down = async (client) => {
+  await client.query('DROP TABLE IF EXISTS order_status_history');
+};
@@ -0,0 +1,26 @@
+// One row per payment attempt made through a payment provider.
+
+exports.up = async (client) => {
+  await client.query(`
+    CREATE TABLE payment (
+      id SERIAL PRIMARY KEY,
+      order_id INTEGER NOT NULL REFERENCES customer_order(id) ON DELETE CASCADE,
+      provider VARCHAR(50) NOT NULL,
+      provider_reference VARCHAR(255) NOT NULL,
+      amount NUMERIC(10, 2) NOT NULL,
+      currency VARCHAR(3) NOT NULL,
+      status VARCHAR(20) NOT NULL DEFAULT 'pending',
+      refund_reference VARCHAR(255),
+      failure_reason TEXT,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (provider, provider_reference)
+    );
+
+    CREATE INDEX payment_order_id_idx ON payment (order_id);
+  `);
+};
+
+exports.down = async (client) => {
+  await client.query('DROP TABLE IF EXISTS payment');
+};
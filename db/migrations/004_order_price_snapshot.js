@@ -0,0 +1,60 @@
+// Snapshot prices and totals on orders so they no longer depend on the live catalog.
+
+exports.up = async (client) => {
+  await client.query(`
+    ALTER TABLE order_item
+      ADD COLUMN product_name VARCHAR(255),
+      ADD COLUMN unit_price NUMERIC(10, 2),
+      ADD COLUMN line_subtotal NUMERIC(10, 2),
+      ADD COLUMN discount_amount NUMERIC(10, 2) NOT NULL DEFAULT 0,
+      ADD COLUMN tax_amount NUMERIC(10, 2) NOT NULL DEFAULT 0,
+      ADD COLUMN line_total NUMERIC(10, 2);
+
+    ALTER TABLE customer_order
+      ADD COLUMN subtotal NUMERIC(10, 2) NOT NULL DEFAULT 0,
+      ADD COLUMN discount_total NUMERIC(10, 2) NOT NULL DEFAULT 0,
+      ADD COLUMN tax_total NUMERIC(10, 2) NOT NULL DEFAULT 0,
+      ADD COLUMN grand_total NUMERIC(10, 2) NOT NULL DEFAULT 0;
+
+    -- Existing orders never stored a price; the current catalog price is the best we have
+    UPDATE order_item oi
+    SET product_name = p.name,
+        unit_price = p.price,
+        line_subtotal = p.price * oi.quantity,
+        line_total = p.price * oi.quantity
+    FROM product p
+    WHERE oi.product_id = p.id;
+
+    UPDATE customer_order co
+    SET subtotal = totals.subtotal,
+        grand_total = totals.subtotal
+    FROM (
+      SELECT order_id, SUM(line_subtotal) AS subtotal FROM order_item GROUP BY order_id
+    ) totals
+    WHERE co.id = totals.order_id;
+
+    ALTER TABLE order_item
+      ALTER COLUMN product_name SET NOT NULL,
+      ALTER COLUMN unit_price SET NOT NULL,
+      ALTER COLUMN line_subtotal SET NOT NULL,
+      ALTER COLUMN line_total SET NOT NULL;
+  `);
+};
+
+exports.down = async (client) => {
+  await client.query(`
+    ALTER TABLE customer_order
+      DROP COLUMN grand_total,
+      DROP COLUMN tax_total,
+      DROP COLUMN discount_total,
+      DROP COLUMN subtotal;
+
+    ALTER TABLE order_item
+      DROP COLUMN line_total,
+      DROP COLUMN tax_amount,
+      DROP COLUMN discount_amount,
+      DROP COLUMN line_subtotal,
+      DROP COLUMN unit_price,
+      DROP COLUMN product_name;
+  `);
+};
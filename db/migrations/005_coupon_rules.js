@@ -0,0 +1,72 @@
+// Coupon rules (fixed amounts, minimum order, limits, product/category scope) and a redemption ledger.
+
+exports.up = async (client) => {
+  await client.query(`
+    ALTER TABLE coupon
+      ADD COLUMN discount_type VARCHAR(10) NOT NULL DEFAULT 'percent' CHECK (discount_type IN ('percent', 'fixed')),
+      ADD COLUMN discount_amount NUMERIC(10, 2) CHECK (discount_amount > 0),
+      ADD COLUMN min_order_total NUMERIC(10, 2),
+      ADD COLUMN max_redemptions INTEGER CHECK (max_redemptions > 0),
+      ADD COLUMN max_redemptions_per_customer INTEGER CHECK (max_redemptions_per_customer > 0),
+      ADD COLUMN is_active BOOLEAN NOT NULL DEFAULT TRUE,
+      ALTER COLUMN discount_percent DROP NOT NULL;
+
+    ALTER TABLE coupon
+      ADD CONSTRAINT coupon_discount_value_check CHECK (
+        (discount_type = 'percent' AND discount_percent IS NOT NULL)
+        OR (discount_type = 'fixed' AND discount_amount IS NOT NULL)
+      );
+
+    CREATE TABLE coupon_product (
+      coupon_id INTEGER NOT NULL REFERENCES coupon(id) ON DELETE CASCADE,
+      product_id INTEGER NOT NULL REFERENCES product(id) ON DELETE CASCADE,
+      PRIMARY KEY (coupon_id, product_id)
+    );
+
+    CREATE TABLE coupon_category (
+      coupon_id INTEGER NOT NULL REFERENCES coupon(id) ON DELETE CASCADE,
+      category_id INTEGER NOT NULL REFERENCES product_category(id) ON DELETE CASCADE,
+      PRIMARY KEY (coupon_id, category_id)
+    );
+
+    ALTER TABLE customer_order
+      ADD COLUMN coupon_id INTEGER REFERENCES coupon(id) ON DELETE SET NULL,
+      ADD COLUMN coupon_code VARCHAR(50);
+
+    CREATE TABLE coupon_redemption (
+      id SERIAL PRIMARY KEY,
+      coupon_id INTEGER NOT NULL REFERENCES coupon(id) ON DELETE CASCADE,
+      customer_id INTEGER NOT NULL REFERENCES customer(id) ON DELETE CASCADE,
+      order_id INTEGER NOT NULL UNIQUE REFERENCES customer_order(id) ON DELETE CASCADE,
+      discount_amount NUMERIC(10, 2) NOT NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX coupon_redemption_coupon_customer_idx ON coupon_redemption (coupon_id, customer_id);
+  `);
+};
+
+exports.down = async (client) => {
+  await client.query(`
+    DROP TABLE IF EXISTS coupon_redemption;
+
+    ALTER TABLE customer_order
+      DROP COLUMN coupon_code,
+      DROP COLUMN coupon_id;
+
+    DROP TABLE IF EXISTS coupon_category;
+    DROP TABLE IF EXISTS coupon_product;
+
+    DELETE FROM coupon WHERE discount_type = 'fixed';
+
+    ALTER TABLE coupon
+      DROP CONSTRAINT coupon_discount_value_check,
+      ALTER COLUMN discount_percent SET NOT NULL,
+      DROP COLUMN is_active,
+      DROP COLUMN max_redemptions_per_customer,
+      DROP COLUMN max_redemptions,
+      DROP COLUMN min_order_total,
+      DROP COLUMN discount_amount,
+      DROP COLUMN discount_type;
+  `);
+};
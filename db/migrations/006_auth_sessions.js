@@ -0,0 +1,35 @@
+// Login sessions and their rotating refresh tokens (stored as SHA-256 hashes).
+
+exports.up = async (client) => {
+  await client.query(`
+    CREATE TABLE auth_session (
+      id UUID PRIMARY KEY,
+      customer_id INTEGER NOT NULL REFERENCES customer(id) ON DELETE CASCADE,
+      user_agent TEXT,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      last_used_at TIMESTAMP,
+      revoked_at TIMESTAMP
+    );
+
+    CREATE INDEX auth_session_customer_id_idx ON auth_session (customer_id);
+
+    CREATE TABLE refresh_token (
+      id SERIAL PRIMARY KEY,
+      session_id UUID NOT NULL REFERENCES auth_session(id) ON DELETE CASCADE,
+      token_hash CHAR(64) NOT NULL UNIQUE,
+      expires_at TIMESTAMP NOT NULL,
+      used_at TIMESTAMP,
+      replaced_by INTEGER REFERENCES refresh_token(id) ON DELETE SET NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX refresh_token_session_id_idx ON refresh_token (session_id);
+  `);
+};
+
+exports.down = async (client) => {
+  await client.query(`
+    DROP TABLE IF EXISTS refresh_token;
+    DROP TABLE IF EXISTS auth_session;
+  `);
+};
@@ -0,0 +1,29 @@
+// Email verification state and single-use tokens for password reset / email verification.
+
+exports.up = async (client) => {
+  await client.query(`
+    ALTER TABLE customer ADD COLUMN email_verified_at TIMESTAMP;
+
+    -- Accounts created before verification existed are treated as verified
+    UPDATE customer SET email_verified_at = created_at;
+
+    CREATE TABLE customer_token (
+      id SERIAL PRIMARY KEY,
+      customer_id INTEGER NOT NULL REFERENCES customer(id) ON DELETE CASCADE,
+      purpose VARCHAR(30) NOT NULL,
+      token_hash CHAR(64) NOT NULL UNIQUE,
+      expires_at TIMESTAMP NOT NULL,
+      used_at TIMESTAMP,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX customer_token_customer_purpose_idx ON customer_token (customer_id, purpose);
+  `);
+};
+
+exports.down = async (client) => {
+  await client.query(`
+    DROP TABLE IF EXISTS customer_token;
+    ALTER TABLE customer DROP COLUMN email_verified_at;
+  `);
+};
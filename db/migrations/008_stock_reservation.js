@@ -0,0 +1,21 @@
+// Stock is reserved (decremented) when an order is created; unpaid orders hold it until reserved_until.
+
+exports.up = async (client) => {
+  await client.query(`
+    -- NOT VALID keeps existing rows as they are but enforces the check on every new write
+    ALTER TABLE product ADD CONSTRAINT product_stock_quantity_nonnegative CHECK (stock_quantity >= 0) NOT VALID;
+
+    -- NULL for orders created before reservations expired
+    ALTER TABLE customer_order ADD COLUMN reserved_until TIMESTAMP;
+
+    CREATE INDEX customer_order_pending_reserved_until_idx ON customer_order (reserved_until) WHERE status = 'Pending';
+  `);
+};
+
+exports.down = async (client) => {
+  await client.query(`
+    DROP INDEX IF EXISTS customer_order_pending_reserved_until_idx;
+    ALTER TABLE customer_order DROP COLUMN reserved_until;
+    ALTER TABLE product DROP CONSTRAINT IF EXISTS product_stock_quantity_nonnegative;
+  `);
+};
@@ -0,0 +1,47 @@
+// Append-only ledger of every stock change. The sum of a product's movements equals its stock_quantity.
+
+exports.up = async (client) => {
+  await client.query(`
+    CREATE TABLE inventory_movement (
+      id SERIAL PRIMARY KEY,
+      product_id INTEGER NOT NULL REFERENCES product(id) ON DELETE CASCADE,
+      quantity INTEGER NOT NULL CHECK (quantity <> 0),
+      reason VARCHAR(20) NOT NULL CHECK (reason IN ('restock', 'sale', 'return', 'adjustment', 'damage')),
+      order_id INTEGER REFERENCES customer_order(id) ON DELETE SET NULL,
+      actor_id INTEGER REFERENCES customer(id) ON DELETE SET NULL,
+      note TEXT,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX inventory_movement_product_id_idx ON inventory_movement (product_id, created_at);
+    CREATE INDEX inventory_movement_order_id_idx ON inventory_movement (order_id);
+
+    -- Rows can only be added. Changes made by foreign key actions (a deleted product, order or
+    -- customer) run one trigger level deeper and are let through.
+    CREATE FUNCTION inventory_movement_append_only() RETURNS trigger AS $$
+    BEGIN
+      IF pg_trigger_depth() > 1 THEN
+        RETURN CASE WHEN TG_OP = 'DELETE' THEN OLD ELSE NEW END;
+      END IF;
+      RAISE EXCEPTION 'inventory_movement is append-only' USING ERRCODE = 'restrict_violation';
+    END;
+    $$ LANGUAGE plpgsql;
+
+    CREATE TRIGGER inventory_movement_append_only
+      BEFORE UPDATE OR DELETE ON inventory_movement
+      FOR EACH ROW EXECUTE FUNCTION inventory_movement_append_only();
+
+    -- Opening balance so the ledger matches the stock that existed before it
+    INSERT INTO inventory_movement (product_id, quantity, reason, note)
+    SELECT id, stock_quantity, 'adjustment', 'Opening balance'
+    FROM product
+    WHERE stock_quantity <> 0;
+  `);
+};
+
+exports.down = async (client) => {
+  await client.query(`
+    DROP TABLE IF EXISTS inventory_movement;
+    DROP FUNCTION IF EXISTS inventory_movement_append_only();
+  `);
+};
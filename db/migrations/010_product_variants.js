@@ -0,0 +1,77 @@
+// Product variants: per-product option types (size, colour, ...) and variant rows with their own
+// SKU, price override, stock and image. Cart lines, order items and ledger entries can point at a variant.
+
+exports.up = async (client) => {
+  await client.query(`
+    CREATE TABLE product_option (
+      id SERIAL PRIMARY KEY,
+      product_id INTEGER NOT NULL REFERENCES product(id) ON DELETE CASCADE,
+      name VARCHAR(50) NOT NULL,
+      position INTEGER NOT NULL,
+      UNIQUE (product_id, name)
+    );
+
+    CREATE TABLE product_variant (
+      id SERIAL PRIMARY KEY,
+      product_id INTEGER NOT NULL REFERENCES product(id) ON DELETE CASCADE,
+      sku VARCHAR(64) NOT NULL UNIQUE,
+      -- Option values in option order, e.g. "M / Red"
+      name VARCHAR(255) NOT NULL,
+      -- NULL uses the product's price
+      price NUMERIC(10, 2) CHECK (price >= 0),
+      stock_quantity INTEGER NOT NULL DEFAULT 0 CONSTRAINT product_variant_stock_quantity_nonnegative CHECK (stock_quantity >= 0),
+      image_path VARCHAR(255),
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX product_variant_product_id_idx ON product_variant (product_id);
+
+    CREATE TABLE product_variant_option (
+      variant_id INTEGER NOT NULL REFERENCES product_variant(id) ON DELETE CASCADE,
+      option_id INTEGER NOT NULL REFERENCES product_option(id) ON DELETE CASCADE,
+      value VARCHAR(100) NOT NULL,
+      PRIMARY KEY (variant_id, option_id)
+    );
+
+    -- The same product can now be in the cart once per variant
+    ALTER TABLE cart
+      ADD COLUMN variant_id INTEGER REFERENCES product_variant(id) ON DELETE CASCADE,
+      DROP CONSTRAINT cart_customer_id_product_id_key;
+    CREATE UNIQUE INDEX cart_customer_product_variant_key ON cart (customer_id, product_id, (COALESCE(variant_id, 0)));
+
+    -- Like product_id, an ordered variant cannot be deleted
+    ALTER TABLE order_item
+      ADD COLUMN variant_id INTEGER REFERENCES product_variant(id),
+      ADD COLUMN sku VARCHAR(64),
+      ADD COLUMN variant_name VARCHAR(255);
+
+    ALTER TABLE inventory_movement ADD COLUMN variant_id INTEGER REFERENCES product_variant(id) ON DELETE CASCADE;
+    CREATE INDEX inventory_movement_variant_id_idx ON inventory_movement (variant_id);
+  `);
+};
+
+exports.down = async (client) => {
+  await client.query(`
+    -- Variant movements would otherwise count towards their product's stock
+    ALTER TABLE inventory_movement DISABLE TRIGGER inventory_movement_append_only;
+    DELETE FROM inventory_movement WHERE variant_id IS NOT NULL;
+    ALTER TABLE inventory_movement ENABLE TRIGGER inventory_movement_append_only;
+    DROP INDEX IF EXISTS inventory_movement_variant_id_idx;
+    ALTER TABLE inventory_movement DROP COLUMN variant_id;
+
+    ALTER TABLE order_item
+      DROP COLUMN variant_name,
+      DROP COLUMN sku,
+      DROP COLUMN variant_id;
+
+    DROP INDEX IF EXISTS cart_customer_product_variant_key;
+    DELETE FROM cart WHERE variant_id IS NOT NULL;
+    ALTER TABLE cart
+      DROP COLUMN variant_id,
+      ADD CONSTRAINT cart_customer_id_product_id_key UNIQUE (customer_id, product_id);
+
+    DROP TABLE IF EXISTS product_variant_option;
+    DROP TABLE IF EXISTS product_variant;
+    DROP TABLE IF EXISTS product_option;
+  `);
+};
@@ -0,0 +1,15 @@
+// Indexes for the GET /products sorts: units sold per product (popularity) and newest first.
+
+exports.up = async (client) => {
+  await client.query(`
+    CREATE INDEX order_item_product_id_idx ON order_item (product_id);
+    CREATE INDEX product_created_at_idx ON product (created_at);
+  `);
+};
+
+exports.down = async (client) => {
+  await client.query(`
+    DROP INDEX IF EXISTS product_created_at_idx;
+    DROP INDEX IF EXISTS order_item_product_id_idx;
+  `);
+};
@@ -0,0 +1,69 @@
+// Full-text search over products: a weighted tsvector per product (name A, description B, category C)
+// kept up to date by triggers, and trigram indexes for typo-tolerant matching and autocomplete.
+// The vector lives in its own table so it never shows up in the product rows the API returns.
+
+exports.up = async (client) => {
+  await client.query(`
+    CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+    CREATE TABLE product_search (
+      product_id INTEGER PRIMARY KEY REFERENCES product(id) ON DELETE CASCADE,
+      document tsvector NOT NULL
+    );
+
+    CREATE INDEX product_search_document_idx ON product_search USING GIN (document);
+    CREATE INDEX product_name_trgm_idx ON product USING GIN (name gin_trgm_ops);
+    CREATE INDEX product_category_name_trgm_idx ON product_category USING GIN (name gin_trgm_ops);
+
+    CREATE FUNCTION refresh_product_search(ids INTEGER[]) RETURNS void AS $$
+      INSERT INTO product_search (product_id, document)
+      SELECT p.id,
+             setweight(to_tsvector('english', p.name), 'A')
+             || setweight(to_tsvector('english', COALESCE(p.description, '')), 'B')
+             || setweight(to_tsvector('english', COALESCE(pc.name, '')), 'C')
+      FROM product p
+      LEFT JOIN product_category pc ON p.category_id = pc.id
+      WHERE p.id = ANY(ids)
+      ON CONFLICT (product_id) DO UPDATE SET document = EXCLUDED.document;
+    $$ LANGUAGE sql;
+
+    CREATE FUNCTION product_search_refresh() RETURNS trigger AS $$
+    BEGIN
+      PERFORM refresh_product_search(ARRAY[NEW.id]);
+      RETURN NULL;
+    END;
+    $$ LANGUAGE plpgsql;
+
+    CREATE TRIGGER product_search_refresh
+      AFTER INSERT OR UPDATE OF name, description, category_id ON product
+      FOR EACH ROW EXECUTE FUNCTION product_search_refresh();
+
+    -- Renaming a category changes the documents of its products
+    CREATE FUNCTION product_category_search_refresh() RETURNS trigger AS $$
+    BEGIN
+      PERFORM refresh_product_search(ARRAY(SELECT id FROM product WHERE category_id = NEW.id));
+      RETURN NULL;
+    END;
+    $$ LANGUAGE plpgsql;
+
+    CREATE TRIGGER product_category_search_refresh
+      AFTER UPDATE OF name ON product_category
+      FOR EACH ROW EXECUTE FUNCTION product_category_search_refresh();
+
+    SELECT refresh_product_search(ARRAY(SELECT id FROM product));
+  `);
+};
+
+exports.down = async (client) => {
+  // pg_trgm stays installed since other objects may rely on it
+  await client.query(`
+    DROP TRIGGER IF EXISTS product_category_search_refresh ON product_category;
+    DROP FUNCTION IF EXISTS product_category_search_refresh();
+    DROP TRIGGER IF EXISTS product_search_refresh ON product;
+    DROP FUNCTION IF EXISTS product_search_refresh();
+    DROP FUNCTION IF EXISTS refresh_product_search(INTEGER[]);
+    DROP INDEX IF EXISTS product_category_name_trgm_idx;
+    DROP INDEX IF EXISTS product_name_trgm_idx;
+    DROP TABLE IF EXISTS product_search;
+  `);
+};
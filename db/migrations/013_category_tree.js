@@ -0,0 +1,45 @@
+// Categories become a tree: each has an optional parent, a unique URL slug and a position among its
+// siblings. Names only need to be unique among siblings. Existing categories stay at the top level
+// and get slugs made from their names.
+
+exports.up = async (client) => {
+  await client.query(`
+    ALTER TABLE product_category
+      ADD COLUMN parent_id INTEGER REFERENCES product_category(id),
+      ADD COLUMN slug VARCHAR(120),
+      ADD COLUMN sort_order INTEGER NOT NULL DEFAULT 0,
+      ADD CONSTRAINT product_category_parent_check CHECK (parent_id <> id);
+
+    UPDATE product_category pc
+    SET slug = CASE WHEN s.position = 1 THEN s.base ELSE s.base || '-' || pc.id END
+    FROM (
+      SELECT id, base, row_number() OVER (PARTITION BY base ORDER BY id) AS position
+      FROM (
+        SELECT id, COALESCE(NULLIF(trim(BOTH '-' FROM regexp_replace(lower(name), '[^a-z0-9]+', '-', 'g')), ''), 'category') AS base
+        FROM product_category
+      ) bases
+    ) s
+    WHERE s.id = pc.id;
+
+    ALTER TABLE product_category
+      ALTER COLUMN slug SET NOT NULL,
+      ADD CONSTRAINT product_category_slug_key UNIQUE (slug),
+      DROP CONSTRAINT product_category_name_key;
+
+    CREATE UNIQUE INDEX product_category_parent_name_key ON product_category ((COALESCE(parent_id, 0)), name);
+    CREATE INDEX product_category_parent_id_idx ON product_category (parent_id);
+  `);
+};
+
+exports.down = async (client) => {
+  // Fails if two categories in different branches share a name
+  await client.query(`
+    DROP INDEX IF EXISTS product_category_parent_id_idx;
+    DROP INDEX IF EXISTS product_category_parent_name_key;
+    ALTER TABLE product_category
+      ADD CONSTRAINT product_category_name_key UNIQUE (name),
+      DROP COLUMN sort_order,
+      DROP COLUMN slug,
+      DROP COLUMN parent_id;
+  `);
+};
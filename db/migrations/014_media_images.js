@@ -0,0 +1,32 @@
+// Processed product images: one row per distinct upload (by SHA-256 of its bytes), whose resized
+// renditions live under <uploadDir>/images/<hash>/. Products and variants point at them through
+// image_id; image_path only remains for originals uploaded before this migration.
+
+exports.up = async (client) => {
+  await client.query(`
+    CREATE TABLE media_image (
+      id SERIAL PRIMARY KEY,
+      content_hash CHAR(64) NOT NULL UNIQUE,
+      source_format VARCHAR(10) NOT NULL,
+      width INTEGER NOT NULL,
+      height INTEGER NOT NULL,
+      byte_size INTEGER NOT NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+    );
+
+    ALTER TABLE product ADD COLUMN image_id INTEGER REFERENCES media_image(id);
+    ALTER TABLE product_variant ADD COLUMN image_id INTEGER REFERENCES media_image(id);
+
+    CREATE INDEX product_image_id_idx ON product (image_id);
+    CREATE INDEX product_variant_image_id_idx ON product_variant (image_id);
+  `);
+};
+
+exports.down = async (client) => {
+  // The rendition files are left on disk
+  await client.query(`
+    ALTER TABLE product_variant DROP COLUMN IF EXISTS image_id;
+    ALTER TABLE product DROP COLUMN IF EXISTS image_id;
+    DROP TABLE IF EXISTS media_image;
+  `);
+};
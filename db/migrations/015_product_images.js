@@ -0,0 +1,43 @@
+// A gallery of images per product with an order, alt text and one primary image, replacing
+// product.image_id. Existing product images become the primary image of their gallery.
+
+exports.up = async (client) => {
+  await client.query(`
+    CREATE TABLE product_image (
+      id SERIAL PRIMARY KEY,
+      product_id INTEGER NOT NULL REFERENCES product(id) ON DELETE CASCADE,
+      image_id INTEGER NOT NULL REFERENCES media_image(id),
+      position INTEGER NOT NULL,
+      alt_text VARCHAR(255),
+      is_primary BOOLEAN NOT NULL DEFAULT false,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (product_id, image_id)
+    );
+
+    CREATE UNIQUE INDEX product_image_primary_key ON product_image (product_id) WHERE is_primary;
+    CREATE INDEX product_image_image_id_idx ON product_image (image_id);
+
+    INSERT INTO product_image (product_id, image_id, position, is_primary)
+    SELECT id, image_id, 0, true FROM product WHERE image_id IS NOT NULL;
+
+    ALTER TABLE product DROP COLUMN image_id;
+  `);
+};
+
+exports.down = async (client) => {
+  // Only the primary images are kept; the image sweep removes the files of the others
+  await client.query(`
+    ALTER TABLE product ADD COLUMN image_id INTEGER REFERENCES media_image(id);
+    CREATE INDEX product_image_id_idx ON product (image_id);
+
+    UPDATE product p SET image_id = pi.image_id
+    FROM product_image pi
+    WHERE pi.product_id = p.id AND pi.is_primary;
+
+    DROP TABLE IF EXISTS product_image;
+
+    DELETE FROM media_image i
+    WHERE NOT EXISTS (SELECT 1 FROM product WHERE image_id = i.id)
+      AND NOT EXISTS (SELECT 1 FROM product_variant WHERE image_id = i.id);
+  `);
+};
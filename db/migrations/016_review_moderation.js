@@ -0,0 +1,52 @@
+// Reviews are moderated before they are shown, each customer reviews a product at most once, and
+// customers can vote reviews helpful. Reviews written so far stay visible as approved. Where a
+// customer reviewed a product several times only their latest review is kept, and ratings outside
+// 1 to 5 are clamped.
+
+exports.up = async (client) => {
+  await client.query(`
+    DELETE FROM product_review pr
+    USING product_review newer
+    WHERE newer.product_id = pr.product_id AND newer.customer_id = pr.customer_id
+      AND (newer.created_at, newer.id) > (pr.created_at, pr.id);
+
+    UPDATE product_review SET rating = LEAST(GREATEST(rating, 1), 5) WHERE rating NOT BETWEEN 1 AND 5;
+
+    ALTER TABLE product_review
+      ADD COLUMN status VARCHAR(20) NOT NULL DEFAULT 'approved',
+      ADD COLUMN updated_at TIMESTAMP,
+      ADD COLUMN moderated_at TIMESTAMP,
+      ADD COLUMN moderated_by INTEGER REFERENCES customer(id) ON DELETE SET NULL,
+      ADD COLUMN moderation_note TEXT,
+      ADD CONSTRAINT product_review_status_check CHECK (status IN ('pending', 'approved', 'rejected', 'hidden')),
+      ADD CONSTRAINT product_review_rating_check CHECK (rating BETWEEN 1 AND 5),
+      ADD CONSTRAINT product_review_product_customer_key UNIQUE (product_id, customer_id);
+
+    ALTER TABLE product_review ALTER COLUMN status SET DEFAULT 'pending';
+
+    CREATE INDEX product_review_status_created_at_idx ON product_review (status, created_at);
+
+    CREATE TABLE review_vote (
+      review_id INTEGER NOT NULL REFERENCES product_review(id) ON DELETE CASCADE,
+      customer_id INTEGER NOT NULL REFERENCES customer(id) ON DELETE CASCADE,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (review_id, customer_id)
+    );
+  `);
+};
+
+exports.down = async (client) => {
+  // Removed duplicate reviews are not restored
+  await client.query(`
+    DROP TABLE IF EXISTS review_vote;
+    DROP INDEX IF EXISTS product_review_status_created_at_idx;
+    ALTER TABLE product_review
+      DROP CONSTRAINT product_review_product_customer_key,
+      DROP CONSTRAINT product_review_rating_check,
+      DROP COLUMN moderation_note,
+      DROP COLUMN moderated_by,
+      DROP COLUMN moderated_at,
+      DROP COLUMN updated_at,
+      DROP COLUMN status;
+  `);
+};
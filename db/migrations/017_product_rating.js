@@ -0,0 +1,74 @@
+// Each product keeps the average, count and 1-5 star histogram of its approved reviews, so lists
+// can show and sort by rating without aggregating reviews. Triggers on product_review keep them
+// up to date; npm run reviews:rebuild-ratings recomputes them all.
+
+exports.up = async (client) => {
+  await client.query(`
+    ALTER TABLE product
+      ADD COLUMN average_rating NUMERIC(3, 2),
+      ADD COLUMN review_count INTEGER NOT NULL DEFAULT 0,
+      ADD COLUMN rating_histogram JSONB NOT NULL DEFAULT '{"1": 0, "2": 0, "3": 0, "4": 0, "5": 0}';
+
+    CREATE FUNCTION refresh_product_rating(ids INTEGER[]) RETURNS void AS $$
+    BEGIN
+      -- Concurrent changes to one product's reviews wait here, and the update below then sees the
+      -- reviews committed in the meantime
+      PERFORM 1 FROM product WHERE id = ANY(ids) ORDER BY id FOR UPDATE;
+
+      UPDATE product p
+      SET average_rating = r.average_rating, review_count = r.review_count, rating_histogram = r.histogram
+      FROM (
+        SELECT pp.id,
+               ROUND(AVG(pr.rating), 2) AS average_rating,
+               COUNT(pr.id)::int AS review_count,
+               jsonb_build_object(
+                 '1', COUNT(pr.id) FILTER (WHERE pr.rating = 1),
+                 '2', COUNT(pr.id) FILTER (WHERE pr.rating = 2),
+                 '3', COUNT(pr.id) FILTER (WHERE pr.rating = 3),
+                 '4', COUNT(pr.id) FILTER (WHERE pr.rating = 4),
+                 '5', COUNT(pr.id) FILTER (WHERE pr.rating = 5)
+               ) AS histogram
+        FROM product pp
+        LEFT JOIN product_review pr ON pr.product_id = pp.id AND pr.status = 'approved'
+        WHERE pp.id = ANY(ids)
+        GROUP BY pp.id
+      ) r
+      WHERE p.id = r.id;
+    END;
+    $$ LANGUAGE plpgsql;
+
+    CREATE FUNCTION product_review_rating_refresh() RETURNS trigger AS $$
+    BEGIN
+      IF TG_OP = 'INSERT' THEN
+        PERFORM refresh_product_rating(ARRAY[NEW.product_id]);
+      ELSIF TG_OP = 'DELETE' THEN
+        PERFORM refresh_product_rating(ARRAY[OLD.product_id]);
+      ELSE
+        PERFORM refresh_product_rating(ARRAY[OLD.product_id, NEW.product_id]);
+      END IF;
+      RETURN NULL;
+    END;
+    $$ LANGUAGE plpgsql;
+
+    CREATE TRIGGER product_review_rating_refresh
+      AFTER INSERT OR DELETE OR UPDATE OF product_id, rating, status ON product_review
+      FOR EACH ROW EXECUTE FUNCTION product_review_rating_refresh();
+
+    CREATE INDEX product_average_rating_idx ON product (average_rating DESC NULLS LAST, review_count DESC);
+
+    SELECT refresh_product_rating(ARRAY(SELECT id FROM product));
+  `);
+};
+
+exports.down = async (client) => {
+  await client.query(`
+    DROP INDEX IF EXISTS product_average_rating_idx;
+    DROP TRIGGER IF EXISTS product_review_rating_refresh ON product_review;
+    DROP FUNCTION IF EXISTS product_review_rating_refresh();
+    DROP FUNCTION IF EXISTS refresh_product_rating(INTEGER[]);
+    ALTER TABLE product
+      DROP COLUMN rating_histogram,
+      DROP COLUMN review_count,
+      DROP COLUMN average_rating;
+  `);
+};
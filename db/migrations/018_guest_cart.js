@@ -0,0 +1,32 @@
+// Carts for shoppers who are not signed in. The API identifies a guest cart by a signed token, and
+// its lines move into the customer's cart when the guest signs in.
+
+exports.up = async (client) => {
+  await client.query(`
+    CREATE TABLE guest_cart (
+      id SERIAL PRIMARY KEY,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX guest_cart_updated_at_idx ON guest_cart (updated_at);
+
+    CREATE TABLE guest_cart_item (
+      id SERIAL PRIMARY KEY,
+      guest_cart_id INTEGER NOT NULL REFERENCES guest_cart(id) ON DELETE CASCADE,
+      product_id INTEGER NOT NULL REFERENCES product(id) ON DELETE CASCADE,
+      variant_id INTEGER REFERENCES product_variant(id) ON DELETE CASCADE,
+      quantity INTEGER NOT NULL CHECK (quantity > 0),
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE UNIQUE INDEX guest_cart_item_product_variant_key ON guest_cart_item (guest_cart_id, product_id, (COALESCE(variant_id, 0)));
+  `);
+};
+
+exports.down = async (client) => {
+  await client.query(`
+    DROP TABLE IF EXISTS guest_cart_item;
+    DROP TABLE IF EXISTS guest_cart;
+  `);
+};
@@ -0,0 +1,26 @@
+// Email addresses are matched case-insensitively, so two accounts may not differ only by case.
+// Existing duplicates keep their data but give up the address: the verified account (else the
+// oldest) keeps it and the others are renamed to duplicate-<id>.<address>.
+
+exports.up = async (client) => {
+  await client.query(`
+    UPDATE customer c
+    SET email_address = LEFT('duplicate-' || c.id || '.' || c.email_address, 255)
+    FROM (
+      SELECT id, ROW_NUMBER() OVER (
+        PARTITION BY LOWER(email_address)
+        ORDER BY email_verified_at IS NULL, id
+      ) AS position
+      FROM customer
+    ) ranked
+    WHERE ranked.id = c.id AND ranked.position > 1;
+
+    CREATE UNIQUE INDEX customer_email_address_lower_key ON customer (LOWER(email_address));
+  `);
+};
+
+exports.down = async (client) => {
+  await client.query(`
+    DROP INDEX IF EXISTS customer_email_address_lower_key;
+  `);
+};
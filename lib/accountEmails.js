@@ -0,0 +1,27 @@
+// lib/accountEmails.js
+const { getMailer } = require('./mailer');
+
+// Links point at the storefront when FRONTEND_URL is set, otherwise at this server
+const baseUrl = () => process.env.FRONTEND_URL || process.env.PUBLIC_SERVER_URL || 'http://localhost:3000';
+
+const sendVerificationEmail = async (email, token) => {
+  const link = `${process.env.PUBLIC_SERVER_URL || 'http://localhost:3000'}/auth/verify-email?token=${token}`;
+  await getMailer().send({
+    to: email,
+    subject: 'Verify your email address',
+    text: `Welcome! Please confirm your email address by opening this link:\n\n${link}\n\nThe link is valid for 24 hours.`,
+    html: `<p>Welcome! Please confirm your email address by opening this link:</p><p><a href="${link}">${link}</a></p><p>The link is valid for 24 hours.</p>`,
+  });
+};
+
+const sendPasswordResetEmail = async (email, token) => {
+  const link = `${baseUrl()}/reset-password?token=${token}`;
+  await getMailer().send({
+    to: email,
+    subject: 'Reset your password',
+    text: `Someone asked to reset the password for this account. If it was you, open this link:\n\n${link}\n\nThe link is valid for 1 hour. If you did not ask for this, you can ignore this email.`,
+    html: `<p>Someone asked to reset the password for this account. If it was you, open this link:</p><p><a href="${link}">${link}</a></p><p>The link is valid for 1 hour. If you did not ask for this, you can ignore this email.</p>`,
+  });
+};
+
+module.exports = { sendVerificationEmail, sendPasswordResetEmail };
@@ -0,0 +1,46 @@
+// lib/accountTokens.js
+// Single-use, expiring tokens sent by email (password reset, email verification), or kept in a
+// cookie while Google is being connected.
+const crypto = require('crypto');
+const { hashToken } = require('./sessions');
+
+const TOKEN_PURPOSE = {
+  PASSWORD_RESET: 'password_reset',
+  EMAIL_VERIFICATION: 'email_verification',
+  GOOGLE_LINK: 'google_link',
+};
+
+const TOKEN_TTL_MINUTES = {
+  [TOKEN_PURPOSE.PASSWORD_RESET]: 60,
+  [TOKEN_PURPOSE.EMAIL_VERIFICATION]: 24 * 60,
+  [TOKEN_PURPOSE.GOOGLE_LINK]: 10,
+};
+
+// Issuing a new token invalidates any earlier unused one for the same purpose
+const createAccountToken = async (db, customerId, purpose) => {
+  const token = crypto.randomBytes(32).toString('base64url');
+  await db.query(
+    'UPDATE customer_token SET used_at = CURRENT_TIMESTAMP WHERE customer_id = $1 AND purpose = $2 AND used_at IS NULL',
+    [customerId, purpose]
+  );
+  await db.query(
+    `INSERT INTO customer_token (customer_id, purpose, token_hash, expires_at)
+     VALUES ($1, $2, $3, CURRENT_TIMESTAMP + $4 * INTERVAL '1 minute')`,
+    [customerId, purpose, hashToken(token), TOKEN_TTL_MINUTES[purpose]]
+  );
+  return token;
+};
+
+// Marks the token used and returns its customer id, or null if it is unknown, used or expired
+const consumeAccountToken = async (client, token, purpose) => {
+  if (!token) return null;
+  const result = await client.query(
+    `UPDATE customer_token SET used_at = CURRENT_TIMESTAMP
+     WHERE token_hash = $1 AND purpose = $2 AND used_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+     RETURNING customer_id`,
+    [hashToken(token), purpose]
+  );
+  return result.rows.length ? result.rows[0].customer_id : null;
+};
+
+module.exports = { TOKEN_PURPOSE, createAccountToken, consumeAccountToken };
@@ -0,0 +1,103 @@
+// lib/authMiddleware.js
+const jwt = require('jsonwebtoken');
+const { ACCESS_TOKEN_AUDIENCE, getSessionUser } = require('./sessions');
+const { UnauthorizedError, ForbiddenError } = require('./errors');
+
+const REALM = 'api';
+
+// When set, the access token is also accepted from (and set in) an HttpOnly cookie of this name
+const getCookieName = () => process.env.AUTH_COOKIE_NAME || null;
+
+const readCookie = (req, name) => {
+  const header = req.headers.cookie;
+  if (!header) return null;
+  for (const part of header.split(';')) {
+    const [key, ...value] = part.trim().split('=');
+    if (key !== name) continue;
+    // A malformed escape is treated like a missing cookie
+    try {
+      return decodeURIComponent(value.join('='));
+    } catch (error) {
+      return null;
+    }
+  }
+  return null;
+};
+
+// Authorization: Bearer <token> first, then the auth cookie if enabled
+const extractToken = (req) => {
+  const header = req.headers.authorization;
+  if (header) {
+    const [scheme, token] = header.split(' ');
+    return scheme && scheme.toLowerCase() === 'bearer' && token ? token : null;
+  }
+  const cookieName = getCookieName();
+  return cookieName ? readCookie(req, cookieName) : null;
+};
+
+// RFC 6750 style 401: the error attributes are left out when no token was sent at all
+const unauthorized = (message, error = null) => {
+  let challenge = `Bearer realm="${REALM}"`;
+  if (error) {
+    challenge += `, error="${error}", error_description="${message}"`;
+  }
+  return new UnauthorizedError(message, { code: error || 'unauthorized', headers: { 'WWW-Authenticate': challenge } });
+};
+
+const setAuthCookie = (res, token) => {
+  const cookieName = getCookieName();
+  if (!cookieName) return;
+  res.cookie(cookieName, token, {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'lax',
+  });
+};
+
+const clearAuthCookie = (res) => {
+  const cookieName = getCookieName();
+  if (cookieName) res.clearCookie(cookieName);
+};
+
+const createAuthMiddleware = (pool) => {
+  // Middleware to verify the access token and load the user behind it into req.user
+  const verifyToken = async (req, res, next) => {
+    const token = extractToken(req);
+    if (!token && req.headers.authorization) {
+      return next(unauthorized('Authorization header must use the Bearer scheme.', 'invalid_request'));
+    }
+    if (!token) return next(unauthorized('No token provided.'));
+
+    let decoded;
+    try {
+      decoded = jwt.verify(token, process.env.AUTH_SECRET, { audience: ACCESS_TOKEN_AUDIENCE });
+    } catch (err) {
+      const message = err instanceof jwt.TokenExpiredError ? 'Token has expired.' : 'Invalid token.';
+      return next(unauthorized(message, 'invalid_token'));
+    }
+
+    try {
+      // No user means the session was revoked or the account no longer exists
+      const user = await getSessionUser(pool, decoded.sid, decoded.id);
+      if (!user) return next(unauthorized('Session is no longer valid.', 'invalid_token'));
+
+      req.user = user;
+      req.userId = user.id;
+      req.sessionId = decoded.sid;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // Middleware to check if user is admin; must run after verifyToken
+  const isAdmin = (req, res, next) => {
+    if (!req.user) return next(unauthorized('No token provided.'));
+    if (!req.user.is_admin) return next(new ForbiddenError('Requires admin privileges', { code: 'admin_required' }));
+    next();
+  };
+
+  return { verifyToken, isAdmin };
+};
+
+module.exports = { createAuthMiddleware, extractToken, readCookie, setAuthCookie, clearAuthCookie };
@@ -0,0 +1,153 @@
+// lib/catalog.js
+// The storefront product listing behind GET /products and the product page: filters, sorting, pagination and the facet
+// counts for the filter sidebar. A product's price for filtering and sorting is the lowest it sells
+// for (its cheapest variant when it has variants), and it is in stock when it or any variant is.
+// A category filter or facet count covers the category's subcategories too.
+const { ORDER_STATUS } = require('./orderStatus');
+const { CATEGORY_CLOSURE_CTE } = require('./categories');
+
+// Lower bounds of the price facet buckets; the last one has no upper bound
+const PRICE_BUCKETS = [0, 25, 50, 100, 250, 500];
+
+// Every sort ends on the product id so pages never overlap
+const SORTS = {
+  newest: 'created_at DESC, id DESC',
+  price_asc: 'price_from ASC, id',
+  price_desc: 'price_from DESC, id',
+  popularity: 'units_sold DESC, id',
+  rating: 'average_rating DESC NULLS LAST, review_count DESC, id',
+};
+
+// One row per product with the values the filters, sorts and facets use.
+// $1 is the list of order statuses that do not count as sales. The rating columns come from the
+// product itself, which keeps the aggregates of its approved reviews.
+const CATALOG_SQL = `
+  SELECT p.*, pc.name AS category_name, pc.slug AS category_slug,
+         COALESCE(variants.price_from, p.price) AS price_from,
+         COALESCE(variants.stock_quantity, p.stock_quantity) > 0 AS in_stock,
+         COALESCE(sales.units_sold, 0) AS units_sold
+  FROM product p
+  LEFT JOIN product_category pc ON p.category_id = pc.id
+  LEFT JOIN LATERAL (
+    SELECT MIN(COALESCE(v.price, p.price)) AS price_from, SUM(v.stock_quantity) AS stock_quantity
+    FROM product_variant v WHERE v.product_id = p.id
+  ) variants ON true
+  LEFT JOIN LATERAL (
+    SELECT SUM(oi.quantity)::int AS units_sold
+    FROM order_item oi JOIN customer_order co ON oi.order_id = co.id
+    WHERE oi.product_id = p.id AND co.status <> ALL($1)
+  ) sales ON true`;
+
+// The catalog rows, and the category_closure the category filter and facet use
+const WITH_CATALOG = `WITH RECURSIVE ${CATEGORY_CLOSURE_CTE}, catalog AS (${CATALOG_SQL})`;
+
+// Turns the filters into conditions on the catalog rows. A facet leaves out its own filter so the
+// sidebar keeps offering the other choices for it. Returns { params, add, where(extra) }, where
+// add(value) appends a parameter and returns its placeholder.
+const buildFilters = (filters, { except = null } = {}) => {
+  const params = [[ORDER_STATUS.CANCELLED, ORDER_STATUS.REFUNDED]];
+  const add = (value) => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+
+  const conditions = [];
+  // Each value is a slug, or when no category has that slug a category name, as links made before
+  // categories had slugs use names
+  if (filters.categories && except !== 'category') {
+    const categories = add(filters.categories);
+    conditions.push(`category_id IN (
+      SELECT cc.category_id FROM category_closure cc JOIN product_category pc ON cc.ancestor_id = pc.id
+      WHERE pc.slug = ANY(${categories})
+         OR (pc.name = ANY(${categories}) AND NOT EXISTS (SELECT 1 FROM product_category other WHERE other.slug = pc.name)))`);
+  }
+  if (filters.minPrice !== undefined && except !== 'price') {
+    conditions.push(`price_from >= ${add(filters.minPrice)}`);
+  }
+  if (filters.maxPrice !== undefined && except !== 'price') {
+    conditions.push(`price_from <= ${add(filters.maxPrice)}`);
+  }
+  if (filters.inStock) {
+    conditions.push('in_stock');
+  }
+  if (filters.minRating !== undefined) {
+    conditions.push(`average_rating >= ${add(filters.minRating)}`);
+  }
+
+  const where = (...extra) => {
+    const all = [...conditions, ...extra];
+    return all.length > 0 ? `WHERE ${all.join(' AND ')}` : '';
+  };
+  return { params, add, where };
+};
+
+// Counts per category including its subcategories' products; only categories with products are listed
+const getCategoryFacet = async (db, filters) => {
+  const { params, where } = buildFilters(filters, { except: 'category' });
+  const result = await db.query(
+    `${WITH_CATALOG}
+     SELECT pc.id, pc.name, pc.slug, pc.parent_id, COUNT(*)::int AS count
+     FROM (SELECT category_id FROM catalog ${where('category_id IS NOT NULL')}) filtered
+     JOIN category_closure cc ON cc.category_id = filtered.category_id
+     JOIN product_category pc ON cc.ancestor_id = pc.id
+     GROUP BY pc.id
+     ORDER BY pc.name, pc.id`,
+    params
+  );
+  return result.rows;
+};
+
+// Counts per PRICE_BUCKETS range, including empty ones: [{ min, max, count }], max null for the last
+const getPriceFacet = async (db, filters) => {
+  const { params, add, where } = buildFilters(filters, { except: 'price' });
+  const result = await db.query(
+    `${WITH_CATALOG}
+     SELECT width_bucket(price_from, ${add(PRICE_BUCKETS)}::numeric[]) AS bucket, COUNT(*)::int AS count
+     FROM catalog ${where()}
+     GROUP BY bucket`,
+    params
+  );
+  const counts = new Map(result.rows.map((row) => [row.bucket, row.count]));
+  return PRICE_BUCKETS.map((min, i) => ({
+    min,
+    max: i + 1 < PRICE_BUCKETS.length ? PRICE_BUCKETS[i + 1] : null,
+    count: counts.get(i + 1) || 0,
+  }));
+};
+
+// filters: { categories, minPrice, maxPrice, inStock, minRating }; sort is a key of SORTS.
+// Returns { products, total, facets: { categories, priceRanges } }.
+const listProducts = async (db, filters, { sort = 'newest', limit, offset }) => {
+  const page = buildFilters(filters);
+  const count = buildFilters(filters);
+
+  const [products, total, categories, priceRanges] = await Promise.all([
+    db.query(
+      `${WITH_CATALOG}
+       SELECT * FROM catalog ${page.where()}
+       ORDER BY ${SORTS[sort]}
+       LIMIT ${page.add(limit)} OFFSET ${page.add(offset)}`,
+      page.params
+    ),
+    db.query(`${WITH_CATALOG} SELECT COUNT(*)::int AS total FROM catalog ${count.where()}`, count.params),
+    getCategoryFacet(db, filters),
+    getPriceFacet(db, filters),
+  ]);
+
+  return {
+    products: products.rows,
+    total: total.rows[0].total,
+    facets: { categories, priceRanges },
+  };
+};
+
+// One catalog row, or null when the product does not exist
+const getProduct = async (db, id) => {
+  const result = await db.query(
+    `${WITH_CATALOG} SELECT * FROM catalog WHERE id = $2`,
+    [[ORDER_STATUS.CANCELLED, ORDER_STATUS.REFUNDED], id]
+  );
+  return result.rows[0] || null;
+};
+
+module.exports = { PRICE_BUCKETS, SORTS, listProducts, getProduct };
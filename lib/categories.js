@@ -0,0 +1,197 @@
+// lib/categories.js
+// Product categories form a tree of any depth through parent_id. Each category has a unique URL
+// slug and a sort_order among its siblings; names only need to be unique among siblings.
+// Filtering by a category includes the products of all its descendants.
+const { ConflictError, ValidationError } = require('./errors');
+
+// Every (ancestor_id, category_id) pair, a category being its own ancestor too. Used after
+// WITH RECURSIVE.
+const CATEGORY_CLOSURE_CTE = `
+  category_closure (ancestor_id, category_id) AS (
+    SELECT id, id FROM product_category
+    UNION ALL
+    SELECT cc.ancestor_id, c.id
+    FROM category_closure cc JOIN product_category c ON c.parent_id = cc.category_id
+  )`;
+
+const CATEGORY_COLUMNS = 'id, name, slug, description, parent_id, sort_order';
+
+// "Chairs & Stools" -> "chairs-stools"
+const slugify = (name) => name
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '')
+  .slice(0, 100)
+  .replace(/-+$/, '') || 'category';
+
+// The slug made from a name, with -2, -3… appended when another category already has it
+const uniqueSlug = async (db, name) => {
+  const base = slugify(name);
+  const result = await db.query(
+    "SELECT slug FROM product_category WHERE slug = $1 OR slug LIKE $1 || '-%'",
+    [base]
+  );
+  const taken = new Set(result.rows.map((row) => row.slug));
+  let slug = base;
+  for (let n = 2; taken.has(slug); n += 1) {
+    slug = `${base}-${n}`;
+  }
+  return slug;
+};
+
+// All categories nested under their parents as children, siblings in sort_order then name order
+const getCategoryTree = async (db) => {
+  const result = await db.query(`SELECT ${CATEGORY_COLUMNS} FROM product_category ORDER BY sort_order, name, id`);
+  const nodes = new Map(result.rows.map((row) => [row.id, { ...row, children: [] }]));
+  const roots = [];
+  for (const node of nodes.values()) {
+    if (node.parent_id) {
+      nodes.get(node.parent_id).children.push(node);
+    } else {
+      roots.push(node);
+    }
+  }
+  return roots;
+};
+
+// The tree as a flat list in display order, each category with its depth (0 at the top level)
+const listCategories = async (db) => {
+  const list = [];
+  const visit = (nodes, depth) => {
+    for (const { children, ...category } of nodes) {
+      list.push({ ...category, depth });
+      visit(children, depth + 1);
+    }
+  };
+  visit(await getCategoryTree(db), 0);
+  return list;
+};
+
+// Adds `breadcrumbs` to each product row: its category and the category's ancestors, top level first
+const attachBreadcrumbs = async (db, products) => {
+  const ids = [...new Set(products.map((product) => product.category_id).filter(Boolean))];
+  const result = await db.query(
+    `WITH RECURSIVE chain AS (
+       SELECT id AS start_id, id, name, slug, parent_id, 0 AS depth FROM product_category WHERE id = ANY($1)
+       UNION ALL
+       SELECT chain.start_id, c.id, c.name, c.slug, c.parent_id, chain.depth + 1
+       FROM chain JOIN product_category c ON c.id = chain.parent_id
+     )
+     SELECT start_id, id, name, slug FROM chain ORDER BY start_id, depth DESC`,
+    [ids]
+  );
+  return products.map((product) => ({
+    ...product,
+    breadcrumbs: result.rows
+      .filter((row) => row.start_id === product.category_id)
+      .map(({ start_id, ...crumb }) => crumb),
+  }));
+};
+
+const createCategory = async (db, { name, description = null, slug = null, parentId = null, sortOrder = 0 }) => {
+  const result = await db.query(
+    `INSERT INTO product_category (name, description, slug, parent_id, sort_order)
+     VALUES ($1, $2, $3, $4, $5)
+     RETURNING ${CATEGORY_COLUMNS}`,
+    [name, description, slug || await uniqueSlug(db, name), parentId, sortOrder]
+  );
+  return result.rows[0];
+};
+
+// Renames, moves and reorders a category inside the caller's transaction. The slug is kept unless
+// a new one is given so existing links keep working. Returns null when the category does not exist.
+const updateCategory = async (client, id, { name, description = null, slug = null, parentId = null, sortOrder = 0 }) => {
+  const current = await client.query('SELECT parent_id FROM product_category WHERE id = $1 FOR UPDATE', [id]);
+  if (current.rows.length === 0) {
+    return null;
+  }
+
+  if (parentId && parentId !== current.rows[0].parent_id) {
+    // Moves are serialised so two concurrent moves cannot make a cycle between them
+    await client.query('LOCK TABLE product_category IN SHARE ROW EXCLUSIVE MODE');
+    const cycle = await client.query(
+      `WITH RECURSIVE ${CATEGORY_CLOSURE_CTE}
+       SELECT 1 FROM category_closure WHERE ancestor_id = $1 AND category_id = $2`,
+      [id, parentId]
+    );
+    if (cycle.rows.length > 0) {
+      throw new ValidationError([{ in: 'body', field: 'parent_id', message: 'cannot be the category itself or one of its subcategories' }]);
+    }
+  }
+
+  const result = await client.query(
+    `UPDATE product_category
+     SET name = $1, description = $2, slug = COALESCE($3, slug), parent_id = $4, sort_order = $5
+     WHERE id = $6
+     RETURNING ${CATEGORY_COLUMNS}`,
+    [name, description, slug, parentId, sortOrder, id]
+  );
+  return result.rows[0];
+};
+
+// Deletes a category inside the caller's transaction. Its subcategories move up to its parent.
+// Its products move to reassignTo, or to the parent when that is not given; a top-level category
+// with products needs reassignTo. Coupons restricted to the category are deactivated rather than
+// moved, since any other scope would widen them. Returns
+// { category, movedProducts, movedSubcategories, deactivatedCoupons }, or null when the category
+// does not exist.
+const deleteCategory = async (client, id, { reassignTo = null } = {}) => {
+  const current = await client.query(`SELECT ${CATEGORY_COLUMNS} FROM product_category WHERE id = $1 FOR UPDATE`, [id]);
+  if (current.rows.length === 0) {
+    return null;
+  }
+  const category = current.rows[0];
+
+  if (reassignTo) {
+    const target = await client.query('SELECT id FROM product_category WHERE id = $1 AND id <> $2', [reassignTo, id]);
+    if (target.rows.length === 0) {
+      throw new ValidationError([{ in: 'query', field: 'reassignTo', message: 'must be another existing category' }]);
+    }
+  }
+  const targetId = reassignTo || category.parent_id;
+
+  // Without somewhere to move them, products would lose their category
+  const usage = await client.query('SELECT COUNT(*)::int AS products FROM product WHERE category_id = $1', [id]);
+  const { products } = usage.rows[0];
+  if (products > 0 && !targetId) {
+    throw new ConflictError('The category still has products; choose a category to move them to with reassignTo', {
+      code: 'category_not_empty',
+      details: { productCount: products },
+    });
+  }
+
+  const moved = await client.query('UPDATE product SET category_id = $1 WHERE category_id = $2', [targetId, id]);
+  // Deleting the category drops it from their restrictions, which could leave them applying to
+  // everything; moving the restriction would let them discount the target's other products
+  const coupons = await client.query(
+    `UPDATE coupon SET is_active = FALSE
+     WHERE is_active AND id IN (SELECT coupon_id FROM coupon_category WHERE category_id = $1)
+     RETURNING code`,
+    [id]
+  );
+  const subcategories = await client.query(
+    'UPDATE product_category SET parent_id = $1 WHERE parent_id = $2',
+    [category.parent_id, id]
+  );
+  await client.query('DELETE FROM product_category WHERE id = $1', [id]);
+
+  return {
+    category,
+    movedProducts: moved.rowCount,
+    movedSubcategories: subcategories.rowCount,
+    deactivatedCoupons: coupons.rows.map((coupon) => coupon.code).sort(),
+  };
+};
+
+module.exports = {
+  CATEGORY_CLOSURE_CTE,
+  slugify,
+  getCategoryTree,
+  listCategories,
+  attachBreadcrumbs,
+  createCategory,
+  updateCategory,
+  deleteCategory,
+};
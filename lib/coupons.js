@@ -0,0 +1,173 @@
+// lib/coupons.js
+const { toCents, fromCents, allocateDiscount } = require('./orderTotals');
+const { AppError } = require('./errors');
+const { CATEGORY_CLOSURE_CTE } = require('./categories');
+const { RESTOCK_STATUSES } = require('./inventory');
+
+const DISCOUNT_TYPE = {
+  PERCENT: 'percent',
+  FIXED: 'fixed',
+};
+
+class CouponError extends AppError {
+  constructor(message, status = 422, code = 'coupon_not_applicable') {
+    super(message, { status, code });
+  }
+}
+
+// Redemptions on cancelled and refunded orders give the use back
+const countRedemptions = async (db, couponId, customerId = null) => {
+  const params = [couponId, RESTOCK_STATUSES];
+  let query = `SELECT COUNT(*) FROM coupon_redemption cr
+               JOIN customer_order co ON cr.order_id = co.id
+               WHERE cr.coupon_id = $1 AND co.status <> ALL($2)`;
+  if (customerId !== null) {
+    query += ' AND cr.customer_id = $3';
+    params.push(customerId);
+  }
+  const result = await db.query(query, params);
+  return parseInt(result.rows[0].count);
+};
+
+// A category restriction covers the category's subcategories too, so categoryIds includes them
+const getRestrictions = async (db, couponId) => {
+  const [products, categories] = await Promise.all([
+    db.query('SELECT product_id FROM coupon_product WHERE coupon_id = $1', [couponId]),
+    db.query(
+      `WITH RECURSIVE ${CATEGORY_CLOSURE_CTE}
+       SELECT DISTINCT cc.category_id
+       FROM coupon_category cpc JOIN category_closure cc ON cc.ancestor_id = cpc.category_id
+       WHERE cpc.coupon_id = $1`,
+      [couponId]
+    ),
+  ]);
+  return {
+    productIds: products.rows.map((row) => row.product_id),
+    categoryIds: categories.rows.map((row) => row.category_id),
+  };
+};
+
+// Checks a coupon code against a customer's items ({ product_id, category_id, unit_price, quantity }).
+// Returns { coupon, discountTotal, items } where items carry their share of the discount.
+// Pass lock: true inside the order transaction so concurrent checkouts cannot exceed the limits.
+const evaluateCoupon = async (db, code, { customerId, items, lock = false }) => {
+  const couponResult = await db.query(
+    `SELECT * FROM coupon
+     WHERE code = $1 AND is_active AND valid_from <= CURRENT_DATE AND valid_to >= CURRENT_DATE${lock ? ' FOR UPDATE' : ''}`,
+    [code]
+  );
+  if (couponResult.rows.length === 0) {
+    throw new CouponError('Invalid or expired coupon', 404, 'coupon_not_found');
+  }
+  const coupon = couponResult.rows[0];
+
+  if (items.length === 0) {
+    throw new CouponError('Cart is empty', 422, 'cart_empty');
+  }
+
+  const subtotal = items.reduce((sum, item) => sum + toCents(item.unit_price) * item.quantity, 0);
+  if (coupon.min_order_total !== null && subtotal < toCents(coupon.min_order_total)) {
+    throw new CouponError(`Coupon requires a minimum order of ${coupon.min_order_total}`, 422, 'coupon_minimum_not_met');
+  }
+
+  // Without product or category restrictions the coupon applies to the whole cart
+  const { productIds, categoryIds } = await getRestrictions(db, coupon.id);
+  const restricted = productIds.length > 0 || categoryIds.length > 0;
+  const isEligible = (item) => !restricted
+    || productIds.includes(item.product_id)
+    || categoryIds.includes(item.category_id);
+  const eligible = items.filter(isEligible);
+  if (eligible.length === 0) {
+    throw new CouponError('Coupon does not apply to any item in the cart');
+  }
+
+  if (coupon.max_redemptions !== null && await countRedemptions(db, coupon.id) >= coupon.max_redemptions) {
+    throw new CouponError('Coupon has reached its redemption limit', 409, 'coupon_limit_reached');
+  }
+  if (coupon.max_redemptions_per_customer !== null
+    && await countRedemptions(db, coupon.id, customerId) >= coupon.max_redemptions_per_customer) {
+    throw new CouponError('You have already used this coupon', 409, 'coupon_already_used');
+  }
+
+  const eligibleSubtotal = eligible.reduce((sum, item) => sum + toCents(item.unit_price) * item.quantity, 0);
+  const discountCents = coupon.discount_type === DISCOUNT_TYPE.FIXED
+    ? Math.min(toCents(coupon.discount_amount), eligibleSubtotal)
+    : Math.round((eligibleSubtotal * Number(coupon.discount_percent)) / 100);
+
+  const discounted = allocateDiscount(eligible, fromCents(discountCents));
+  const discountedItems = items.map((item) => {
+    const index = eligible.indexOf(item);
+    return index === -1 ? { ...item, discount_amount: '0.00' } : discounted[index];
+  });
+
+  return { coupon, discountTotal: fromCents(discountCents), items: discountedItems };
+};
+
+const redeemCoupon = async (client, { couponId, customerId, orderId, discountAmount }) => {
+  await client.query(
+    'INSERT INTO coupon_redemption (coupon_id, customer_id, order_id, discount_amount) VALUES ($1, $2, $3, $4)',
+    [couponId, customerId, orderId, discountAmount]
+  );
+};
+
+// Creates a coupon with its optional product/category restrictions inside the caller's transaction
+const createCoupon = async (client, fields) => {
+  const {
+    code,
+    discount_type = DISCOUNT_TYPE.PERCENT,
+    discount_percent = null,
+    discount_amount = null,
+    valid_from,
+    valid_to,
+    min_order_total = null,
+    max_redemptions = null,
+    max_redemptions_per_customer = null,
+    product_ids = [],
+    category_ids = [],
+  } = fields;
+
+  if (!Object.values(DISCOUNT_TYPE).includes(discount_type)) {
+    throw new CouponError(`discount_type must be one of: ${Object.values(DISCOUNT_TYPE).join(', ')}`, 400, 'invalid_coupon');
+  }
+  if (discount_type === DISCOUNT_TYPE.PERCENT && !(discount_percent > 0 && discount_percent <= 100)) {
+    throw new CouponError('discount_percent must be between 0 and 100', 400, 'invalid_coupon');
+  }
+  if (discount_type === DISCOUNT_TYPE.FIXED && !(discount_amount > 0)) {
+    throw new CouponError('discount_amount must be greater than 0', 400, 'invalid_coupon');
+  }
+
+  const result = await client.query(
+    `INSERT INTO coupon (code, discount_type, discount_percent, discount_amount, valid_from, valid_to,
+                         min_order_total, max_redemptions, max_redemptions_per_customer)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9) RETURNING *`,
+    [
+      code,
+      discount_type,
+      discount_type === DISCOUNT_TYPE.PERCENT ? discount_percent : null,
+      discount_type === DISCOUNT_TYPE.FIXED ? discount_amount : null,
+      valid_from,
+      valid_to,
+      min_order_total,
+      max_redemptions,
+      max_redemptions_per_customer,
+    ]
+  );
+  const coupon = result.rows[0];
+
+  for (const productId of product_ids) {
+    await client.query('INSERT INTO coupon_product (coupon_id, product_id) VALUES ($1, $2)', [coupon.id, productId]);
+  }
+  for (const categoryId of category_ids) {
+    await client.query('INSERT INTO coupon_category (coupon_id, category_id) VALUES ($1, $2)', [coupon.id, categoryId]);
+  }
+
+  return { ...coupon, product_ids, category_ids };
+};
+
+module.exports = {
+  DISCOUNT_TYPE,
+  CouponError,
+  evaluateCoupon,
+  redeemCoupon,
+  createCoupon,
+};
@@ -0,0 +1,83 @@
+// lib/errorHandler.js
+// Request ids and the single error handler that turns every error into an
+// application/problem+json response (RFC 7807) with a stable code.
+const crypto = require('crypto');
+const http = require('http');
+const { AppError, NotFoundError } = require('./errors');
+
+// Postgres error codes that describe a client mistake rather than a crash.
+// The raw database message is never sent back since it names tables, constraints and SQL.
+const PG_ERRORS = {
+  '23505': { status: 409, code: 'already_exists', message: 'A resource with these values already exists' },
+  '23503': { status: 409, code: 'reference_conflict', message: 'The request refers to a resource that does not exist or is still in use' },
+  '23502': { status: 422, code: 'missing_value', message: 'A required value is missing' },
+  '23514': { status: 422, code: 'constraint_violation', message: 'A value is outside the allowed range' },
+  '22P02': { status: 400, code: 'invalid_value', message: 'A value has the wrong format' },
+  '22003': { status: 422, code: 'value_out_of_range', message: 'A numeric value is out of range' },
+  '22001': { status: 422, code: 'value_too_long', message: 'A value is too long' },
+  '40001': { status: 503, code: 'retry_later', message: 'The request conflicted with another one, please retry' },
+  '40P01': { status: 503, code: 'retry_later', message: 'The request conflicted with another one, please retry' },
+};
+
+// Uses the caller's X-Request-Id when present so ids can be followed across services
+const requestId = (req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && /^[\w.-]{1,128}$/.test(incoming) ? incoming : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+  next();
+};
+
+// Catch-all for requests that matched no route
+const notFoundHandler = (req, res, next) => {
+  next(new NotFoundError(`Cannot ${req.method} ${req.path}`, { code: 'route_not_found' }));
+};
+
+// Reduces any thrown value to { status, code, message, details, headers }
+const describeError = (error) => {
+  if (error instanceof AppError) {
+    return error;
+  }
+  if (error && PG_ERRORS[error.code]) {
+    const { status, code, message } = PG_ERRORS[error.code];
+    return { status, code, message };
+  }
+  // body-parser failures (malformed JSON, body too large) carry a 4xx status of their own
+  if (error && error.type === 'entity.parse.failed') {
+    return { status: 400, code: 'invalid_json', message: 'Request body is not valid JSON' };
+  }
+  // multer failures: a file over the size limit, too many files or an unexpected field
+  if (error && error.name === 'MulterError') {
+    return error.code === 'LIMIT_FILE_SIZE'
+      ? { status: 413, code: 'file_too_large', message: 'The uploaded file is too large' }
+      : { status: 400, code: 'invalid_upload', message: error.message };
+  }
+  if (error && error.expose && error.status >= 400 && error.status < 500) {
+    return { status: error.status, code: error.type || 'bad_request', message: error.message };
+  }
+  return { status: 500, code: 'internal_error', message: 'An unexpected error occurred' };
+};
+
+const errorHandler = (error, req, res, next) => {
+  if (res.headersSent) {
+    return next(error);
+  }
+
+  const { status, code, message, details, headers } = describeError(error);
+  if (status >= 500) {
+    console.error(`[${req.id}] ${req.method} ${req.originalUrl}`, error);
+  }
+
+  if (headers) res.set(headers);
+  res.status(status).type('application/problem+json').json({
+    type: 'about:blank',
+    title: http.STATUS_CODES[status],
+    status,
+    detail: message,
+    code,
+    requestId: req.id,
+    instance: req.originalUrl,
+    ...details,
+  });
+};
+
+module.exports = { PG_ERRORS, requestId, notFoundHandler, errorHandler };
@@ -0,0 +1,64 @@
+// lib/errors.js
+// Application errors carry the HTTP status, a stable machine-readable code and optional extra
+// members for the problem+json body. Anything else that reaches the error handler is a 500.
+
+class AppError extends Error {
+  constructor(message, { status = 500, code = 'internal_error', details = null, headers = null } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+    // Extra members merged into the problem body, e.g. { allowedStatuses: [...] }
+    this.details = details;
+    // Extra response headers, e.g. WWW-Authenticate on a 401
+    this.headers = headers;
+  }
+}
+
+class BadRequestError extends AppError {
+  constructor(message, { code = 'bad_request', ...options } = {}) {
+    super(message, { status: 400, code, ...options });
+  }
+}
+
+class UnauthorizedError extends AppError {
+  constructor(message, { code = 'unauthorized', ...options } = {}) {
+    super(message, { status: 401, code, ...options });
+  }
+}
+
+class ForbiddenError extends AppError {
+  constructor(message, { code = 'forbidden', ...options } = {}) {
+    super(message, { status: 403, code, ...options });
+  }
+}
+
+class NotFoundError extends AppError {
+  constructor(message, { code = 'not_found', ...options } = {}) {
+    super(message, { status: 404, code, ...options });
+  }
+}
+
+class ConflictError extends AppError {
+  constructor(message, { code = 'conflict', ...options } = {}) {
+    super(message, { status: 409, code, ...options });
+  }
+}
+
+// errors is a list of { in, field, message }, one per invalid field
+class ValidationError extends AppError {
+  constructor(errors, { message = 'Validation failed', code = 'validation_failed', ...options } = {}) {
+    super(message, { status: 422, code, details: { errors }, ...options });
+    this.errors = errors;
+  }
+}
+
+module.exports = {
+  AppError,
+  BadRequestError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  ValidationError,
+};
@@ -0,0 +1,143 @@
+// lib/guestCarts.js
+// Carts for shoppers who are not signed in. A guest cart is identified by a cart token, a JWT
+// naming the cart that is sent in the X-Cart-Token header or the cart cookie; the cookie lets the
+// cart survive the redirect back from Google sign-in. Carts untouched for GUEST_CART_TTL_DAYS are
+// deleted. When the guest signs in, their lines are merged into the customer's cart following
+// GUEST_CART_MERGE and the guest cart is deleted.
+const jwt = require('jsonwebtoken');
+const { readCookie } = require('./authMiddleware');
+
+const CART_TOKEN_HEADER = 'x-cart-token';
+
+// The aud claim of cart tokens, so no other token signed with AUTH_SECRET passes as one
+const CART_TOKEN_AUDIENCE = 'guest-cart';
+
+// How a guest line is merged into a customer cart line for the same product and variant
+const MERGE_STRATEGY = {
+  SUM: 'sum', // add the quantities
+  MAX: 'max', // keep the larger quantity
+  GUEST: 'guest', // take the guest cart's quantity
+  CUSTOMER: 'customer', // keep the customer's line as it is
+};
+
+const MERGE_CONFLICT_SQL = {
+  [MERGE_STRATEGY.SUM]: 'DO UPDATE SET quantity = cart.quantity + EXCLUDED.quantity',
+  [MERGE_STRATEGY.MAX]: 'DO UPDATE SET quantity = GREATEST(cart.quantity, EXCLUDED.quantity)',
+  [MERGE_STRATEGY.GUEST]: 'DO UPDATE SET quantity = EXCLUDED.quantity',
+  [MERGE_STRATEGY.CUSTOMER]: 'DO NOTHING',
+};
+
+const getCartTtlDays = () => parseInt(process.env.GUEST_CART_TTL_DAYS) || 30;
+
+const getCartCookieName = () => process.env.GUEST_CART_COOKIE_NAME || 'cart_token';
+
+// Unknown values fall back to sum so a typo never drops items
+const getMergeStrategy = () => {
+  const strategy = process.env.GUEST_CART_MERGE;
+  return Object.values(MERGE_STRATEGY).includes(strategy) ? strategy : MERGE_STRATEGY.SUM;
+};
+
+// The token does not expire by itself; the cart does once it has not been used for a while
+const createCartToken = (cartId) => {
+  return jwt.sign({ guestCart: cartId }, process.env.AUTH_SECRET, { audience: CART_TOKEN_AUDIENCE });
+};
+
+// Returns the cart id from a cart token, or null when it is invalid
+const readCartToken = (token) => {
+  try {
+    return jwt.verify(token, process.env.AUTH_SECRET, { audience: CART_TOKEN_AUDIENCE }).guestCart || null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// The X-Cart-Token header first, then the cart cookie
+const extractCartToken = (req) => req.headers[CART_TOKEN_HEADER] || readCookie(req, getCartCookieName());
+
+const setCartCookie = (res, token) => {
+  res.cookie(getCartCookieName(), token, {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'lax',
+    maxAge: getCartTtlDays() * 24 * 60 * 60 * 1000,
+  });
+};
+
+const clearCartCookie = (res) => {
+  res.clearCookie(getCartCookieName());
+};
+
+// The id of the guest cart the request's token names, or null when there is no valid token or
+// the cart has expired
+const findGuestCart = async (db, req) => {
+  const token = extractCartToken(req);
+  const cartId = token ? readCartToken(token) : null;
+  if (!cartId) {
+    return null;
+  }
+  const result = await db.query('SELECT id FROM guest_cart WHERE id = $1', [cartId]);
+  return result.rows.length > 0 ? cartId : null;
+};
+
+// Returns { cartId, token } for a new empty cart
+const createGuestCart = async (db) => {
+  const result = await db.query('INSERT INTO guest_cart DEFAULT VALUES RETURNING id');
+  const cartId = result.rows[0].id;
+  return { cartId, token: createCartToken(cartId) };
+};
+
+// Keeps a cart in use from expiring
+const touchGuestCart = async (db, cartId) => {
+  await db.query('UPDATE guest_cart SET updated_at = CURRENT_TIMESTAMP WHERE id = $1', [cartId]);
+};
+
+// Moves the guest cart's lines into the customer's cart inside the caller's transaction and
+// deletes the guest cart. Returns the number of customer cart lines added or changed.
+const mergeGuestCart = async (client, cartId, customerId, strategy = getMergeStrategy()) => {
+  // A second sign-in with the same token waits here and then finds the cart gone
+  const cart = await client.query('SELECT id FROM guest_cart WHERE id = $1 FOR UPDATE', [cartId]);
+  if (cart.rows.length === 0) {
+    return 0;
+  }
+  const merged = await client.query(
+    `INSERT INTO cart (customer_id, product_id, variant_id, quantity)
+     SELECT $1, product_id, variant_id, quantity FROM guest_cart_item WHERE guest_cart_id = $2
+     ON CONFLICT (customer_id, product_id, (COALESCE(variant_id, 0))) ${MERGE_CONFLICT_SQL[strategy]}`,
+    [customerId, cartId]
+  );
+  await client.query('DELETE FROM guest_cart WHERE id = $1', [cartId]);
+  return merged.rowCount;
+};
+
+// Deletes guest carts that have not been used for GUEST_CART_TTL_DAYS; returns how many
+const deleteExpiredGuestCarts = async (db) => {
+  const result = await db.query(
+    "DELETE FROM guest_cart WHERE updated_at < CURRENT_TIMESTAMP - $1 * INTERVAL '1 day'",
+    [getCartTtlDays()]
+  );
+  return result.rowCount;
+};
+
+// Runs deleteExpiredGuestCarts every intervalMs; the timer does not keep the process alive
+const startGuestCartSweeper = (pool, { intervalMs = 60 * 60 * 1000 } = {}) => {
+  const timer = setInterval(() => {
+    deleteExpiredGuestCarts(pool).catch((error) => {
+      console.error('Failed to delete expired guest carts:', error);
+    });
+  }, intervalMs);
+  timer.unref();
+  return () => clearInterval(timer);
+};
+
+module.exports = {
+  MERGE_STRATEGY,
+  getMergeStrategy,
+  findGuestCart,
+  createGuestCart,
+  touchGuestCart,
+  setCartCookie,
+  clearCartCookie,
+  mergeGuestCart,
+  deleteExpiredGuestCarts,
+  startGuestCartSweeper,
+};
@@ -0,0 +1,169 @@
+// lib/identities.js
+// A customer can sign in with a password (customer_login row), with Google (customer.google_id), or both.
+const bcrypt = require('bcrypt');
+const jwt = require('jsonwebtoken');
+const { AppError } = require('./errors');
+const { revokeAllSessions, getSessionUser } = require('./sessions');
+const { TOKEN_PURPOSE, createAccountToken, consumeAccountToken } = require('./accountTokens');
+const { readCookie } = require('./authMiddleware');
+
+class IdentityError extends AppError {
+  constructor(message, status = 409, code = 'identity_conflict') {
+    super(message, { status, code });
+  }
+}
+
+// Holds the single-use nonce of a "connect Google" flow, so only the browser that started it can
+// finish it. Lax, since Google sends the customer back with a top-level GET.
+const LINK_COOKIE_NAME = 'google_link';
+
+// The aud claim of link states, so no other token signed with AUTH_SECRET passes as one
+const LINK_STATE_AUDIENCE = 'google-link';
+
+// Starts "connect Google" for a signed-in customer: sets the nonce cookie and returns the OAuth
+// state, which tells the shared callback which customer and session started it
+const startGoogleLink = async (db, res, customerId, sessionId) => {
+  const nonce = await createAccountToken(db, customerId, TOKEN_PURPOSE.GOOGLE_LINK);
+  res.cookie(LINK_COOKIE_NAME, nonce, {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'lax',
+    maxAge: 10 * 60 * 1000,
+  });
+  return jwt.sign({ link: customerId, sid: sessionId }, process.env.AUTH_SECRET, { expiresIn: '10m', audience: LINK_STATE_AUDIENCE });
+};
+
+// Returns { customerId, sessionId } from a link state, or null when it is invalid or expired
+const readLinkState = (state) => {
+  try {
+    const { link, sid } = jwt.verify(state, process.env.AUTH_SECRET, { audience: LINK_STATE_AUDIENCE });
+    return link ? { customerId: link, sessionId: sid } : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Ends a "connect Google" flow inside the caller's transaction: the request must carry the nonce
+// cookie set for the customer the state names, which is used up, and the session that started the
+// flow must still be signed in. Returns the customer id.
+const finishGoogleLink = async (client, req, res, { customerId, sessionId }) => {
+  const nonce = readCookie(req, LINK_COOKIE_NAME);
+  res.clearCookie(LINK_COOKIE_NAME);
+  if (!nonce || await consumeAccountToken(client, nonce, TOKEN_PURPOSE.GOOGLE_LINK) !== customerId) {
+    throw new IdentityError('This Google connection was not started from this browser, or has already been used.', 400, 'invalid_state');
+  }
+  if (!(await getSessionUser(client, sessionId, customerId))) {
+    throw new IdentityError('Sign in again to connect Google.', 401, 'invalid_session');
+  }
+  return customerId;
+};
+
+const hasPassword = async (db, customerId) => {
+  const result = await db.query('SELECT 1 FROM customer_login WHERE customer_id = $1', [customerId]);
+  return result.rows.length > 0;
+};
+
+// Signs in with Google: matches on google_id, then on a Google-verified email, otherwise creates the customer.
+// Linking by email to an account whose address was never verified removes its password and sessions.
+const findOrCreateGoogleCustomer = async (client, { googleId, email, emailVerified, name = '' }) => {
+  let result = await client.query('SELECT * FROM customer WHERE google_id = $1', [googleId]);
+  if (result.rows.length > 0) {
+    return result.rows[0];
+  }
+
+  result = await client.query('SELECT * FROM customer WHERE LOWER(email_address) = LOWER($1) FOR UPDATE', [email]);
+  if (result.rows.length > 0) {
+    const existing = result.rows[0];
+    // Without Google vouching for the address anyone could take over the account by using that email
+    if (!emailVerified) {
+      throw new IdentityError('An account with this email already exists. Sign in with your password and connect Google from your profile.');
+    }
+    if (existing.google_id) {
+      throw new IdentityError('This email is already connected to a different Google account.');
+    }
+    // Nobody has proven they own an unverified account, so its password and sessions may belong
+    // to someone who registered the address first; Google's owner of the address takes it over
+    if (!existing.email_verified_at) {
+      await client.query('DELETE FROM customer_login WHERE customer_id = $1', [existing.id]);
+      await revokeAllSessions(client, existing.id);
+    }
+    result = await client.query(
+      'UPDATE customer SET google_id = $1, email_verified_at = COALESCE(email_verified_at, CURRENT_TIMESTAMP) WHERE id = $2 RETURNING *',
+      [googleId, existing.id]
+    );
+    return result.rows[0];
+  }
+
+  const [firstName, ...rest] = (name || '').split(' ');
+  result = await client.query(
+    'INSERT INTO customer (google_id, email_address, first_name, last_name, email_verified_at) VALUES ($1, $2, $3, $4, $5) RETURNING *',
+    [googleId, email, firstName, rest.join(' '), emailVerified ? new Date() : null]
+  );
+  return result.rows[0];
+};
+
+// Connects a Google account to a signed-in customer
+const linkGoogle = async (client, customerId, { googleId, email, emailVerified }) => {
+  const owner = await client.query('SELECT id FROM customer WHERE google_id = $1', [googleId]);
+  if (owner.rows.length > 0 && owner.rows[0].id !== customerId) {
+    throw new IdentityError('This Google account is already connected to another customer.');
+  }
+
+  const result = await client.query('SELECT * FROM customer WHERE id = $1 FOR UPDATE', [customerId]);
+  const customer = result.rows[0];
+  if (!customer) {
+    throw new IdentityError('Customer not found', 404, 'customer_not_found');
+  }
+  if (customer.google_id && customer.google_id !== googleId) {
+    throw new IdentityError('A different Google account is already connected. Disconnect it first.');
+  }
+
+  const verifiesEmail = emailVerified && email && email.toLowerCase() === customer.email_address.toLowerCase();
+  const updated = await client.query(
+    `UPDATE customer SET google_id = $1,
+       email_verified_at = CASE WHEN $2 THEN COALESCE(email_verified_at, CURRENT_TIMESTAMP) ELSE email_verified_at END
+     WHERE id = $3 RETURNING *`,
+    [googleId, Boolean(verifiesEmail), customerId]
+  );
+  return updated.rows[0];
+};
+
+const unlinkGoogle = async (client, customerId) => {
+  // Removing the only way to sign in would lock the customer out
+  if (!(await hasPassword(client, customerId))) {
+    throw new IdentityError('Set a password before disconnecting Google.', 409, 'password_required');
+  }
+  await client.query('UPDATE customer SET google_id = NULL WHERE id = $1', [customerId]);
+};
+
+// Sets a first password for Google-only customers, or changes it when currentPassword matches
+const setPassword = async (client, customerId, { currentPassword, newPassword }) => {
+  if (!newPassword) {
+    throw new IdentityError('New password is required', 400, 'password_required');
+  }
+
+  const result = await client.query('SELECT password_hash FROM customer_login WHERE customer_id = $1 FOR UPDATE', [customerId]);
+  if (result.rows.length > 0) {
+    if (!currentPassword || !(await bcrypt.compare(currentPassword, result.rows[0].password_hash))) {
+      throw new IdentityError('Current password is incorrect', 403, 'invalid_password');
+    }
+  }
+
+  const hashedPassword = await bcrypt.hash(newPassword, 10);
+  await client.query(
+    'INSERT INTO customer_login (customer_id, password_hash) VALUES ($1, $2) ON CONFLICT (customer_id) DO UPDATE SET password_hash = EXCLUDED.password_hash',
+    [customerId, hashedPassword]
+  );
+};
+
+module.exports = {
+  IdentityError,
+  startGoogleLink,
+  readLinkState,
+  finishGoogleLink,
+  hasPassword,
+  findOrCreateGoogleCustomer,
+  linkGoogle,
+  unlinkGoogle,
+  setPassword,
+};
@@ -0,0 +1,228 @@
+// lib/images.js
+// Product image processing. Uploads are checked by their magic bytes, then re-encoded with sharp
+// into a fixed set of sizes, each in WebP and JPEG. Re-encoding applies the EXIF orientation and
+// drops EXIF and all other metadata. An image is stored once per content hash (SHA-256 of the
+// uploaded bytes) under the storage keys images/<hash>/<size>.<format>, so the same picture
+// uploaded for several products shares one set of files.
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { ValidationError } = require('./errors');
+
+// Longest side in pixels of each size; smaller images are not enlarged
+const IMAGE_SIZES = {
+  thumbnail: 160,
+  card: 480,
+  zoom: 1600,
+};
+
+const IMAGE_FORMATS = ['webp', 'jpeg'];
+
+const MAX_IMAGE_BYTES = parseInt(process.env.MAX_IMAGE_BYTES) || 10 * 1024 * 1024;
+
+// Where the app serves stored files, see serveStorage
+const UPLOADS_URL = '/uploads';
+
+// Files without a media_image row are only swept once they are this old, since an upload stores
+// its files before it inserts the row
+const ORPHAN_GRACE_MS = 60 * 60 * 1000;
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// Recognises the accepted formats from their first bytes rather than the file name or MIME type
+const detectImageFormat = (buffer) => {
+  if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'jpeg';
+  if (buffer.subarray(0, 8).equals(PNG_SIGNATURE)) return 'png';
+  if (['GIF87a', 'GIF89a'].includes(buffer.toString('latin1', 0, 6))) return 'gif';
+  if (buffer.toString('latin1', 0, 4) === 'RIFF' && buffer.toString('latin1', 8, 12) === 'WEBP') return 'webp';
+  return null;
+};
+
+const invalidImage = (message) => new ValidationError([{ in: 'body', field: 'image', message }]);
+
+const imageKey = (hash, size, format) => `images/${hash}/${size}.${format}`;
+
+// Every size in every format: [{ size, format, key }]
+const renditions = (hash) => Object.keys(IMAGE_SIZES).flatMap((size) => IMAGE_FORMATS.map((format) => ({
+  size,
+  format,
+  key: imageKey(hash, size, format),
+})));
+
+// { thumbnail: { webp, jpeg }, card: {…}, zoom: {…} }
+const imageUrls = (hash) => Object.fromEntries(Object.keys(IMAGE_SIZES).map((size) => [
+  size,
+  Object.fromEntries(IMAGE_FORMATS.map((format) => [format, `${UPLOADS_URL}/${imageKey(hash, size, format)}`])),
+]));
+
+const render = (buffer, size, format) => {
+  const pipeline = sharp(buffer)
+    .rotate()
+    .resize(IMAGE_SIZES[size], IMAGE_SIZES[size], { fit: 'inside', withoutEnlargement: true });
+  if (format === 'webp') {
+    return pipeline.webp({ quality: 80 }).toBuffer();
+  }
+  // JPEG has no transparency
+  return pipeline.flatten({ background: '#ffffff' }).jpeg({ quality: 82, mozjpeg: true }).toBuffer();
+};
+
+// Runs fn(client) holding a lock on one content hash, so that storing, releasing and sweeping the
+// files of the same image never interleave
+const withImageLock = async (pool, hash, fn) => {
+  const client = await pool.connect();
+  try {
+    await client.query('SELECT pg_advisory_lock(hashtext($1))', [`media_image:${hash}`]);
+    try {
+      return await fn(client);
+    } finally {
+      await client.query('SELECT pg_advisory_unlock(hashtext($1))', [`media_image:${hash}`]).catch(() => {});
+    }
+  } finally {
+    client.release();
+  }
+};
+
+// Checks and stores an uploaded image unless the same bytes are already stored. Returns the
+// media_image row.
+const storeImage = async (pool, storage, buffer) => {
+  const format = detectImageFormat(buffer);
+  if (!format) {
+    throw invalidImage('must be a JPEG, PNG, GIF or WebP image');
+  }
+
+  const hash = crypto.createHash('sha256').update(buffer).digest('hex');
+  const existing = await pool.query('SELECT * FROM media_image WHERE content_hash = $1', [hash]);
+  if (existing.rows.length > 0) {
+    return existing.rows[0];
+  }
+
+  let metadata;
+  const outputs = [];
+  try {
+    metadata = await sharp(buffer).metadata();
+    // One at a time, sharp already uses every core for each
+    for (const rendition of renditions(hash)) {
+      outputs.push({ ...rendition, body: await render(buffer, rendition.size, rendition.format) });
+    }
+  } catch (error) {
+    throw invalidImage('could not be read as an image');
+  }
+
+  const { width, height } = metadata.autoOrient || metadata;
+  return withImageLock(pool, hash, async (client) => {
+    // A concurrent upload of the same bytes may have stored it meanwhile
+    const stored = await client.query('SELECT * FROM media_image WHERE content_hash = $1', [hash]);
+    if (stored.rows.length > 0) {
+      return stored.rows[0];
+    }
+    for (const { key, format: output, body } of outputs) {
+      await storage.put(key, body, { contentType: `image/${output}` });
+    }
+    const inserted = await client.query(
+      `INSERT INTO media_image (content_hash, source_format, width, height, byte_size)
+       VALUES ($1, $2, $3, $4, $5) RETURNING *`,
+      [hash, format, width, height, buffer.length]
+    );
+    return inserted.rows[0];
+  });
+};
+
+// Deletes the images among ids that no product gallery or variant uses any more, along with their files.
+// Files that fail to delete are left to sweepOrphanedImages.
+const releaseImages = async (pool, storage, ids) => {
+  const images = await pool.query('SELECT id, content_hash FROM media_image WHERE id = ANY($1)', [ids.filter(Boolean)]);
+  for (const { id, content_hash } of images.rows) {
+    await withImageLock(pool, content_hash, async (client) => {
+      const result = await client.query(
+        `DELETE FROM media_image i
+         WHERE i.id = $1
+           AND NOT EXISTS (SELECT 1 FROM product_image WHERE image_id = i.id)
+           AND NOT EXISTS (SELECT 1 FROM product_variant WHERE image_id = i.id)`,
+        [id]
+      );
+      if (result.rowCount === 0) {
+        return;
+      }
+      for (const { key } of renditions(content_hash)) {
+        await storage.delete(key).catch(() => {});
+      }
+    });
+  }
+};
+
+// Deletes stored image files that belong to no media_image row, e.g. after a failed delete or an
+// upload that stopped halfway. Returns the number of files deleted.
+const sweepOrphanedImages = async (pool, storage, { graceMs = ORPHAN_GRACE_MS } = {}) => {
+  const cutoff = Date.now() - graceMs;
+  const keysByHash = new Map();
+  for await (const { key, lastModified } of storage.list('images/')) {
+    const hash = key.split('/')[1];
+    if (lastModified.getTime() < cutoff) {
+      keysByHash.set(hash, [...(keysByHash.get(hash) || []), key]);
+    }
+  }
+  if (keysByHash.size === 0) {
+    return 0;
+  }
+
+  const known = await pool.query('SELECT content_hash FROM media_image WHERE content_hash = ANY($1)', [[...keysByHash.keys()]]);
+  for (const { content_hash } of known.rows) {
+    keysByHash.delete(content_hash);
+  }
+  let deleted = 0;
+  for (const [hash, keys] of keysByHash) {
+    await withImageLock(pool, hash, async (client) => {
+      // Stored again since the listing
+      const stored = await client.query('SELECT 1 FROM media_image WHERE content_hash = $1', [hash]);
+      if (stored.rows.length > 0) {
+        return;
+      }
+      for (const key of keys) {
+        await storage.delete(key);
+        deleted += 1;
+      }
+    });
+  }
+  return deleted;
+};
+
+// Runs sweepOrphanedImages every intervalMs; the timer does not keep the process alive
+const startImageSweeper = (pool, storage, { intervalMs = (parseInt(process.env.IMAGE_SWEEP_MINUTES) || 60) * 60 * 1000 } = {}) => {
+  const timer = setInterval(() => {
+    sweepOrphanedImages(pool, storage).catch((error) => {
+      console.error('Failed to sweep orphaned images:', error);
+    });
+  }, intervalMs);
+  timer.unref();
+  return () => clearInterval(timer);
+};
+
+// The API form of a media_image row: { id, hash, width, height, urls }
+const describeImage = (row) => ({
+  id: row.id,
+  hash: row.content_hash,
+  width: row.width,
+  height: row.height,
+  urls: imageUrls(row.content_hash),
+});
+
+// Adds `image` to each variant row: null, or its described image
+const attachImages = async (db, rows) => {
+  const ids = [...new Set(rows.map((row) => row.image_id).filter(Boolean))];
+  const result = await db.query('SELECT id, content_hash, width, height FROM media_image WHERE id = ANY($1)', [ids]);
+  const images = new Map(result.rows.map((row) => [row.id, describeImage(row)]));
+  return rows.map((row) => ({ ...row, image: images.get(row.image_id) || null }));
+};
+
+module.exports = {
+  IMAGE_SIZES,
+  IMAGE_FORMATS,
+  MAX_IMAGE_BYTES,
+  detectImageFormat,
+  imageUrls,
+  storeImage,
+  releaseImages,
+  describeImage,
+  attachImages,
+  sweepOrphanedImages,
+  startImageSweeper,
+};
@@ -0,0 +1,231 @@
+// lib/inventory.js
+// Stock is taken when an order is created and held for STOCK_RESERVATION_MINUTES while the order
+// is unpaid. Expired reservations are cancelled by the sweeper; cancelled and refunded orders
+// put their quantities back. Every change to product.stock_quantity or product_variant.stock_quantity
+// goes through this module and is written to the inventory_movement ledger in the same transaction.
+// Movements with a variant_id belong to that variant's stock, the others to the product's.
+const { ORDER_STATUS, transitionOrder } = require('./orderStatus');
+const { ConflictError, ValidationError } = require('./errors');
+
+const MOVEMENT_REASON = {
+  RESTOCK: 'restock',
+  SALE: 'sale',
+  RETURN: 'return',
+  ADJUSTMENT: 'adjustment',
+  DAMAGE: 'damage',
+};
+
+// Reasons that only make sense in one direction; adjustments can go either way
+const INCREASING_REASONS = [MOVEMENT_REASON.RESTOCK, MOVEMENT_REASON.RETURN];
+const DECREASING_REASONS = [MOVEMENT_REASON.SALE, MOVEMENT_REASON.DAMAGE];
+
+// Statuses that return an order's items to stock
+const RESTOCK_STATUSES = [ORDER_STATUS.CANCELLED, ORDER_STATUS.REFUNDED];
+
+const getReservationMinutes = () => parseInt(process.env.STOCK_RESERVATION_MINUTES) || 30;
+
+const recordMovement = async (db, { productId, variantId = null, quantity, reason, orderId = null, actorId = null, note = null }) => {
+  const result = await db.query(
+    `INSERT INTO inventory_movement (product_id, variant_id, quantity, reason, order_id, actor_id, note)
+     VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING *`,
+    [productId, variantId, quantity, reason, orderId, actorId, note]
+  );
+  return result.rows[0];
+};
+
+// Adds a signed quantity to a product's stock, or to one of its variants when variantId is given,
+// inside the caller's transaction and records why. Returns { product, variant, movement }, or null
+// when the product or variant does not exist. Going below zero fails on the stock check constraint.
+const adjustStock = async (client, productId, { variantId = null, quantity, reason = MOVEMENT_REASON.ADJUSTMENT, orderId = null, actorId = null, note = null }) => {
+  if (quantity === 0) {
+    throw new ValidationError([{ in: 'body', field: 'quantity', message: 'must not be 0' }]);
+  }
+  if (INCREASING_REASONS.includes(reason) && quantity < 0) {
+    throw new ValidationError([{ in: 'body', field: 'quantity', message: `must be positive for ${reason}` }]);
+  }
+  if (DECREASING_REASONS.includes(reason) && quantity > 0) {
+    throw new ValidationError([{ in: 'body', field: 'quantity', message: `must be negative for ${reason}` }]);
+  }
+
+  let product;
+  let variant;
+  if (variantId) {
+    const result = await client.query(
+      'UPDATE product_variant SET stock_quantity = stock_quantity + $1 WHERE id = $2 AND product_id = $3 RETURNING *',
+      [quantity, variantId, productId]
+    );
+    if (result.rows.length === 0) {
+      return null;
+    }
+    variant = result.rows[0];
+    product = (await client.query('SELECT * FROM product WHERE id = $1', [productId])).rows[0];
+  } else {
+    const result = await client.query(
+      'UPDATE product SET stock_quantity = stock_quantity + $1 WHERE id = $2 RETURNING *',
+      [quantity, productId]
+    );
+    if (result.rows.length === 0) {
+      return null;
+    }
+    product = result.rows[0];
+  }
+  const movement = await recordMovement(client, { productId, variantId, quantity, reason, orderId, actorId, note });
+  return { product, variant, movement };
+};
+
+// Decrements stock for each { product_id, variant_id, quantity } of an order inside the caller's
+// transaction; lines with a variant_id take from the variant. The conditional UPDATE locks the row,
+// so concurrent checkouts can never take more than is there. Rows are locked in (product id,
+// variant id) order so two carts with the same products cannot deadlock.
+const reserveStock = async (client, items, { orderId, actorId = null }) => {
+  const sorted = [...items].sort((a, b) => a.product_id - b.product_id || (a.variant_id || 0) - (b.variant_id || 0));
+  for (const item of sorted) {
+    const result = item.variant_id
+      ? await client.query(
+        'UPDATE product_variant SET stock_quantity = stock_quantity - $1 WHERE id = $2 AND stock_quantity >= $1 RETURNING id',
+        [item.quantity, item.variant_id]
+      )
+      : await client.query(
+        'UPDATE product SET stock_quantity = stock_quantity - $1 WHERE id = $2 AND stock_quantity >= $1 RETURNING id',
+        [item.quantity, item.product_id]
+      );
+    if (result.rows.length === 0) {
+      const what = item.variant_id ? `variant ID ${item.variant_id} of product ID ${item.product_id}` : `product ID ${item.product_id}`;
+      throw new ConflictError(`Insufficient stock for ${what}`, {
+        code: 'insufficient_stock',
+        details: { productId: item.product_id, variantId: item.variant_id || null },
+      });
+    }
+    await recordMovement(client, {
+      productId: item.product_id,
+      variantId: item.variant_id || null,
+      quantity: -item.quantity,
+      reason: MOVEMENT_REASON.SALE,
+      orderId,
+      actorId,
+    });
+  }
+};
+
+// Puts an order's quantities back as returns, to the variant for variant lines
+const releaseStock = async (client, orderId, { actorId = null, note = null } = {}) => {
+  await client.query(
+    `WITH lines AS (
+       SELECT product_id, variant_id, SUM(quantity) AS quantity FROM order_item WHERE order_id = $1 GROUP BY product_id, variant_id
+     ), restocked_products AS (
+       UPDATE product p SET stock_quantity = p.stock_quantity + lines.quantity
+       FROM lines WHERE p.id = lines.product_id AND lines.variant_id IS NULL
+       RETURNING p.id AS product_id, NULL::integer AS variant_id, lines.quantity
+     ), restocked_variants AS (
+       UPDATE product_variant v SET stock_quantity = v.stock_quantity + lines.quantity
+       FROM lines WHERE v.id = lines.variant_id
+       RETURNING v.product_id, v.id AS variant_id, lines.quantity
+     )
+     INSERT INTO inventory_movement (product_id, variant_id, quantity, reason, order_id, actor_id, note)
+     SELECT product_id, variant_id, quantity, $2::varchar, $1::integer, $3::integer, $4::text FROM restocked_products
+     UNION ALL
+     SELECT product_id, variant_id, quantity, $2, $1, $3, $4 FROM restocked_variants`,
+    [orderId, MOVEMENT_REASON.RETURN, actorId, note]
+  );
+};
+
+const getStockHistory = async (db, productId, { limit = 50, offset = 0 } = {}) => {
+  const result = await db.query(
+    `SELECT m.id, m.variant_id, v.sku, m.quantity, m.reason, m.order_id, m.actor_id, c.email_address AS actor_email, m.note, m.created_at,
+            SUM(m.quantity) OVER (PARTITION BY m.variant_id ORDER BY m.id) AS balance
+     FROM inventory_movement m
+     LEFT JOIN product_variant v ON m.variant_id = v.id
+     LEFT JOIN customer c ON m.actor_id = c.id
+     WHERE m.product_id = $1
+     ORDER BY m.id DESC
+     LIMIT $2 OFFSET $3`,
+    [productId, limit, offset]
+  );
+  return result.rows;
+};
+
+// Products and variants whose stock_quantity differs from the sum of their ledger entries, e.g.
+// after a direct database edit. An empty list means the ledger and the stock agree.
+const findStockDiscrepancies = async (db) => {
+  const result = await db.query(
+    `SELECT p.id AS product_id, NULL::integer AS variant_id, p.name, NULL AS sku, p.stock_quantity,
+            COALESCE(SUM(m.quantity), 0)::int AS ledger_quantity,
+            p.stock_quantity - COALESCE(SUM(m.quantity), 0)::int AS difference
+     FROM product p
+     LEFT JOIN inventory_movement m ON m.product_id = p.id AND m.variant_id IS NULL
+     GROUP BY p.id
+     HAVING p.stock_quantity <> COALESCE(SUM(m.quantity), 0)
+     UNION ALL
+     SELECT v.product_id, v.id, p.name, v.sku, v.stock_quantity,
+            COALESCE(SUM(m.quantity), 0)::int,
+            v.stock_quantity - COALESCE(SUM(m.quantity), 0)::int
+     FROM product_variant v
+     JOIN product p ON v.product_id = p.id
+     LEFT JOIN inventory_movement m ON m.variant_id = v.id
+     GROUP BY v.id, p.name
+     HAVING v.stock_quantity <> COALESCE(SUM(m.quantity), 0)
+     ORDER BY product_id, variant_id NULLS FIRST`
+  );
+  return result.rows;
+};
+
+// Cancels unpaid orders whose reservation has run out and restocks them. Each order is handled in
+// its own transaction; orders locked by a concurrent payment are left for the next run.
+// Returns the ids of the cancelled orders.
+const releaseExpiredReservations = async (pool, { limit = 100 } = {}) => {
+  const expired = await pool.query(
+    `SELECT id FROM customer_order
+     WHERE status = $1 AND reserved_until < CURRENT_TIMESTAMP
+     ORDER BY reserved_until LIMIT $2`,
+    [ORDER_STATUS.PENDING, limit]
+  );
+
+  const released = [];
+  for (const { id } of expired.rows) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const locked = await client.query(
+        'SELECT id FROM customer_order WHERE id = $1 AND status = $2 AND reserved_until < CURRENT_TIMESTAMP FOR UPDATE SKIP LOCKED',
+        [id, ORDER_STATUS.PENDING]
+      );
+      if (locked.rows.length > 0) {
+        await transitionOrder(client, id, ORDER_STATUS.CANCELLED, { note: 'Stock reservation expired' });
+        await releaseStock(client, id, { note: 'Stock reservation expired' });
+        released.push(id);
+      }
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+  return released;
+};
+
+// Runs releaseExpiredReservations every intervalMs; the timer does not keep the process alive
+const startReservationSweeper = (pool, { intervalMs = (parseInt(process.env.STOCK_RESERVATION_SWEEP_SECONDS) || 60) * 1000 } = {}) => {
+  const timer = setInterval(() => {
+    releaseExpiredReservations(pool).catch((error) => {
+      console.error('Failed to release expired stock reservations:', error);
+    });
+  }, intervalMs);
+  timer.unref();
+  return () => clearInterval(timer);
+};
+
+module.exports = {
+  MOVEMENT_REASON,
+  RESTOCK_STATUSES,
+  getReservationMinutes,
+  recordMovement,
+  adjustStock,
+  reserveStock,
+  releaseStock,
+  getStockHistory,
+  findStockDiscrepancies,
+  releaseExpiredReservations,
+  startReservationSweeper,
+};
@@ -0,0 +1,99 @@
+// lib/legacyImages.js
+// Originals uploaded before images were processed, named by product.image_path and
+// product_variant.image_path. multer saved each one as uploads/<name>, so it is the storage key
+// <name> of a local driver on that directory. importLegacyImages turns them into processed
+// images in storage; until then deleteLegacyImage removes one through the storage driver.
+const path = require('path');
+const { storeImage, releaseImages } = require('./images');
+const { addProductImages } = require('./productImages');
+
+// multer put every original directly in the upload directory
+const legacyImageKey = (imagePath) => path.basename(imagePath);
+
+// Deleting is cleanup after the database change has been committed, so a failure is only logged
+const deleteLegacyImage = async (storage, imagePath) => {
+  try {
+    await storage.delete(legacyImageKey(imagePath));
+  } catch (error) {
+    console.error(`Failed to delete legacy image ${imagePath}:`, error.message);
+  }
+};
+
+// Moves a product's original into its gallery (as the primary image when it has none) or sets
+// it as the variant's image unless the variant already has one, inside the caller's transaction.
+// Returns false when the row no longer names this original.
+const replaceLegacyImage = async (client, { kind, id, product_id: productId, image_path: imagePath }, imageId) => {
+  if (kind === 'product') {
+    const result = await client.query(
+      'UPDATE product SET image_path = NULL WHERE id = $1 AND image_path = $2 RETURNING id',
+      [id, imagePath]
+    );
+    if (result.rows.length === 0) {
+      return false;
+    }
+    await addProductImages(client, productId, [imageId]);
+    return true;
+  }
+  const result = await client.query(
+    'UPDATE product_variant SET image_id = COALESCE(image_id, $1), image_path = NULL WHERE id = $2 AND image_path = $3 RETURNING id',
+    [imageId, id, imagePath]
+  );
+  return result.rows.length > 0;
+};
+
+// Processes every original still named by a product or variant like a new upload, points the row
+// at the stored image and deletes the original. Originals are read from source, a storage driver
+// (the app's own by default). Returns one { kind, id, product_id, image_path, imageId } per
+// original, with `error` instead of imageId for those that were missing or not an image; their
+// rows are left as they are.
+const importLegacyImages = async (pool, storage, { source = storage } = {}) => {
+  const legacy = await pool.query(
+    `SELECT 'product' AS kind, id, id AS product_id, image_path FROM product WHERE image_path IS NOT NULL
+     UNION ALL
+     SELECT 'variant', id, product_id, image_path FROM product_variant WHERE image_path IS NOT NULL
+     ORDER BY product_id, kind, id`
+  );
+
+  const results = [];
+  for (const row of legacy.rows) {
+    const key = legacyImageKey(row.image_path);
+    const buffer = await source.get(key);
+    if (!buffer) {
+      results.push({ ...row, error: 'file not found' });
+      continue;
+    }
+
+    let image;
+    try {
+      image = await storeImage(pool, storage, buffer);
+    } catch (error) {
+      results.push({ ...row, error: error.errors ? error.errors[0].message : error.message });
+      continue;
+    }
+
+    const client = await pool.connect();
+    let replaced;
+    try {
+      await client.query('BEGIN');
+      replaced = await replaceLegacyImage(client, row, image.id);
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    // Deleted again if nothing uses it: the variant already had an image, or an admin changed the
+    // image meanwhile (that request deletes the original)
+    await releaseImages(pool, storage, [image.id]);
+    if (!replaced) {
+      continue;
+    }
+    await deleteLegacyImage(source, row.image_path);
+    results.push({ ...row, imageId: image.id });
+  }
+  return results;
+};
+
+module.exports = { legacyImageKey, deleteLegacyImage, importLegacyImages };
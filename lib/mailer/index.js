@@ -0,0 +1,62 @@
+// lib/mailer/index.js
+//
+// A mailer is an object with send({ to, subject, text, html }) returning a promise.
+// MAIL_TRANSPORT picks the transport: smtp, file or console (the default, for development).
+const fs = require('fs');
+const path = require('path');
+
+const getFrom = () => process.env.MAIL_FROM || 'no-reply@localhost';
+
+const createSmtpMailer = () => {
+  const nodemailer = require('nodemailer');
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD } : undefined,
+  });
+  return {
+    send: ({ to, subject, text, html }) => transporter.sendMail({ from: getFrom(), to, subject, text, html }),
+  };
+};
+
+// Writes each message as a JSON file, handy for inspecting links during development
+const createFileMailer = (dir = process.env.MAIL_OUTBOX_DIR || './outbox') => ({
+  send: async (message) => {
+    await fs.promises.mkdir(dir, { recursive: true });
+    const file = path.join(dir, `${Date.now()}-${message.to.replace(/[^a-z0-9@.]/gi, '_')}.json`);
+    await fs.promises.writeFile(file, JSON.stringify({ from: getFrom(), ...message }, null, 2));
+  },
+});
+
+const createConsoleMailer = () => ({
+  send: async ({ to, subject, text }) => {
+    console.log(`[mail] To: ${to}\n[mail] Subject: ${subject}\n${text}`);
+  },
+});
+
+const transports = {
+  smtp: createSmtpMailer,
+  file: createFileMailer,
+  console: createConsoleMailer,
+};
+
+let mailer = null;
+
+const getMailer = () => {
+  if (!mailer) {
+    const name = process.env.MAIL_TRANSPORT || 'console';
+    if (!transports[name]) {
+      throw new Error(`Unknown mail transport "${name}"`);
+    }
+    mailer = transports[name]();
+  }
+  return mailer;
+};
+
+// Lets tests or other code swap the mailer, e.g. for one that records messages
+const setMailer = (instance) => {
+  mailer = instance;
+};
+
+module.exports = { getMailer, setMailer, createSmtpMailer, createFileMailer, createConsoleMailer };
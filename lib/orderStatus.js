@@ -0,0 +1,98 @@
+// lib/orderStatus.js
+const { ConflictError } = require('./errors');
+
+const ORDER_STATUS = {
+  PENDING: 'Pending',
+  PAID: 'Paid',
+  FULFILLING: 'Fulfilling',
+  SHIPPED: 'Shipped',
+  DELIVERED: 'Delivered',
+  CANCELLED: 'Cancelled',
+  REFUNDED: 'Refunded',
+};
+
+// Allowed next statuses for each status; Cancelled and Refunded are final
+const TRANSITIONS = {
+  [ORDER_STATUS.PENDING]: [ORDER_STATUS.PAID, ORDER_STATUS.CANCELLED],
+  [ORDER_STATUS.PAID]: [ORDER_STATUS.FULFILLING, ORDER_STATUS.REFUNDED],
+  [ORDER_STATUS.FULFILLING]: [ORDER_STATUS.SHIPPED, ORDER_STATUS.REFUNDED],
+  [ORDER_STATUS.SHIPPED]: [ORDER_STATUS.DELIVERED],
+  [ORDER_STATUS.DELIVERED]: [ORDER_STATUS.REFUNDED],
+  [ORDER_STATUS.CANCELLED]: [],
+  [ORDER_STATUS.REFUNDED]: [],
+};
+
+class InvalidTransitionError extends ConflictError {
+  constructor(from, to) {
+    super(`Cannot change order status from ${from} to ${to}`, {
+      code: 'invalid_status_transition',
+      details: { currentStatus: from, allowedStatuses: TRANSITIONS[from] || [] },
+    });
+    this.from = from;
+    this.to = to;
+    this.allowed = TRANSITIONS[from] || [];
+  }
+}
+
+const isValidStatus = (status) => Object.prototype.hasOwnProperty.call(TRANSITIONS, status);
+
+const canTransition = (from, to) => (TRANSITIONS[from] || []).includes(to);
+
+// changedBy is the customer id of whoever made the change, or null for the system
+const recordStatusChange = async (db, orderId, fromStatus, toStatus, changedBy = null, note = null) => {
+  await db.query(
+    'INSERT INTO order_status_history (order_id, from_status, to_status, changed_by, note) VALUES ($1, $2, $3, $4, $5)',
+    [orderId, fromStatus, toStatus, changedBy, note]
+  );
+};
+
+// Moves an order to a new status inside the caller's transaction.
+// Returns the updated order, or null when it does not exist (or is not owned by customerId when given).
+const transitionOrder = async (client, orderId, toStatus, { changedBy = null, customerId = null, note = null, extra = {} } = {}) => {
+  const params = [orderId];
+  let query = 'SELECT * FROM customer_order WHERE id = $1';
+  if (customerId !== null) {
+    query += ' AND customer_id = $2';
+    params.push(customerId);
+  }
+  const orderResult = await client.query(query + ' FOR UPDATE', params);
+  if (orderResult.rows.length === 0) {
+    return null;
+  }
+
+  const order = orderResult.rows[0];
+  if (!canTransition(order.status, toStatus)) {
+    throw new InvalidTransitionError(order.status, toStatus);
+  }
+
+  // extra holds additional columns to set alongside the status, e.g. payment_method
+  const columns = ['status', ...Object.keys(extra)];
+  const values = [toStatus, ...Object.values(extra)];
+  const assignments = columns.map((column, i) => `${column} = $${i + 1}`).join(', ');
+  const updated = await client.query(
+    `UPDATE customer_order SET ${assignments} WHERE id = $${values.length + 1} RETURNING *`,
+    [...values, orderId]
+  );
+
+  await recordStatusChange(client, orderId, order.status, toStatus, changedBy, note);
+  return updated.rows[0];
+};
+
+const getStatusHistory = async (db, orderId) => {
+  const result = await db.query(
+    'SELECT from_status, to_status, changed_by, note, created_at FROM order_status_history WHERE order_id = $1 ORDER BY created_at, id',
+    [orderId]
+  );
+  return result.rows;
+};
+
+module.exports = {
+  ORDER_STATUS,
+  TRANSITIONS,
+  InvalidTransitionError,
+  isValidStatus,
+  canTransition,
+  recordStatusChange,
+  transitionOrder,
+  getStatusHistory,
+};
@@ -0,0 +1,58 @@
+// lib/orderTotals.js
+// Money is handled in integer cents internally and returned as 2-decimal strings for NUMERIC columns.
+
+const toCents = (amount) => Math.round(Number(amount || 0) * 100);
+
+const fromCents = (cents) => (cents / 100).toFixed(2);
+
+// items: [{ product_id, product_name, unit_price, quantity, discount_amount? }]
+// discount_amount is the already-allocated discount for that line; tax is charged on what remains.
+const calculateOrderTotals = (items, { taxRate = 0 } = {}) => {
+  let subtotal = 0;
+  let discountTotal = 0;
+  let taxTotal = 0;
+
+  const lines = items.map((item) => {
+    const lineSubtotal = toCents(item.unit_price) * item.quantity;
+    const discount = Math.min(toCents(item.discount_amount), lineSubtotal);
+    const tax = Math.round((lineSubtotal - discount) * taxRate);
+
+    subtotal += lineSubtotal;
+    discountTotal += discount;
+    taxTotal += tax;
+
+    return {
+      ...item,
+      unit_price: fromCents(toCents(item.unit_price)),
+      line_subtotal: fromCents(lineSubtotal),
+      discount_amount: fromCents(discount),
+      tax_amount: fromCents(tax),
+      line_total: fromCents(lineSubtotal - discount + tax),
+    };
+  });
+
+  return {
+    lines,
+    subtotal: fromCents(subtotal),
+    discountTotal: fromCents(discountTotal),
+    taxTotal: fromCents(taxTotal),
+    grandTotal: fromCents(subtotal - discountTotal + taxTotal),
+  };
+};
+
+// Spreads a discount over items in proportion to their subtotal; the last item absorbs rounding.
+// Returns the items with discount_amount set, in the same order.
+const allocateDiscount = (items, amount) => {
+  const subtotals = items.map((item) => toCents(item.unit_price) * item.quantity);
+  const total = subtotals.reduce((sum, value) => sum + value, 0);
+  const discount = Math.min(toCents(amount), total);
+
+  let remaining = discount;
+  return items.map((item, i) => {
+    const share = i === items.length - 1 ? remaining : Math.floor((discount * subtotals[i]) / total);
+    remaining -= share;
+    return { ...item, discount_amount: fromCents(share) };
+  });
+};
+
+module.exports = { toCents, fromCents, calculateOrderTotals, allocateDiscount };
@@ -0,0 +1,73 @@
+// lib/orders.js
+const { ORDER_STATUS, recordStatusChange } = require('./orderStatus');
+const { calculateOrderTotals } = require('./orderTotals');
+const { redeemCoupon } = require('./coupons');
+
+const getTaxRate = () => parseFloat(process.env.TAX_RATE) || 0;
+
+// Creates a Pending order inside the caller's transaction. Each item's name, variant and price are
+// copied onto the order so later catalog changes never rewrite it. When a coupon is given,
+// items must already carry their discount (see evaluateCoupon) and the redemption is recorded.
+const createOrder = async (client, { customerId, shippingAddress, items, coupon = null, taxRate = getTaxRate() }) => {
+  const totals = calculateOrderTotals(items, { taxRate });
+
+  const orderResult = await client.query(
+    `INSERT INTO customer_order (customer_id, status, shipping_address, subtotal, discount_total, tax_total, grand_total, coupon_id, coupon_code)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9) RETURNING *`,
+    [
+      customerId,
+      ORDER_STATUS.PENDING,
+      shippingAddress,
+      totals.subtotal,
+      totals.discountTotal,
+      totals.taxTotal,
+      totals.grandTotal,
+      coupon ? coupon.id : null,
+      coupon ? coupon.code : null,
+    ]
+  );
+  const order = orderResult.rows[0];
+  await recordStatusChange(client, order.id, null, ORDER_STATUS.PENDING, customerId);
+
+  if (coupon) {
+    await redeemCoupon(client, {
+      couponId: coupon.id,
+      customerId,
+      orderId: order.id,
+      discountAmount: totals.discountTotal,
+    });
+  }
+
+  for (const line of totals.lines) {
+    await client.query(
+      `INSERT INTO order_item (order_id, product_id, variant_id, sku, variant_name, quantity, product_name, unit_price, line_subtotal, discount_amount, tax_amount, line_total)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)`,
+      [
+        order.id,
+        line.product_id,
+        line.variant_id || null,
+        line.sku || null,
+        line.variant_name || null,
+        line.quantity,
+        line.product_name,
+        line.unit_price,
+        line.line_subtotal,
+        line.discount_amount,
+        line.tax_amount,
+        line.line_total,
+      ]
+    );
+  }
+
+  return order;
+};
+
+const getOrderItems = async (db, orderId) => {
+  const result = await db.query(
+    'SELECT oi.*, oi.product_name AS name, oi.unit_price AS price FROM order_item oi WHERE oi.order_id = $1 ORDER BY oi.id',
+    [orderId]
+  );
+  return result.rows;
+};
+
+module.exports = { getTaxRate, createOrder, getOrderItems };
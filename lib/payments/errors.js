@@ -0,0 +1,11 @@
+// lib/payments/errors.js
+const { BadRequestError } = require('../errors');
+
+// Thrown by a provider's verifyWebhook when a webhook cannot be trusted
+class WebhookSignatureError extends BadRequestError {
+  constructor(message) {
+    super(message, { code: 'invalid_webhook_signature' });
+  }
+}
+
+module.exports = { WebhookSignatureError };
@@ -0,0 +1,87 @@
+// lib/payments/fakeProvider.js
+const crypto = require('crypto');
+const { WebhookSignatureError } = require('./errors');
+
+const SIGNATURE_HEADER = 'x-fake-signature';
+
+// Signed webhooks older than this are rejected to limit replays
+const DEFAULT_TOLERANCE_SECONDS = 300;
+
+// Local stand-in for a real gateway: no network calls, references are random and
+// webhooks are HMAC-signed with PAYMENT_WEBHOOK_SECRET the same way the real ones would be.
+class FakePaymentProvider {
+  constructor({ webhookSecret, toleranceSeconds = DEFAULT_TOLERANCE_SECONDS } = {}) {
+    if (!webhookSecret) {
+      throw new Error('FakePaymentProvider requires a webhook secret (PAYMENT_WEBHOOK_SECRET)');
+    }
+    this.name = 'fake';
+    this.webhookSecret = webhookSecret;
+    this.toleranceSeconds = toleranceSeconds;
+  }
+
+  async createIntent({ amount, currency, orderId }) {
+    const reference = `fake_pi_${crypto.randomBytes(12).toString('hex')}`;
+    return {
+      reference,
+      status: 'pending',
+      amount,
+      currency,
+      orderId,
+      clientSecret: `${reference}_secret_${crypto.randomBytes(8).toString('hex')}`,
+    };
+  }
+
+  async capture(reference) {
+    return { reference, status: 'succeeded' };
+  }
+
+  async refund(reference, amount) {
+    return {
+      reference,
+      refundReference: `fake_re_${crypto.randomBytes(12).toString('hex')}`,
+      amount,
+      status: 'refunded',
+    };
+  }
+
+  sign(rawBody, timestamp = Math.floor(Date.now() / 1000)) {
+    const digest = crypto
+      .createHmac('sha256', this.webhookSecret)
+      .update(`${timestamp}.${rawBody}`)
+      .digest('hex');
+    return `t=${timestamp},v1=${digest}`;
+  }
+
+  // Builds a signed webhook request, used by scripts/fake-payment-webhook.js
+  buildWebhook(event) {
+    const body = JSON.stringify({ id: `fake_evt_${crypto.randomBytes(8).toString('hex')}`, ...event });
+    return { body, headers: { 'content-type': 'application/json', [SIGNATURE_HEADER]: this.sign(body) } };
+  }
+
+  verifyWebhook(rawBody, headers) {
+    const header = headers[SIGNATURE_HEADER];
+    if (!header || !rawBody) {
+      throw new WebhookSignatureError('Missing webhook signature');
+    }
+
+    const parts = Object.fromEntries(header.split(',').map((part) => part.split('=')));
+    const timestamp = parseInt(parts.t);
+    if (!timestamp || !parts.v1) {
+      throw new WebhookSignatureError('Malformed webhook signature');
+    }
+    if (Math.abs(Date.now() / 1000 - timestamp) > this.toleranceSeconds) {
+      throw new WebhookSignatureError('Webhook timestamp outside the tolerance window');
+    }
+
+    const expected = Buffer.from(this.sign(rawBody.toString(), timestamp).split('v1=')[1], 'hex');
+    const actual = Buffer.from(parts.v1, 'hex');
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      throw new WebhookSignatureError('Invalid webhook signature');
+    }
+
+    const event = JSON.parse(rawBody.toString());
+    return { id: event.id, type: event.type, reference: event.reference, amount: event.amount };
+  }
+}
+
+module.exports = { FakePaymentProvider, SIGNATURE_HEADER };
@@ -0,0 +1,35 @@
+// lib/payments/index.js
+//
+// A payment provider is an object with:
+//   name                                    - stored on each payment row
+//   createIntent({ amount, currency, orderId }) -> { reference, status, clientSecret }
+//   capture(reference)                      -> { reference, status }
+//   refund(reference, amount)               -> { reference, refundReference, status }
+//   verifyWebhook(rawBody, headers)         -> { id, type, reference, amount }
+// verifyWebhook must throw WebhookSignatureError when the signature does not check out.
+// Webhook types understood by the service: payment.authorized, payment.succeeded, payment.failed.
+const { FakePaymentProvider } = require('./fakeProvider');
+const { WebhookSignatureError } = require('./errors');
+
+const factories = {
+  fake: () => new FakePaymentProvider({ webhookSecret: process.env.PAYMENT_WEBHOOK_SECRET }),
+};
+
+const instances = {};
+
+const registerPaymentProvider = (name, factory) => {
+  factories[name] = factory;
+  delete instances[name];
+};
+
+const getPaymentProvider = (name = process.env.PAYMENT_PROVIDER || 'fake') => {
+  if (!factories[name]) {
+    throw new Error(`Unknown payment provider "${name}"`);
+  }
+  if (!instances[name]) {
+    instances[name] = factories[name]();
+  }
+  return instances[name];
+};
+
+module.exports = { registerPaymentProvider, getPaymentProvider, WebhookSignatureError };
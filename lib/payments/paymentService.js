@@ -0,0 +1,142 @@
+// lib/payments/paymentService.js
+const { ORDER_STATUS, InvalidTransitionError, canTransition, transitionOrder } = require('../orderStatus');
+const { getPaymentProvider } = require('./index');
+
+const PAYMENT_STATUS = {
+  PENDING: 'pending',
+  AUTHORIZED: 'authorized',
+  SUCCEEDED: 'succeeded',
+  FAILED: 'failed',
+  REFUNDED: 'refunded',
+};
+
+const sameAmount = (a, b) => Number(a).toFixed(2) === Number(b).toFixed(2);
+
+const updatePayment = async (db, paymentId, fields) => {
+  const columns = Object.keys(fields);
+  const assignments = columns.map((column, i) => `${column} = $${i + 1}`).join(', ');
+  const result = await db.query(
+    `UPDATE payment SET ${assignments}, updated_at = CURRENT_TIMESTAMP WHERE id = $${columns.length + 1} RETURNING *`,
+    [...Object.values(fields), paymentId]
+  );
+  return result.rows[0];
+};
+
+// Opens a payment attempt for one of the customer's orders. The order stays Pending until
+// the provider confirms the payment through the webhook. Returns null if the order is not found.
+const startPayment = async (client, provider, { orderId, customerId, paymentMethod, currency }) => {
+  const orderResult = await client.query(
+    'SELECT * FROM customer_order WHERE id = $1 AND customer_id = $2 FOR UPDATE',
+    [orderId, customerId]
+  );
+  if (orderResult.rows.length === 0) {
+    return null;
+  }
+
+  const order = orderResult.rows[0];
+  if (!canTransition(order.status, ORDER_STATUS.PAID)) {
+    throw new InvalidTransitionError(order.status, ORDER_STATUS.PAID);
+  }
+
+  const amount = order.grand_total;
+  const intent = await provider.createIntent({ amount, currency, orderId: order.id });
+
+  const paymentResult = await client.query(
+    'INSERT INTO payment (order_id, provider, provider_reference, amount, currency, status) VALUES ($1, $2, $3, $4, $5, $6) RETURNING *',
+    [order.id, provider.name, intent.reference, amount, currency, PAYMENT_STATUS.PENDING]
+  );
+  await client.query('UPDATE customer_order SET payment_method = $1 WHERE id = $2', [paymentMethod, order.id]);
+
+  return { payment: paymentResult.rows[0], clientSecret: intent.clientSecret };
+};
+
+const confirmPayment = async (client, provider, payment, event) => {
+  if (event.amount !== undefined && event.amount !== null && !sameAmount(event.amount, payment.amount)) {
+    const failed = await updatePayment(client, payment.id, {
+      status: PAYMENT_STATUS.FAILED,
+      failure_reason: `Confirmed amount ${event.amount} does not match ${payment.amount}`,
+    });
+    return { outcome: 'amount_mismatch', payment: failed };
+  }
+
+  const succeeded = await updatePayment(client, payment.id, { status: PAYMENT_STATUS.SUCCEEDED });
+  try {
+    await transitionOrder(client, payment.order_id, ORDER_STATUS.PAID, {
+      note: `Payment ${payment.provider_reference} confirmed by ${provider.name}`,
+    });
+  } catch (error) {
+    if (!(error instanceof InvalidTransitionError)) throw error;
+
+    // The order was cancelled or paid through another attempt in the meantime: give the money back
+    const refund = await provider.refund(payment.provider_reference, payment.amount);
+    const refunded = await updatePayment(client, payment.id, {
+      status: PAYMENT_STATUS.REFUNDED,
+      refund_reference: refund.refundReference,
+      failure_reason: `Order was ${error.from} when the payment was confirmed`,
+    });
+    return { outcome: 'refunded', payment: refunded };
+  }
+  return { outcome: 'paid', payment: succeeded };
+};
+
+// Applies a verified webhook event. Replayed events are acknowledged without side effects.
+const handleWebhookEvent = async (client, provider, event) => {
+  const paymentResult = await client.query(
+    'SELECT * FROM payment WHERE provider = $1 AND provider_reference = $2 FOR UPDATE',
+    [provider.name, event.reference]
+  );
+  if (paymentResult.rows.length === 0) {
+    return { outcome: 'unknown_payment' };
+  }
+  const payment = paymentResult.rows[0];
+  const open = [PAYMENT_STATUS.PENDING, PAYMENT_STATUS.AUTHORIZED].includes(payment.status);
+
+  switch (event.type) {
+    case 'payment.authorized': {
+      if (payment.status !== PAYMENT_STATUS.PENDING) {
+        return { outcome: 'duplicate', payment };
+      }
+      const captured = await provider.capture(payment.provider_reference);
+      if (captured.status !== PAYMENT_STATUS.SUCCEEDED) {
+        return { outcome: 'authorized', payment: await updatePayment(client, payment.id, { status: PAYMENT_STATUS.AUTHORIZED }) };
+      }
+      return confirmPayment(client, provider, payment, event);
+    }
+    case 'payment.succeeded':
+      if (!open) {
+        return { outcome: 'duplicate', payment };
+      }
+      return confirmPayment(client, provider, payment, event);
+    case 'payment.failed':
+      if (!open) {
+        return { outcome: 'duplicate', payment };
+      }
+      return { outcome: 'failed', payment: await updatePayment(client, payment.id, { status: PAYMENT_STATUS.FAILED }) };
+    default:
+      return { outcome: 'ignored' };
+  }
+};
+
+// Refunds every successful payment of an order, through the provider that took it
+const refundOrderPayments = async (client, orderId) => {
+  const result = await client.query(
+    'SELECT * FROM payment WHERE order_id = $1 AND status = $2 FOR UPDATE',
+    [orderId, PAYMENT_STATUS.SUCCEEDED]
+  );
+  const refunded = [];
+  for (const payment of result.rows) {
+    const refund = await getPaymentProvider(payment.provider).refund(payment.provider_reference, payment.amount);
+    refunded.push(await updatePayment(client, payment.id, {
+      status: PAYMENT_STATUS.REFUNDED,
+      refund_reference: refund.refundReference,
+    }));
+  }
+  return refunded;
+};
+
+module.exports = {
+  PAYMENT_STATUS,
+  startPayment,
+  handleWebhookEvent,
+  refundOrderPayments,
+};
@@ -0,0 +1,191 @@
+// lib/productImages.js
+// Each product has a gallery of images in product_image, ordered by position, each with optional
+// alt text. A product with images has exactly one primary image, the one product lists show.
+// The changes run inside the caller's transaction and lock the product row, so concurrent changes
+// to one gallery happen one after the other.
+const { ValidationError } = require('./errors');
+const { describeImage } = require('./images');
+
+const GALLERY_SELECT = `
+  SELECT pi.id, pi.product_id, pi.image_id, pi.position, pi.alt_text, pi.is_primary,
+         i.content_hash, i.width, i.height
+  FROM product_image pi
+  JOIN media_image i ON pi.image_id = i.id`;
+
+// { id, image_id, position, alt_text, is_primary, hash, width, height, urls }, id being the gallery entry's
+const describeGalleryImage = (row) => {
+  const { hash, width, height, urls } = describeImage(row);
+  return {
+    id: row.id,
+    image_id: row.image_id,
+    position: row.position,
+    alt_text: row.alt_text,
+    is_primary: row.is_primary,
+    hash,
+    width,
+    height,
+    urls,
+  };
+};
+
+const getGallery = async (db, productId) => {
+  const result = await db.query(`${GALLERY_SELECT} WHERE pi.product_id = $1 ORDER BY pi.position, pi.id`, [productId]);
+  return result.rows.map(describeGalleryImage);
+};
+
+// Adds `image`, the primary gallery image or null, to each product row
+const attachPrimaryImages = async (db, products) => {
+  const result = await db.query(`${GALLERY_SELECT} WHERE pi.product_id = ANY($1) AND pi.is_primary`, [products.map((p) => p.id)]);
+  const images = new Map(result.rows.map((row) => [row.product_id, describeGalleryImage(row)]));
+  return products.map((product) => ({ ...product, image: images.get(product.id) || null }));
+};
+
+// Adds `images`, the whole gallery in order, to each product row
+const attachGalleries = async (db, products) => {
+  const result = await db.query(
+    `${GALLERY_SELECT} WHERE pi.product_id = ANY($1) ORDER BY pi.position, pi.id`,
+    [products.map((p) => p.id)]
+  );
+  return products.map((product) => ({
+    ...product,
+    images: result.rows.filter((row) => row.product_id === product.id).map(describeGalleryImage),
+  }));
+};
+
+const lockProduct = async (client, productId) => {
+  const result = await client.query('SELECT id FROM product WHERE id = $1 FOR UPDATE', [productId]);
+  return result.rows.length > 0;
+};
+
+const makePrimary = async (client, productId, entryId) => {
+  // Two steps, since the unique index allows only one primary image per product at any moment
+  await client.query('UPDATE product_image SET is_primary = false WHERE product_id = $1 AND is_primary AND id <> $2', [productId, entryId]);
+  await client.query('UPDATE product_image SET is_primary = true WHERE id = $1', [entryId]);
+};
+
+// Appends stored images (media_image ids) to the gallery, skipping those already in it. The first
+// image of an empty gallery becomes the primary one. Returns the gallery, or null when the
+// product does not exist.
+const addProductImages = async (client, productId, imageIds) => {
+  if (!(await lockProduct(client, productId))) {
+    return null;
+  }
+  const current = await client.query(
+    'SELECT COALESCE(MAX(position), -1) AS position, COALESCE(bool_or(is_primary), false) AS has_primary FROM product_image WHERE product_id = $1',
+    [productId]
+  );
+  let { position, has_primary: hasPrimary } = current.rows[0];
+  for (const imageId of imageIds) {
+    const result = await client.query(
+      `INSERT INTO product_image (product_id, image_id, position, is_primary) VALUES ($1, $2, $3, $4)
+       ON CONFLICT (product_id, image_id) DO NOTHING
+       RETURNING id`,
+      [productId, imageId, position + 1, !hasPrimary]
+    );
+    if (result.rows.length > 0) {
+      position += 1;
+      hasPrimary = true;
+    }
+  }
+  return getGallery(client, productId);
+};
+
+// Makes a stored image the primary one, for an image sent with PUT /products/:id. It takes the
+// place of the current primary image, or goes first when there is none. Returns the media_image
+// id it replaced, if any. The caller has locked the product.
+const replacePrimaryImage = async (client, productId, imageId) => {
+  const existing = await client.query('SELECT id FROM product_image WHERE product_id = $1 AND image_id = $2', [productId, imageId]);
+  if (existing.rows.length > 0) {
+    await makePrimary(client, productId, existing.rows[0].id);
+    return null;
+  }
+
+  const primary = await client.query('SELECT id, image_id FROM product_image WHERE product_id = $1 AND is_primary', [productId]);
+  if (primary.rows.length > 0) {
+    await client.query('UPDATE product_image SET image_id = $1, alt_text = NULL WHERE id = $2', [imageId, primary.rows[0].id]);
+    return primary.rows[0].image_id;
+  }
+
+  await client.query('UPDATE product_image SET position = position + 1 WHERE product_id = $1', [productId]);
+  await client.query(
+    'INSERT INTO product_image (product_id, image_id, position, is_primary) VALUES ($1, $2, 0, true)',
+    [productId, imageId]
+  );
+  return null;
+};
+
+// Puts the gallery in the order of entryIds, which must list every image of the product once.
+// Returns the gallery, or null when the product does not exist.
+const reorderProductImages = async (client, productId, entryIds) => {
+  if (!(await lockProduct(client, productId))) {
+    return null;
+  }
+  const current = await client.query('SELECT id FROM product_image WHERE product_id = $1', [productId]);
+  const ids = current.rows.map((row) => row.id);
+  if (entryIds.length !== ids.length || new Set(entryIds).size !== ids.length || !ids.every((id) => entryIds.includes(id))) {
+    throw new ValidationError([{ in: 'body', field: 'image_ids', message: "must list each of the product's images once" }]);
+  }
+
+  await client.query(
+    `UPDATE product_image pi SET position = o.position - 1
+     FROM unnest($2::integer[]) WITH ORDINALITY AS o(id, position)
+     WHERE pi.id = o.id AND pi.product_id = $1`,
+    [productId, entryIds]
+  );
+  return getGallery(client, productId);
+};
+
+// Changes an image's alt text (when altText is not undefined) and makes it the primary one when
+// primary is true. Returns the updated gallery entry, or null when it does not exist.
+const updateProductImage = async (client, productId, entryId, { altText, primary = false }) => {
+  if (!(await lockProduct(client, productId))) {
+    return null;
+  }
+  const existing = await client.query('SELECT id FROM product_image WHERE id = $1 AND product_id = $2', [entryId, productId]);
+  if (existing.rows.length === 0) {
+    return null;
+  }
+
+  if (altText !== undefined) {
+    await client.query('UPDATE product_image SET alt_text = $1 WHERE id = $2', [altText, entryId]);
+  }
+  if (primary) {
+    await makePrimary(client, productId, entryId);
+  }
+  const result = await client.query(`${GALLERY_SELECT} WHERE pi.id = $1`, [entryId]);
+  return describeGalleryImage(result.rows[0]);
+};
+
+// Removes an image from the gallery and closes the gap it leaves. When it was the primary image,
+// the next one in order takes over. Returns the removed row, or null when it does not exist.
+const removeProductImage = async (client, productId, entryId) => {
+  if (!(await lockProduct(client, productId))) {
+    return null;
+  }
+  const result = await client.query('DELETE FROM product_image WHERE id = $1 AND product_id = $2 RETURNING *', [entryId, productId]);
+  if (result.rows.length === 0) {
+    return null;
+  }
+  const removed = result.rows[0];
+
+  await client.query('UPDATE product_image SET position = position - 1 WHERE product_id = $1 AND position > $2', [productId, removed.position]);
+  if (removed.is_primary) {
+    await client.query(
+      `UPDATE product_image SET is_primary = true
+       WHERE id = (SELECT id FROM product_image WHERE product_id = $1 ORDER BY position, id LIMIT 1)`,
+      [productId]
+    );
+  }
+  return removed;
+};
+
+module.exports = {
+  getGallery,
+  attachPrimaryImages,
+  attachGalleries,
+  addProductImages,
+  replacePrimaryImage,
+  reorderProductImages,
+  updateProductImage,
+  removeProductImage,
+};
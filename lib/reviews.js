@@ -0,0 +1,220 @@
+// lib/reviews.js
+// Product reviews. A customer reviews a product at most once and can edit or delete their review.
+// New and edited reviews wait in the moderation queue and are only shown once an admin approves
+// them. A review is a verified purchase when its author has a delivered order containing the
+// product; this is worked out when reviews are read, so it follows the order status. Each product
+// keeps the average, count and star histogram of its approved reviews, which triggers on
+// product_review update.
+const { ConflictError, ForbiddenError } = require('./errors');
+const { ORDER_STATUS } = require('./orderStatus');
+
+const REVIEW_STATUS = {
+  PENDING: 'pending',
+  APPROVED: 'approved',
+  REJECTED: 'rejected',
+  HIDDEN: 'hidden',
+};
+
+// Allowed moderation decisions for each status. Hiding takes an approved review down; a hidden or
+// rejected review can be approved after all.
+const MODERATION_TRANSITIONS = {
+  [REVIEW_STATUS.PENDING]: [REVIEW_STATUS.APPROVED, REVIEW_STATUS.REJECTED],
+  [REVIEW_STATUS.APPROVED]: [REVIEW_STATUS.HIDDEN],
+  [REVIEW_STATUS.REJECTED]: [REVIEW_STATUS.APPROVED],
+  [REVIEW_STATUS.HIDDEN]: [REVIEW_STATUS.APPROVED],
+};
+
+// Every sort ends on the review id so pages never overlap
+const REVIEW_SORTS = {
+  newest: 'created_at DESC, id DESC',
+  oldest: 'created_at ASC, id',
+  highest: 'rating DESC, created_at DESC, id DESC',
+  lowest: 'rating ASC, created_at DESC, id DESC',
+  helpful: 'helpful_count DESC, created_at DESC, id DESC',
+};
+
+// Reviews with their author's name, helpful_count and verified_purchase.
+// $1 is the delivered order status.
+const REVIEW_SELECT = `
+  SELECT * FROM (
+    SELECT pr.*, c.first_name, c.last_name,
+           (SELECT COUNT(*)::int FROM review_vote rv WHERE rv.review_id = pr.id) AS helpful_count,
+           EXISTS (
+             SELECT 1 FROM order_item oi JOIN customer_order co ON oi.order_id = co.id
+             WHERE oi.product_id = pr.product_id AND co.customer_id = pr.customer_id AND co.status = $1
+           ) AS verified_purchase
+    FROM product_review pr
+    JOIN customer c ON pr.customer_id = c.id
+  ) reviews`;
+
+class InvalidModerationError extends ConflictError {
+  constructor(from, to) {
+    super(`Cannot change review status from ${from} to ${to}`, {
+      code: 'invalid_status_transition',
+      details: { currentStatus: from, allowedStatuses: MODERATION_TRANSITIONS[from] || [] },
+    });
+  }
+}
+
+const getReview = async (db, id) => {
+  const result = await db.query(`${REVIEW_SELECT} WHERE id = $2`, [ORDER_STATUS.DELIVERED, id]);
+  return result.rows[0] || null;
+};
+
+// Adds a pending review. A second review of the same product by the same customer is a 409
+// review_exists naming the existing review, which the customer can edit instead.
+const createReview = async (db, productId, customerId, { rating, comment }) => {
+  const result = await db.query(
+    `INSERT INTO product_review (product_id, customer_id, rating, comment) VALUES ($1, $2, $3, $4)
+     ON CONFLICT (product_id, customer_id) DO NOTHING
+     RETURNING id`,
+    [productId, customerId, rating, comment]
+  );
+  if (result.rows.length === 0) {
+    const existing = await db.query('SELECT id FROM product_review WHERE product_id = $1 AND customer_id = $2', [productId, customerId]);
+    throw new ConflictError('You have already reviewed this product', {
+      code: 'review_exists',
+      details: { reviewId: existing.rows[0].id },
+    });
+  }
+  return getReview(db, result.rows[0].id);
+};
+
+// The approved reviews of a product. verified limits them to verified purchases; sort is a key of
+// REVIEW_SORTS. Returns { reviews, total }.
+const listProductReviews = async (db, productId, { sort = 'newest', verified = false, limit, offset }) => {
+  const where = `WHERE product_id = $2 AND status = $3${verified ? ' AND verified_purchase' : ''}`;
+  const params = [ORDER_STATUS.DELIVERED, productId, REVIEW_STATUS.APPROVED];
+  const [reviews, total] = await Promise.all([
+    db.query(`${REVIEW_SELECT} ${where} ORDER BY ${REVIEW_SORTS[sort]} LIMIT $4 OFFSET $5`, [...params, limit, offset]),
+    db.query(`SELECT COUNT(*)::int AS total FROM (${REVIEW_SELECT} ${where}) matching`, params),
+  ]);
+  return { reviews: reviews.rows, total: total.rows[0].total };
+};
+
+// Changes the author's own review, which goes back to the moderation queue. Returns null when the
+// review does not exist or belongs to someone else.
+const updateReview = async (db, id, customerId, { rating, comment }) => {
+  const result = await db.query(
+    `UPDATE product_review
+     SET rating = $1, comment = $2, status = $3, updated_at = CURRENT_TIMESTAMP,
+         moderated_at = NULL, moderated_by = NULL, moderation_note = NULL
+     WHERE id = $4 AND customer_id = $5
+     RETURNING id`,
+    [rating, comment, REVIEW_STATUS.PENDING, id, customerId]
+  );
+  return result.rows.length > 0 ? getReview(db, id) : null;
+};
+
+// Deletes the author's own review. Returns the deleted row, or null when the review does not
+// exist or belongs to someone else.
+const deleteReview = async (db, id, customerId) => {
+  const result = await db.query('DELETE FROM product_review WHERE id = $1 AND customer_id = $2 RETURNING *', [id, customerId]);
+  return result.rows[0] || null;
+};
+
+// Reviews with the given status, oldest first so the queue is worked through in order, with the
+// product name. Returns { reviews, total }.
+const listModerationQueue = async (db, { status = REVIEW_STATUS.PENDING, limit, offset }) => {
+  const [reviews, total] = await Promise.all([
+    db.query(
+      `SELECT reviews.*, p.name AS product_name
+       FROM (${REVIEW_SELECT} WHERE status = $2) reviews
+       JOIN product p ON reviews.product_id = p.id
+       ORDER BY reviews.created_at, reviews.id
+       LIMIT $3 OFFSET $4`,
+      [ORDER_STATUS.DELIVERED, status, limit, offset]
+    ),
+    db.query('SELECT COUNT(*)::int AS total FROM product_review WHERE status = $1', [status]),
+  ]);
+  return { reviews: reviews.rows, total: total.rows[0].total };
+};
+
+// Approves, rejects or hides a review inside the caller's transaction. Returns the updated review,
+// or null when it does not exist.
+const moderateReview = async (client, id, status, { moderatorId, note = null }) => {
+  const current = await client.query('SELECT status FROM product_review WHERE id = $1 FOR UPDATE', [id]);
+  if (current.rows.length === 0) {
+    return null;
+  }
+  const from = current.rows[0].status;
+  if (!(MODERATION_TRANSITIONS[from] || []).includes(status)) {
+    throw new InvalidModerationError(from, status);
+  }
+
+  await client.query(
+    `UPDATE product_review
+     SET status = $1, moderated_at = CURRENT_TIMESTAMP, moderated_by = $2, moderation_note = $3
+     WHERE id = $4`,
+    [status, moderatorId, note, id]
+  );
+  return getReview(client, id);
+};
+
+// Records or withdraws a customer's helpful vote on an approved review; voting twice counts once.
+// Returns the review's helpful_count, or null when there is no such approved review.
+const setHelpfulVote = async (db, reviewId, customerId, helpful) => {
+  const review = await db.query('SELECT customer_id FROM product_review WHERE id = $1 AND status = $2', [reviewId, REVIEW_STATUS.APPROVED]);
+  if (review.rows.length === 0) {
+    return null;
+  }
+  if (review.rows[0].customer_id === customerId) {
+    throw new ForbiddenError('You cannot vote on your own review', { code: 'own_review' });
+  }
+
+  if (helpful) {
+    await db.query(
+      'INSERT INTO review_vote (review_id, customer_id) VALUES ($1, $2) ON CONFLICT DO NOTHING',
+      [reviewId, customerId]
+    );
+  } else {
+    await db.query('DELETE FROM review_vote WHERE review_id = $1 AND customer_id = $2', [reviewId, customerId]);
+  }
+  const count = await db.query('SELECT COUNT(*)::int AS helpful_count FROM review_vote WHERE review_id = $1', [reviewId]);
+  return count.rows[0].helpful_count;
+};
+
+// Recomputes every product's rating aggregates from its approved reviews, for when they drifted,
+// e.g. after reviews were changed with the triggers disabled. Returns the products whose stored
+// aggregates were wrong, with the values they had and have now.
+const rebuildProductRatings = async (pool) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const columns = 'id, name, average_rating, review_count, rating_histogram';
+    const before = await client.query(`SELECT ${columns} FROM product ORDER BY id FOR UPDATE`);
+    await client.query('SELECT refresh_product_rating(ARRAY(SELECT id FROM product))');
+    const after = await client.query(`SELECT ${columns} FROM product ORDER BY id`);
+    await client.query('COMMIT');
+
+    const previous = new Map(before.rows.map((row) => [row.id, row]));
+    return after.rows
+      .filter((row) => {
+        const old = previous.get(row.id);
+        return old.average_rating !== row.average_rating
+          || old.review_count !== row.review_count
+          || JSON.stringify(old.rating_histogram) !== JSON.stringify(row.rating_histogram);
+      })
+      .map((row) => ({ ...row, previous: previous.get(row.id) }));
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+module.exports = {
+  REVIEW_STATUS,
+  MODERATION_TRANSITIONS,
+  REVIEW_SORTS,
+  getReview,
+  createReview,
+  listProductReviews,
+  updateReview,
+  deleteReview,
+  listModerationQueue,
+  moderateReview,
+  setHelpfulVote,
+  rebuildProductRatings,
+};
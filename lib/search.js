@@ -0,0 +1,124 @@
+// lib/search.js
+// Product search behind GET /search and GET /search/suggest. Queries are parsed with
+// websearch_to_tsquery ("quoted phrases", or, -exclusions) and matched against the weighted
+// product_search documents, ranked with ts_rank_cd and highlighted with ts_headline over the
+// HTML-escaped text. When nothing matches, product names are compared by trigram word similarity
+// so misspelt queries still find something.
+
+const HIGHLIGHT_OPTIONS = 'StartSel=<mark>, StopSel=</mark>, MaxWords=30, MinWords=10, MaxFragments=2, FragmentDelimiter=" … "';
+
+// Lowest pg_trgm word similarity (0 to 1) a product name needs to match a misspelt query
+const FUZZY_THRESHOLD = 0.3;
+
+const MATCH_TYPE = {
+  FULLTEXT: 'fulltext',
+  FUZZY: 'fuzzy',
+};
+
+// HTML-escapes a text column in SQL before ts_headline wraps matches in <mark>, so the highlight
+// can be rendered as HTML whatever the product text contains
+const escapeHtmlSql = (column) => `replace(replace(replace(replace(${column}, '&', '&amp;'), '<', '&lt;'), '>', '&gt;'), '"', '&quot;')`;
+
+// Escapes LIKE wildcards so user input is matched literally
+const escapeLike = (value) => value.replace(/[\\%_]/g, '\\$&');
+
+// Moves the ts_headline columns into highlight: { name, description }
+const withHighlight = ({ name_highlight, description_highlight, ...product }) => ({
+  ...product,
+  highlight: { name: name_highlight, description: description_highlight },
+});
+
+const fullTextSearch = async (db, query, { limit, offset }) => {
+  // Headlines are only built for the rows on the page
+  const result = await db.query(
+    `SELECT ranked.*,
+            ts_headline('english', ${escapeHtmlSql('ranked.name')}, ranked.tsquery, 'HighlightAll=true, StartSel=<mark>, StopSel=</mark>') AS name_highlight,
+            NULLIF(ts_headline('english', ${escapeHtmlSql("COALESCE(ranked.description, '')")}, ranked.tsquery, $4), '') AS description_highlight
+     FROM (
+       SELECT p.*, pc.name AS category_name, pc.slug AS category_slug, ts_rank_cd(s.document, q.tsquery) AS rank, q.tsquery
+       FROM product_search s
+       CROSS JOIN (SELECT websearch_to_tsquery('english', $1) AS tsquery) q
+       JOIN product p ON s.product_id = p.id
+       LEFT JOIN product_category pc ON p.category_id = pc.id
+       WHERE s.document @@ q.tsquery
+       ORDER BY rank DESC, p.id
+       LIMIT $2 OFFSET $3
+     ) ranked
+     ORDER BY ranked.rank DESC, ranked.id`,
+    [query, limit, offset, HIGHLIGHT_OPTIONS]
+  );
+  const count = await db.query(
+    "SELECT COUNT(*)::int AS total FROM product_search WHERE document @@ websearch_to_tsquery('english', $1)",
+    [query]
+  );
+  return {
+    products: result.rows.map(({ tsquery, ...row }) => withHighlight(row)),
+    total: count.rows[0].total,
+  };
+};
+
+// The <% operator uses the trigram index; its threshold is a setting, so it is set for this
+// transaction only
+const fuzzySearch = async (pool, query, { limit, offset }) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query("SELECT set_config('pg_trgm.word_similarity_threshold', $1, true)", [String(FUZZY_THRESHOLD)]);
+    const result = await client.query(
+      `SELECT p.*, pc.name AS category_name, pc.slug AS category_slug, word_similarity($1, p.name) AS rank
+       FROM product p
+       LEFT JOIN product_category pc ON p.category_id = pc.id
+       WHERE $1 <% p.name
+       ORDER BY rank DESC, p.id
+       LIMIT $2 OFFSET $3`,
+      [query, limit, offset]
+    );
+    const count = await client.query('SELECT COUNT(*)::int AS total FROM product WHERE $1 <% name', [query]);
+    await client.query('COMMIT');
+    return {
+      products: result.rows.map((row) => withHighlight({ ...row, name_highlight: null, description_highlight: null })),
+      total: count.rows[0].total,
+    };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// Returns { products, total, matchType }; products carry their rank and highlight
+const searchProducts = async (pool, query, { limit, offset }) => {
+  const fullText = await fullTextSearch(pool, query, { limit, offset });
+  if (fullText.total > 0) {
+    return { ...fullText, matchType: MATCH_TYPE.FULLTEXT };
+  }
+  const fuzzy = await fuzzySearch(pool, query, { limit, offset });
+  return { ...fuzzy, matchType: MATCH_TYPE.FUZZY };
+};
+
+// Product and category names for a search box, best first: names starting with the text, then
+// names containing it, then close misspellings
+const suggest = async (db, text, { limit }) => {
+  const contains = `%${escapeLike(text)}%`;
+  const startsWith = `${escapeLike(text)}%`;
+  const [products, categories] = await Promise.all([
+    db.query(
+      `SELECT id, name FROM product
+       WHERE name ILIKE $1 OR $3 <% name
+       ORDER BY name ILIKE $2 DESC, name ILIKE $1 DESC, word_similarity($3, name) DESC, name
+       LIMIT $4`,
+      [contains, startsWith, text, limit]
+    ),
+    db.query(
+      `SELECT id, name, slug FROM product_category
+       WHERE name ILIKE $1 OR $3 <% name
+       ORDER BY name ILIKE $2 DESC, name ILIKE $1 DESC, word_similarity($3, name) DESC, name
+       LIMIT $4`,
+      [contains, startsWith, text, limit]
+    ),
+  ]);
+  return { products: products.rows, categories: categories.rows };
+};
+
+module.exports = { MATCH_TYPE, searchProducts, suggest };
@@ -0,0 +1,132 @@
+// lib/sessions.js
+// A login creates a session (the refresh token "family"). Each refresh rotates the refresh token;
+// presenting an already rotated token revokes the whole session, since it means the token leaked.
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { UnauthorizedError } = require('./errors');
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+// Every token the app signs shares AUTH_SECRET, so each kind names itself in the aud claim and a
+// verifier only accepts its own kind
+const ACCESS_TOKEN_AUDIENCE = 'access';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+class RefreshTokenError extends UnauthorizedError {
+  constructor(message) {
+    super(message, { code: 'invalid_refresh_token' });
+  }
+}
+
+// Refresh tokens are random, so a fast hash is enough; only the hash is stored
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const signAccessToken = (customerId, sessionId) => {
+  return jwt.sign({ id: customerId, sid: sessionId }, process.env.AUTH_SECRET, {
+    expiresIn: ACCESS_TOKEN_TTL,
+    audience: ACCESS_TOKEN_AUDIENCE,
+  });
+};
+
+const createRefreshToken = async (db, sessionId) => {
+  const refreshToken = crypto.randomBytes(32).toString('base64url');
+  const result = await db.query(
+    `INSERT INTO refresh_token (session_id, token_hash, expires_at)
+     VALUES ($1, $2, CURRENT_TIMESTAMP + $3 * INTERVAL '1 day') RETURNING id`,
+    [sessionId, hashToken(refreshToken), REFRESH_TOKEN_TTL_DAYS]
+  );
+  return { id: result.rows[0].id, refreshToken };
+};
+
+// Starts a new session for a customer who just logged in
+const issueTokens = async (db, customerId, { userAgent = null } = {}) => {
+  const sessionId = crypto.randomUUID();
+  await db.query(
+    'INSERT INTO auth_session (id, customer_id, user_agent) VALUES ($1, $2, $3)',
+    [sessionId, customerId, userAgent]
+  );
+  const { refreshToken } = await createRefreshToken(db, sessionId);
+  return { token: signAccessToken(customerId, sessionId), refreshToken };
+};
+
+// Exchanges a refresh token for a new access/refresh token pair inside the caller's transaction
+const rotateRefreshToken = async (client, refreshToken) => {
+  if (!refreshToken) {
+    throw new RefreshTokenError('Refresh token is required');
+  }
+
+  const result = await client.query(
+    `SELECT rt.*, rt.expires_at < CURRENT_TIMESTAMP AS expired, s.customer_id, s.revoked_at AS session_revoked_at
+     FROM refresh_token rt
+     JOIN auth_session s ON rt.session_id = s.id
+     WHERE rt.token_hash = $1
+     FOR UPDATE OF rt, s`,
+    [hashToken(refreshToken)]
+  );
+  if (result.rows.length === 0) {
+    throw new RefreshTokenError('Invalid refresh token');
+  }
+
+  const stored = result.rows[0];
+  if (stored.session_revoked_at) {
+    throw new RefreshTokenError('Session has been revoked');
+  }
+  if (stored.used_at) {
+    // Reuse of a rotated token: kill the whole family so neither party can keep using it
+    await revokeSession(client, stored.session_id);
+    return { reused: true };
+  }
+  if (stored.expired) {
+    throw new RefreshTokenError('Refresh token has expired');
+  }
+
+  const next = await createRefreshToken(client, stored.session_id);
+  await client.query(
+    'UPDATE refresh_token SET used_at = CURRENT_TIMESTAMP, replaced_by = $1 WHERE id = $2',
+    [next.id, stored.id]
+  );
+  await client.query('UPDATE auth_session SET last_used_at = CURRENT_TIMESTAMP WHERE id = $1', [stored.session_id]);
+
+  return {
+    reused: false,
+    token: signAccessToken(stored.customer_id, stored.session_id),
+    refreshToken: next.refreshToken,
+  };
+};
+
+const revokeSession = async (db, sessionId) => {
+  await db.query(
+    'UPDATE auth_session SET revoked_at = CURRENT_TIMESTAMP WHERE id = $1 AND revoked_at IS NULL',
+    [sessionId]
+  );
+};
+
+const revokeAllSessions = async (db, customerId) => {
+  const result = await db.query(
+    'UPDATE auth_session SET revoked_at = CURRENT_TIMESTAMP WHERE customer_id = $1 AND revoked_at IS NULL',
+    [customerId]
+  );
+  return result.rowCount;
+};
+
+// The customer behind an access token, or null when its session is revoked or unknown
+const getSessionUser = async (db, sessionId, customerId) => {
+  if (!sessionId) return null;
+  const result = await db.query(
+    `SELECT c.* FROM customer c
+     JOIN auth_session s ON s.customer_id = c.id
+     WHERE s.id = $1 AND c.id = $2 AND s.revoked_at IS NULL`,
+    [sessionId, customerId]
+  );
+  return result.rows[0] || null;
+};
+
+module.exports = {
+  ACCESS_TOKEN_AUDIENCE,
+  RefreshTokenError,
+  hashToken,
+  issueTokens,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+  getSessionUser,
+};
@@ -0,0 +1,67 @@
+// lib/storage/index.js
+//
+// A storage driver keeps uploaded files under keys such as images/<hash>/card.webp:
+//   put(key, body, { contentType })  - stores a Buffer, replacing any file with that key
+//   get(key)                         -> Buffer, or null when there is no such file
+//   delete(key)                      - removes the file; a missing file is not an error
+//   list(prefix)                     -> async iterable of { key, size, lastModified }
+//   signedUrl(key, { expiresIn })    -> a URL the file can be downloaded from for expiresIn seconds
+// A driver may also have `handler`, Express middleware that serves its files itself.
+// STORAGE_DRIVER picks the driver: local (the default) or s3.
+const { BadRequestError } = require('../errors');
+const { LocalStorage } = require('./localStorage');
+
+const factories = {
+  local: ({ uploadDir }) => new LocalStorage({ dir: uploadDir }),
+  // Loaded on demand so the AWS SDK is only required when it is used
+  s3: () => {
+    const { S3Storage } = require('./s3Storage');
+    return new S3Storage({
+      bucket: process.env.S3_BUCKET,
+      region: process.env.S3_REGION,
+      endpoint: process.env.S3_ENDPOINT,
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+    });
+  },
+};
+
+const registerStorageDriver = (name, factory) => {
+  factories[name] = factory;
+};
+
+// options are passed to the driver's factory; the local driver needs uploadDir
+const createStorage = ({ driver = process.env.STORAGE_DRIVER || 'local', ...options } = {}) => {
+  if (!factories[driver]) {
+    throw new Error(`Unknown storage driver "${driver}"`);
+  }
+  return factories[driver](options);
+};
+
+// Serves GET /uploads/<key>. Drivers with a handler serve the file; for the others the client is
+// redirected to a signed URL, which it may reuse for half its lifetime. Only keys under prefix
+// are signed, so the rest of the bucket stays private.
+const serveStorage = (storage, { expiresIn = 300, prefix = 'images/' } = {}) => {
+  if (storage.handler) {
+    return storage.handler;
+  }
+  return async (req, res, next) => {
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      return next();
+    }
+    let key;
+    try {
+      key = decodeURIComponent(req.path.slice(1));
+    } catch (error) {
+      return next(new BadRequestError('Malformed file path', { code: 'invalid_path' }));
+    }
+    if (!key.startsWith(prefix) || key.split('/').includes('..')) {
+      return next();
+    }
+    res.set('Cache-Control', `private, max-age=${Math.floor(expiresIn / 2)}`);
+    res.redirect(302, await storage.signedUrl(key, { expiresIn }));
+  };
+};
+
+module.exports = { registerStorageDriver, createStorage, serveStorage };
@@ -0,0 +1,95 @@
+// lib/storage/localStorage.js
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+
+// Keeps files in a directory on this machine, which only works for a single instance. The app
+// serves the directory itself under baseUrl, so its signed URLs are plain URLs that do not expire.
+class LocalStorage {
+  constructor({ dir, baseUrl = '/uploads' }) {
+    if (!dir) {
+      throw new Error('LocalStorage requires a directory (UPLOAD_DIR)');
+    }
+    this.name = 'local';
+    this.dir = path.resolve(dir);
+    this.baseUrl = baseUrl;
+    this.handler = express.static(this.dir);
+  }
+
+  // Keys may contain slashes but must stay inside the directory
+  pathFor(key) {
+    const file = path.resolve(this.dir, key);
+    if (!file.startsWith(this.dir + path.sep)) {
+      throw new Error(`Invalid storage key "${key}"`);
+    }
+    return file;
+  }
+
+  async put(key, body) {
+    const file = this.pathFor(key);
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    // Written under a temporary name first so readers never see half a file
+    const temporary = `${file}.${process.pid}.${Date.now()}.tmp`;
+    await fs.promises.writeFile(temporary, body);
+    await fs.promises.rename(temporary, file);
+  }
+
+  async get(key) {
+    try {
+      return await fs.promises.readFile(this.pathFor(key));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  // Also removes the directories the file leaves empty
+  async delete(key) {
+    const file = this.pathFor(key);
+    await fs.promises.rm(file, { force: true });
+    for (let dir = path.dirname(file); dir !== this.dir; dir = path.dirname(dir)) {
+      try {
+        await fs.promises.rmdir(dir);
+      } catch (error) {
+        // Not empty, or already removed
+        return;
+      }
+    }
+  }
+
+  async *list(prefix = '') {
+    const walk = async function* (dir) {
+      let entries;
+      try {
+        entries = await fs.promises.readdir(dir, { withFileTypes: true });
+      } catch (error) {
+        if (error.code === 'ENOENT') return;
+        throw error;
+      }
+      for (const entry of entries) {
+        const file = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+          yield* walk(file);
+        } else if (!entry.name.endsWith('.tmp')) {
+          yield file;
+        }
+      }
+    };
+
+    // Only the directories that can hold keys with this prefix are read
+    const start = prefix.includes('/') ? path.join(this.dir, prefix.slice(0, prefix.lastIndexOf('/'))) : this.dir;
+    for await (const file of walk(start)) {
+      const key = path.relative(this.dir, file).split(path.sep).join('/');
+      if (key.startsWith(prefix)) {
+        const stats = await fs.promises.stat(file);
+        yield { key, size: stats.size, lastModified: stats.mtime };
+      }
+    }
+  }
+
+  async signedUrl(key) {
+    return `${this.baseUrl}/${key}`;
+  }
+}
+
+module.exports = { LocalStorage };
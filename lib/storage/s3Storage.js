@@ -0,0 +1,63 @@
+// lib/storage/s3Storage.js
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  DeleteObjectCommand,
+  ListObjectsV2Command,
+} = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+
+// Keeps files in an S3 bucket or any S3-compatible service such as MinIO. The bucket can stay
+// private since clients download through presigned URLs. MinIO needs forcePathStyle.
+class S3Storage {
+  constructor({ bucket, region = 'us-east-1', endpoint, accessKeyId, secretAccessKey, forcePathStyle = false }) {
+    if (!bucket) {
+      throw new Error('S3Storage requires a bucket (S3_BUCKET)');
+    }
+    this.name = 's3';
+    this.bucket = bucket;
+    this.client = new S3Client({
+      region,
+      endpoint,
+      forcePathStyle,
+      // Without keys the SDK falls back to its default chain, e.g. an instance role
+      credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined,
+    });
+  }
+
+  async put(key, body, { contentType } = {}) {
+    await this.client.send(new PutObjectCommand({ Bucket: this.bucket, Key: key, Body: body, ContentType: contentType }));
+  }
+
+  async get(key) {
+    try {
+      const result = await this.client.send(new GetObjectCommand({ Bucket: this.bucket, Key: key }));
+      return Buffer.from(await result.Body.transformToByteArray());
+    } catch (error) {
+      if (error.name === 'NoSuchKey') return null;
+      throw error;
+    }
+  }
+
+  async delete(key) {
+    await this.client.send(new DeleteObjectCommand({ Bucket: this.bucket, Key: key }));
+  }
+
+  async *list(prefix = '') {
+    let token;
+    do {
+      const page = await this.client.send(new ListObjectsV2Command({ Bucket: this.bucket, Prefix: prefix, ContinuationToken: token }));
+      for (const object of page.Contents || []) {
+        yield { key: object.Key, size: object.Size, lastModified: object.LastModified };
+      }
+      token = page.IsTruncated ? page.NextContinuationToken : undefined;
+    } while (token);
+  }
+
+  async signedUrl(key, { expiresIn = 3600 } = {}) {
+    return getSignedUrl(this.client, new GetObjectCommand({ Bucket: this.bucket, Key: key }), { expiresIn });
+  }
+}
+
+module.exports = { S3Storage };
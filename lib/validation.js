@@ -0,0 +1,131 @@
+// lib/validation.js
+// Validates requests against the OpenAPI operations documented in the swagger JSDoc blocks,
+// so the runtime checks and /api-docs always come from the same schemas.
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+const { ValidationError } = require('./errors');
+
+const METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+// Request body media types that are validated; form fields arrive as strings like query values
+const BODY_TYPES = ['application/json', 'multipart/form-data'];
+
+// Express route paths use :param, OpenAPI paths use {param}
+const toOpenApiPath = (routePath) => routePath.replace(/:(\w+)/g, '{$1}');
+
+// Resolves a local "#/components/..." reference in the spec
+const resolveRef = (spec, value) => {
+  if (!value || !value.$ref) return value;
+  return value.$ref
+    .replace(/^#\//, '')
+    .split('/')
+    .reduce((node, key) => node[key.replace(/~1/g, '/').replace(/~0/g, '~')], spec);
+};
+
+// Builds an object schema for the path or query parameters of an operation
+const parametersSchema = (spec, parameters, location) => {
+  const schema = { type: 'object', properties: {}, required: [] };
+  for (const parameter of parameters.map((p) => resolveRef(spec, p))) {
+    if (parameter.in !== location) continue;
+    schema.properties[parameter.name] = parameter.schema || {};
+    if (parameter.required) schema.required.push(parameter.name);
+  }
+  return Object.keys(schema.properties).length > 0 ? schema : null;
+};
+
+// Turns Ajv errors into [{ in, field, message }], one entry per field problem
+const formatErrors = (location, errors) => {
+  return errors.map((error) => {
+    const path = error.instancePath.replace(/^\//, '').replace(/\//g, '.');
+    const field = error.keyword === 'required'
+      ? [path, error.params.missingProperty].filter(Boolean).join('.')
+      : error.keyword === 'additionalProperties'
+        ? [path, error.params.additionalProperty].filter(Boolean).join('.')
+        : path;
+    const message = error.keyword === 'enum'
+      ? `${error.message}: ${error.params.allowedValues.join(', ')}`
+      : error.message;
+    return { in: location, field: field || null, message };
+  });
+};
+
+// Compiles every documented operation up front so a broken schema fails at startup.
+// Returns a middleware that validates req.params, req.query and req.body for the route it is mounted on
+// and passes a ValidationError (422) listing every field error to the error handler.
+const createValidator = (spec) => {
+  // Query, path and form values arrive as strings and are coerced to the documented types; a
+  // single value for an array parameter (?category=A) becomes a one-item array
+  const paramsAjv = addFormats(new Ajv({ allErrors: true, strict: false, coerceTypes: 'array', useDefaults: true }));
+  const bodyAjv = {
+    'application/json': addFormats(new Ajv({ allErrors: true, strict: false })),
+    'multipart/form-data': addFormats(new Ajv({ allErrors: true, strict: false, coerceTypes: true })),
+  };
+  for (const ajv of Object.values(bodyAjv)) {
+    // Uploaded files are handled by multer and never appear in req.body
+    ajv.addFormat('binary', true);
+    ajv.addSchema({ components: spec.components || {} }, 'openapi');
+  }
+
+  const operations = new Map();
+  for (const [path, item] of Object.entries(spec.paths || {})) {
+    const shared = item.parameters || [];
+    for (const method of METHODS.filter((m) => item[m])) {
+      const operation = item[method];
+      const parameters = [...shared, ...(operation.parameters || [])];
+      const pathSchema = parametersSchema(spec, parameters, 'path');
+      const querySchema = parametersSchema(spec, parameters, 'query');
+      const requestBody = resolveRef(spec, operation.requestBody);
+      const content = (requestBody && requestBody.content) || {};
+
+      const body = {};
+      for (const type of BODY_TYPES.filter((t) => content[t] && content[t].schema)) {
+        // Component references are resolved against the spec registered as "openapi"
+        const schema = JSON.parse(JSON.stringify(content[type].schema).replace(/"#\/components\//g, '"openapi#/components/'));
+        body[type] = bodyAjv[type].compile(schema);
+      }
+
+      operations.set(`${method} ${path}`, {
+        params: pathSchema && paramsAjv.compile(pathSchema),
+        query: querySchema && paramsAjv.compile(querySchema),
+        body: Object.keys(body).length > 0 ? body : null,
+        bodyRequired: Boolean(requestBody && requestBody.required),
+      });
+    }
+  }
+
+  return (req, res, next) => {
+    const key = `${req.method.toLowerCase()} ${toOpenApiPath(req.baseUrl + req.route.path)}`;
+    const validators = operations.get(key);
+    if (!validators) {
+      return next(new Error(`No OpenAPI operation is documented for ${key}`));
+    }
+
+    const errors = [];
+    if (validators.params && !validators.params(req.params)) {
+      errors.push(...formatErrors('path', validators.params.errors));
+    }
+    if (validators.query && !validators.query(req.query)) {
+      errors.push(...formatErrors('query', validators.query.errors));
+    }
+    if (validators.body) {
+      // express.json leaves an empty object when no JSON body was sent
+      const type = BODY_TYPES.find((t) => req.is(t));
+      const missing = req.body === undefined || (Object.keys(req.body).length === 0 && !type);
+      const validateBody = validators.body[type || 'application/json'];
+      if (missing && validators.bodyRequired) {
+        errors.push({ in: 'body', field: null, message: 'request body is required' });
+      } else if (!missing && !validateBody) {
+        errors.push({ in: 'body', field: null, message: `content type must be one of: ${Object.keys(validators.body).join(', ')}` });
+      } else if (!missing && !validateBody(req.body)) {
+        errors.push(...formatErrors('body', validateBody.errors));
+      }
+    }
+
+    if (errors.length > 0) {
+      return next(new ValidationError(errors));
+    }
+    next();
+  };
+};
+
+module.exports = { createValidator, toOpenApiPath };
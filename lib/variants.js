@@ -0,0 +1,160 @@
+// lib/variants.js
+// A product can be sold in variants such as sizes and colours. The product's option types are kept
+// in product_option; every variant has one value per option, its own SKU and stock, and optionally
+// its own price and image. A product that has variants is only sold as one of them.
+const { ConflictError, NotFoundError, ValidationError } = require('./errors');
+const { attachImages } = require('./images');
+
+// Variants as the API returns them: price is the effective price, price_override the variant's own
+const VARIANT_SELECT = `
+  SELECT v.id, v.product_id, v.sku, v.name, COALESCE(v.price, p.price) AS price, v.price AS price_override,
+         v.stock_quantity, v.image_path, v.image_id,
+         COALESCE((SELECT json_object_agg(po.name, vo.value ORDER BY po.position)
+                   FROM product_variant_option vo JOIN product_option po ON vo.option_id = po.id
+                   WHERE vo.variant_id = v.id), '{}') AS options
+  FROM product_variant v
+  JOIN product p ON v.product_id = p.id`;
+
+const getVariant = async (db, productId, variantId) => {
+  const result = await db.query(`${VARIANT_SELECT} WHERE v.id = $1 AND v.product_id = $2`, [variantId, productId]);
+  if (result.rows.length === 0) {
+    return null;
+  }
+  return (await attachImages(db, result.rows))[0];
+};
+
+// Adds `options` (option type names in order) and `variants` to each product row
+const attachVariants = async (db, products) => {
+  const ids = products.map((product) => product.id);
+  const [options, variants] = await Promise.all([
+    db.query('SELECT product_id, name FROM product_option WHERE product_id = ANY($1) ORDER BY position', [ids]),
+    db.query(`${VARIANT_SELECT} WHERE v.product_id = ANY($1) ORDER BY v.id`, [ids]),
+  ]);
+  const withImages = await attachImages(db, variants.rows);
+  return products.map((product) => ({
+    ...product,
+    options: options.rows.filter((row) => row.product_id === product.id).map((row) => row.name),
+    variants: withImages.filter((row) => row.product_id === product.id),
+  }));
+};
+
+// Checks what is being added to a cart: a variant must belong to the product, and a product
+// with variants cannot be bought without choosing one
+const checkVariantSelection = async (db, productId, variantId) => {
+  if (variantId) {
+    const result = await db.query('SELECT id FROM product_variant WHERE id = $1 AND product_id = $2', [variantId, productId]);
+    if (result.rows.length === 0) {
+      throw new NotFoundError('Variant not found', { code: 'variant_not_found' });
+    }
+    return;
+  }
+  const result = await db.query('SELECT EXISTS (SELECT 1 FROM product_variant WHERE product_id = $1) AS has_variants', [productId]);
+  if (result.rows[0].has_variants) {
+    throw new ValidationError([{ in: 'body', field: 'variantId', message: 'is required for products with variants' }]);
+  }
+};
+
+// Makes the product's option types match a variant's options. The first variant of a product
+// defines them; later variants must use exactly the same ones.
+const syncOptions = async (client, productId, variantId, names) => {
+  const others = await client.query(
+    'SELECT COUNT(*)::int AS count FROM product_variant WHERE product_id = $1 AND id IS DISTINCT FROM $2',
+    [productId, variantId]
+  );
+  const existing = await client.query('SELECT id, name FROM product_option WHERE product_id = $1 ORDER BY position', [productId]);
+
+  if (others.rows[0].count > 0) {
+    const expected = existing.rows.map((row) => row.name);
+    if (names.length !== expected.length || !expected.every((name) => names.includes(name))) {
+      throw new ValidationError([{ in: 'body', field: 'options', message: `must set exactly these options: ${expected.join(', ')}` }]);
+    }
+    return existing.rows;
+  }
+
+  await client.query('DELETE FROM product_option WHERE product_id = $1', [productId]);
+  const created = [];
+  for (const [position, name] of names.entries()) {
+    const result = await client.query(
+      'INSERT INTO product_option (product_id, name, position) VALUES ($1, $2, $3) RETURNING id, name',
+      [productId, name, position]
+    );
+    created.push(result.rows[0]);
+  }
+  return created;
+};
+
+// Creates a variant, or replaces one when variantId is given, inside the caller's transaction.
+// Stock is left to the caller so it goes through the inventory ledger. Returns the raw variant
+// row, or null when the product (or the variant being replaced) does not exist.
+const saveVariant = async (client, productId, { variantId = null, sku, options, price = null, imageId = null }) => {
+  // Locking the product serialises concurrent changes to its option types
+  const product = await client.query('SELECT id FROM product WHERE id = $1 FOR UPDATE', [productId]);
+  if (product.rows.length === 0) {
+    return null;
+  }
+
+  const optionRows = await syncOptions(client, productId, variantId, Object.keys(options));
+  const values = optionRows.map((option) => options[option.name]);
+
+  const duplicate = await client.query(
+    `SELECT v.id FROM product_variant v
+     WHERE v.product_id = $1 AND v.id IS DISTINCT FROM $2
+       AND (SELECT jsonb_object_agg(po.name, vo.value)
+            FROM product_variant_option vo JOIN product_option po ON vo.option_id = po.id
+            WHERE vo.variant_id = v.id) = $3::jsonb`,
+    [productId, variantId, JSON.stringify(options)]
+  );
+  if (duplicate.rows.length > 0) {
+    throw new ConflictError('A variant with these options already exists', {
+      code: 'variant_exists',
+      details: { variantId: duplicate.rows[0].id },
+    });
+  }
+
+  let result;
+  if (variantId) {
+    // A new image also replaces an original uploaded before images were processed
+    result = await client.query(
+      `UPDATE product_variant
+       SET sku = $1, name = $2, price = $3,
+           image_id = COALESCE($4, image_id),
+           image_path = CASE WHEN $4::integer IS NULL THEN image_path END
+       WHERE id = $5 AND product_id = $6 RETURNING *`,
+      [sku, values.join(' / '), price, imageId, variantId, productId]
+    );
+    if (result.rows.length === 0) {
+      return null;
+    }
+  } else {
+    result = await client.query(
+      'INSERT INTO product_variant (product_id, sku, name, price, image_id) VALUES ($1, $2, $3, $4, $5) RETURNING *',
+      [productId, sku, values.join(' / '), price, imageId]
+    );
+  }
+  const variant = result.rows[0];
+
+  await client.query('DELETE FROM product_variant_option WHERE variant_id = $1', [variant.id]);
+  for (const [i, option] of optionRows.entries()) {
+    await client.query(
+      'INSERT INTO product_variant_option (variant_id, option_id, value) VALUES ($1, $2, $3)',
+      [variant.id, option.id, values[i]]
+    );
+  }
+  return variant;
+};
+
+// Deletes a variant inside the caller's transaction; the option types go with the last one.
+// Returns the deleted row, or null when it does not exist.
+const deleteVariant = async (client, productId, variantId) => {
+  const result = await client.query('DELETE FROM product_variant WHERE id = $1 AND product_id = $2 RETURNING *', [variantId, productId]);
+  if (result.rows.length === 0) {
+    return null;
+  }
+  await client.query(
+    'DELETE FROM product_option WHERE product_id = $1 AND NOT EXISTS (SELECT 1 FROM product_variant WHERE product_id = $1)',
+    [productId]
+  );
+  return result.rows[0];
+};
+
+module.exports = { getVariant, attachVariants, checkVariantSelection, saveVariant, deleteVariant };
@@ -0,0 +1,1362 @@
+// routes/admin.js
+const express = require('express');
+const multer = require('multer');
+const { createCoupon } = require('../lib/coupons');
+const { MOVEMENT_REASON, recordMovement, adjustStock, getStockHistory, findStockDiscrepancies } = require('../lib/inventory');
+const { getVariant, saveVariant, deleteVariant } = require('../lib/variants');
+const { createCategory, updateCategory, deleteCategory } = require('../lib/categories');
+const { listModerationQueue, moderateReview } = require('../lib/reviews');
+const { MAX_IMAGE_BYTES, storeImage, releaseImages } = require('../lib/images');
+const { deleteLegacyImage } = require('../lib/legacyImages');
+const {
+  getGallery,
+  attachPrimaryImages,
+  addProductImages,
+  replacePrimaryImage,
+  reorderProductImages,
+  updateProductImage,
+  removeProductImage,
+} = require('../lib/productImages');
+const { ORDER_STATUS } = require('../lib/orderStatus');
+const { NotFoundError, ValidationError } = require('../lib/errors');
+
+// Most images one request to POST /products/:id/images can upload
+const MAX_IMAGES_PER_UPLOAD = 10;
+
+// Orders the sales report leaves out: not paid (yet), or their sale was undone
+const UNSOLD_STATUSES = [ORDER_STATUS.PENDING, ORDER_STATUS.CANCELLED, ORDER_STATUS.REFUNDED];
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ProductInput:
+ *       type: object
+ *       required:
+ *         - name
+ *         - price
+ *         - category_id
+ *         - stock_quantity
+ *       properties:
+ *         name:
+ *           type: string
+ *           minLength: 1
+ *         description:
+ *           type: string
+ *         price:
+ *           type: number
+ *           minimum: 0
+ *         category_id:
+ *           type: integer
+ *           minimum: 1
+ *         stock_quantity:
+ *           type: integer
+ *           minimum: 0
+ *     ProductUpload:
+ *       allOf:
+ *         - $ref: '#/components/schemas/ProductInput'
+ *         - type: object
+ *           properties:
+ *             image:
+ *               type: string
+ *               format: binary
+ *     ProductVariantInput:
+ *       type: object
+ *       required:
+ *         - sku
+ *         - options
+ *         - stock_quantity
+ *       properties:
+ *         sku:
+ *           type: string
+ *           minLength: 1
+ *           maxLength: 64
+ *         options:
+ *           type: object
+ *           description: 'One value per option type, e.g. {"Size": "M", "Colour": "Red"}. The first variant of a product sets its option types; in multipart forms send options[Size]=M.'
+ *           minProperties: 1
+ *           propertyNames:
+ *             minLength: 1
+ *             maxLength: 50
+ *           additionalProperties:
+ *             type: string
+ *             minLength: 1
+ *             maxLength: 100
+ *         price:
+ *           type: number
+ *           minimum: 0
+ *           description: Leave out to sell the variant at the product's price
+ *         stock_quantity:
+ *           type: integer
+ *           minimum: 0
+ *     ProductVariantUpload:
+ *       allOf:
+ *         - $ref: '#/components/schemas/ProductVariantInput'
+ *         - type: object
+ *           properties:
+ *             image:
+ *               type: string
+ *               format: binary
+ *     CategoryInput:
+ *       type: object
+ *       required:
+ *         - name
+ *       properties:
+ *         name:
+ *           type: string
+ *           minLength: 1
+ *           maxLength: 100
+ *           description: Unique among the categories with the same parent
+ *         description:
+ *           type: string
+ *         slug:
+ *           type: string
+ *           minLength: 1
+ *           maxLength: 120
+ *           pattern: '^[a-z0-9]+(-[a-z0-9]+)*$'
+ *           description: Unique URL name such as garden-tools. Made from the name when a category is created without one, and kept unchanged when a category is updated without one.
+ *         parent_id:
+ *           type: integer
+ *           minimum: 1
+ *           nullable: true
+ *           description: The parent category; leave out or null for a top-level category
+ *         sort_order:
+ *           type: integer
+ *           default: 0
+ *           description: Position among the categories with the same parent, lowest first
+ */
+
+const createAdminRouter = ({ pool, verifyToken, isAdmin, validate, storage }) => {
+  const router = express.Router();
+
+  // Uploads are kept in memory until they are validated and re-encoded by storeImage
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_IMAGE_BYTES, files: MAX_IMAGES_PER_UPLOAD },
+  });
+
+  // Processes an uploaded file and remembers the image so a failed request can release it
+  const storeUpload = async (req, file) => {
+    const image = await storeImage(pool, storage, file.buffer);
+    req.storedImages = [...(req.storedImages || []), image];
+    return image;
+  };
+
+  const storeUploadedImage = async (req) => (req.file ? storeUpload(req, req.file) : null);
+
+  // Catalog management
+
+  /**
+   * @swagger
+   * /products:
+   *   post:
+   *     summary: Add a new product
+   *     description: Send multipart/form-data to upload an image along with the fields. The image must be a JPEG, PNG, GIF or WebP file; it is resized into thumbnail, card and zoom sizes in WebP and JPEG, without its metadata.
+   *     tags: [Products]
+   *     security:
+   *       - bearerAuth: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             $ref: '#/components/schemas/ProductInput'
+   *         multipart/form-data:
+   *           schema:
+   *             $ref: '#/components/schemas/ProductUpload'
+   *     responses:
+   *       201:
+   *         description: The created product. An uploaded image becomes its primary image, with the URLs of its sizes under image.urls.
+   *       413:
+   *         description: The image is larger than MAX_IMAGE_BYTES
+   *       422:
+   *         description: Invalid details, or the image is not a JPEG, PNG, GIF or WebP file
+   */
+  router.post('/products', verifyToken, isAdmin, upload.single('image'), validate, async (req, res) => {
+    const { name, description, price, category_id, stock_quantity } = req.body;
+    const image = await storeUploadedImage(req);
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const result = await client.query(
+        'INSERT INTO product (name, description, price, category_id, stock_quantity) VALUES ($1, $2, $3, $4, $5) RETURNING *',
+        [name, description, price, category_id, stock_quantity]
+      );
+      const product = result.rows[0];
+      if (image) {
+        await addProductImages(client, product.id, [image.id]);
+      }
+      if (product.stock_quantity > 0) {
+        await recordMovement(client, {
+          productId: product.id,
+          quantity: product.stock_quantity,
+          reason: MOVEMENT_REASON.RESTOCK,
+          actorId: req.userId,
+          note: 'Initial stock',
+        });
+      }
+      await client.query('COMMIT');
+      res.status(201).json((await attachPrimaryImages(pool, [product]))[0]);
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  });
+
+  /**
+   * @swagger
+   * /products/{id}:
+   *   put:
+   *     summary: Replace a product's details
+   *     description: Send multipart/form-data with an image to replace the product's primary image; the rest of its gallery is kept. Images are processed as for POST /products.
+   *     tags: [Products]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *           minimum: 1
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             $ref: '#/components/schemas/ProductInput'
+   *         multipart/form-data:
+   *           schema:
+   *             $ref: '#/components/schemas/ProductUpload'
+   *     responses:
+   *       200:
+   *         description: The updated product
+   *       404:
+   *         description: Product not found
+   */
+  router.put('/products/:id', verifyToken, isAdmin, upload.single('image'), validate, async (req, res) => {
+    const { id } = req.params;
+    const { name, description, price, category_id, stock_quantity } = req.body;
+    const image = await storeUploadedImage(req);
+
+    const client = await pool.connect();
+    let product;
+    let previous;
+    let replacedImage = null;
+    try {
+      await client.query('BEGIN');
+      previous = await client.query('SELECT image_path, stock_quantity FROM product WHERE id = $1 FOR UPDATE', [id]);
+      if (previous.rows.length === 0) {
+        throw new NotFoundError('Product not found', { code: 'product_not_found' });
+      }
+
+      let query = 'UPDATE product SET name = $1, description = $2, price = $3, category_id = $4';
+      const queryParams = [name, description, price, category_id];
+
+      // A new image also replaces an original uploaded before images were processed
+      if (image) {
+        query += ', image_path = NULL';
+        replacedImage = await replacePrimaryImage(client, id, image.id);
+      }
+
+      query += ' WHERE id = $' + (queryParams.length + 1) + ' RETURNING *';
+      queryParams.push(id);
+
+      product = (await client.query(query, queryParams)).rows[0];
+
+      // The new stock level goes through the ledger as an adjustment
+      const difference = stock_quantity - previous.rows[0].stock_quantity;
+      if (difference !== 0) {
+        ({ product } = await adjustStock(client, id, {
+          quantity: difference,
+          actorId: req.userId,
+          note: 'Stock set by product update',
+        }));
+      }
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    // If a new image was uploaded, release the old one; its files go once nothing uses it
+    if (image) {
+      await releaseImages(pool, storage, [replacedImage]);
+      if (previous.rows[0].image_path) {
+        await deleteLegacyImage(storage, previous.rows[0].image_path);
+      }
+    }
+
+    res.json((await attachPrimaryImages(pool, [product]))[0]);
+  });
+
+  /**
+   * @swagger
+   * /products/{id}:
+   *   delete:
+   *     summary: Delete a product
+   *     tags: [Products]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *           minimum: 1
+   *     responses:
+   *       200:
+   *         description: Product deleted successfully
+   *       404:
+   *         description: Product not found
+   */
+  router.delete('/products/:id', verifyToken, isAdmin, validate, async (req, res) => {
+    const { id } = req.params;
+    const images = await pool.query(
+      `SELECT image_id, NULL AS image_path FROM product_image WHERE product_id = $1
+       UNION ALL
+       SELECT image_id, image_path FROM product_variant WHERE product_id = $1`,
+      [id]
+    );
+    const result = await pool.query('DELETE FROM product WHERE id = $1 RETURNING *', [id]);
+    if (result.rows.length === 0) {
+      throw new NotFoundError('Product not found', { code: 'product_not_found' });
+    }
+
+    // Delete the gallery and variant images unless other products still use them
+    await releaseImages(pool, storage, images.rows.map((row) => row.image_id));
+    for (const { image_path: imagePath } of [result.rows[0], ...images.rows]) {
+      if (imagePath) {
+        await deleteLegacyImage(storage, imagePath);
+      }
+    }
+
+    res.json({ message: 'Product deleted successfully' });
+  });
+
+  // Product images
+
+  /**
+   * @swagger
+   * /products/{id}/images:
+   *   post:
+   *     summary: Add images to a product's gallery
+   *     description: Send multipart/form-data with up to 10 files in images. They are processed as for POST /products and added to the end of the gallery in the order sent; images already in it are skipped. The first image of an empty gallery becomes the primary one.
+   *     tags: [Products]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *           minimum: 1
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         multipart/form-data:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               images:
+   *                 type: array
+   *                 items:
+   *                   type: string
+   *                   format: binary
+   *     responses:
+   *       201:
+   *         description: The product's gallery in order
+   *       400:
+   *         description: More than 10 files
+   *       404:
+   *         description: Product not found
+   *       413:
+   *         description: An image is larger than MAX_IMAGE_BYTES
+   *       422:
+   *         description: No images, or a file that is not a JPEG, PNG, GIF or WebP image
+   */
+  router.post('/products/:id/images', verifyToken, isAdmin, upload.array('images'), validate, async (req, res) => {
+    const { id } = req.params;
+    if (!req.files || req.files.length === 0) {
+      throw new ValidationError([{ in: 'body', field: 'images', message: 'must contain at least one image' }]);
+    }
+    const images = [];
+    for (const file of req.files) {
+      images.push(await storeUpload(req, file));
+    }
+
+    const client = await pool.connect();
+    let gallery;
+    try {
+      await client.query('BEGIN');
+      gallery = await addProductImages(client, id, images.map((image) => image.id));
+      if (!gallery) {
+        throw new NotFoundError('Product not found', { code: 'product_not_found' });
+      }
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+    res.status(201).json(gallery);
+  });
+
+  /**
+   * @swagger
+   * /products/{id}/images/order:
+   *   put:
+   *     summary: Reorder a product's gallery
+   *     tags: [Products]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *           minimum: 1
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - image_ids
+   *             properties:
+   *               image_ids:
+   *                 type: array
+   *                 description: Every gallery image id of the product, in the new order
+   *                 items:
+   *                   type: integer
+   *                   minimum: 1
+   *     responses:
+   *       200:
+   *         description: The product's gallery in its new order
+   *       404:
+   *         description: Product not found
+   *       422:
+   *         description: image_ids does not list each of the product's images exactly once
+   */
+  router.put('/products/:id/images/order', verifyToken, isAdmin, validate, async (req, res) => {
+    const { id } = req.params;
+    const client = await pool.connect();
+    let gallery;
+    try {
+      await client.query('BEGIN');
+      gallery = await reorderProductImages(client, id, req.body.image_ids);
+      if (!gallery) {
+        throw new NotFoundError('Product not found', { code: 'product_not_found' });
+      }
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+    res.json(gallery);
+  });
+
+  /**
+   * @swagger
+   * /products/{id}/images/{imageId}:
+   *   patch:
+   *     summary: Change an image's alt text or make it the primary image
+   *     tags: [Products]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *           minimum: 1
+   *       - in: path
+   *         name: imageId
+   *         required: true
+   *         schema:
+   *           type: integer
+   *           minimum: 1
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             minProperties: 1
+   *             properties:
+   *               alt_text:
+   *                 type: string
+   *                 maxLength: 255
+   *                 nullable: true
+   *               is_primary:
+   *                 type: boolean
+   *                 enum: [true]
+   *                 description: Makes this the primary image; another image takes over the role only by being made primary itself
+   *     responses:
+   *       200:
+   *         description: The updated gallery image
+   *       404:
+   *         description: Image not found
+   */
+  router.patch('/products/:id/images/:imageId', verifyToken, isAdmin, validate, async (req, res) => {
+    const { id, imageId } = req.params;
+    const { alt_text: altText, is_primary: primary } = req.body;
+    const client = await pool.connect();
+    let image;
+    try {
+      await client.query('BEGIN');
+      image = await updateProductImage(client, id, imageId, { altText, primary });
+      if (!image) {
+        throw new NotFoundError('Image not found', { code: 'image_not_found' });
+      }
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+    res.json(image);
+  });
+
+  /**
+   * @swagger
+   * /products/{id}/images/{imageId}:
+   *   delete:
+   *     summary: Remove an image from a product's gallery
+   *     description: When it was the primary image, the next image in the gallery becomes the primary one.
+   *     tags: [Products]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *           minimum: 1
+   *       - in: path
+   *         name: imageId
+   *         required: true
+   *         schema:
+   *           type: integer
+   *           minimum: 1
+   *     responses:
+   *       200:
+   *         description: The product's remaining gallery
+   *       404:
+   *         description: Image not found
+   */
+  router.delete('/products/:id/images/:imageId', verifyToken, isAdmin, validate, async (req, res) => {
+    const { id, imageId } = req.params;
+    const client = await pool.connect();
+    let removed;
+    try {
+      await client.query('BEGIN');
+      removed = await removeProductImage(client, id, imageId);
+      if (!removed) {
+        throw new NotFoundError('Image not found', { code: 'image_not_found' });
+      }
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    await releaseImages(pool, storage, [removed.image_id]);
+    res.json(await getGallery(pool, id));
+  });
+
+  // Variants
+
+  /**
+   * @swagger
+   * /products/{id}/variants:
+   *   post:
+   *     summary: Add a variant to a product
+   *     description: Send multipart/form-data to upload a variant image along with the fields; images are processed as for POST /products. The initial stock is recorded in the inventory ledger.
+   *     tags: [Products]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *           minimum: 1
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             $ref: '#/components/schemas/ProductVariantInput'
+   *         multipart/form-data:
+   *           schema:
+   *             $ref: '#/components/schemas/ProductVariantUpload'
+   *     responses:
+   *       201:
+   *         description: The created variant with its options and effective price
+   *       404:
+   *         description: Product not found
+   *       409:
+   *         description: The SKU is taken, or the product already has a variant with these options
+   *       422:
+   *         description: Invalid fields, or options that differ from the product's option types
+   */
+  router.post('/products/:id/variants', verifyToken, isAdmin, upload.single('image'), validate, async (req, res) => {
+    const { id } = req.params;
+    const { sku, options, price = null, stock_quantity } = req.body;
+    const image = await storeUploadedImage(req);
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const saved = await saveVariant(client, id, { sku, options, price, imageId: image ? image.id : null });
+      if (!saved) {
+        throw new NotFoundError('Product not found', { code: 'product_not_found' });
+      }
+      if (stock_quantity > 0) {
+        await adjustStock(client, id, {
+          variantId: saved.id,
+          quantity: stock_quantity,
+          reason: MOVEMENT_REASON.RESTOCK,
+          actorId: req.userId,
+          note: 'Initial stock',
+        });
+      }
+      const variant = await getVariant(client, id, saved.id);
+      await client.query('COMMIT');
+      res.status(201).json(variant);
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  });
+
+  /**
+   * @swagger
+   * /products/{id}/variants/{variantId}:
+   *   put:
+   *     summary: Replace a variant's details
+   *     description: Send multipart/form-data with an image to replace the variant image; images are processed as for POST /products. A changed stock_quantity is recorded in the inventory ledger as an adjustment.
+   *     tags: [Products]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *           minimum: 1
+   *       - in: path
+   *         name: variantId
+   *         required: true
+   *         schema:
+   *           type: integer
+   *           minimum: 1
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             $ref: '#/components/schemas/ProductVariantInput'
+   *         multipart/form-data:
+   *           schema:
+   *             $ref: '#/components/schemas/ProductVariantUpload'
+   *     responses:
+   *       200:
+   *         description: The updated variant
+   *       404:
+   *         description: Product or variant not found
+   *       409:
+   *         description: The SKU is taken, or another variant has these options
+   *       422:
+   *         description: Invalid fields, or options that differ from the product's option types
+   */
+  router.put('/products/:id/variants/:variantId', verifyToken, isAdmin, upload.single('image'), validate, async (req, res) => {
+    const { id, variantId } = req.params;
+    const { sku, options, price = null, stock_quantity } = req.body;
+    const image = await storeUploadedImage(req);
+
+    const client = await pool.connect();
+    let variant;
+    let previous;
+    try {
+      await client.query('BEGIN');
+      previous = await client.query(
+        'SELECT image_id, image_path, stock_quantity FROM product_variant WHERE id = $1 AND product_id = $2 FOR UPDATE',
+        [variantId, id]
+      );
+      if (previous.rows.length === 0) {
+        throw new NotFoundError('Variant not found', { code: 'variant_not_found' });
+      }
+
+      await saveVariant(client, id, { variantId, sku, options, price, imageId: image ? image.id : null });
+
+      // The new stock level goes through the ledger as an adjustment
+      const difference = stock_quantity - previous.rows[0].stock_quantity;
+      if (difference !== 0) {
+        await adjustStock(client, id, {
+          variantId,
+          quantity: difference,
+          actorId: req.userId,
+          note: 'Stock set by variant update',
+        });
+      }
+      variant = await getVariant(client, id, variantId);
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    // If a new image was uploaded, release the old one; its files go once nothing uses it
+    if (image) {
+      const { image_id: previousImage, image_path: legacyPath } = previous.rows[0];
+      if (previousImage !== image.id) {
+        await releaseImages(pool, storage, [previousImage]);
+      }
+      if (legacyPath) {
+        await deleteLegacyImage(storage, legacyPath);
+      }
+    }
+
+    res.json(variant);
+  });
+
+  /**
+   * @swagger
+   * /products/{id}/variants/{variantId}:
+   *   delete:
+   *     summary: Delete a variant
+   *     description: The product's option types are removed along with its last variant.
+   *     tags: [Products]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *           minimum: 1
+   *       - in: path
+   *         name: variantId
+   *         required: true
+   *         schema:
+   *           type: integer
+   *           minimum: 1
+   *     responses:
+   *       200:
+   *         description: Variant deleted successfully
+   *       404:
+   *         description: Variant not found
+   *       409:
+   *         description: The variant has been ordered and cannot be deleted
+   */
+  router.delete('/products/:id/variants/:variantId', verifyToken, isAdmin, validate, async (req, res) => {
+    const { id, variantId } = req.params;
+    const client = await pool.connect();
+    let variant;
+    try {
+      await client.query('BEGIN');
+      variant = await deleteVariant(client, id, variantId);
+      if (!variant) {
+        throw new NotFoundError('Variant not found', { code: 'variant_not_found' });
+      }
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    await releaseImages(pool, storage, [variant.image_id]);
+    if (variant.image_path) {
+      await deleteLegacyImage(storage, variant.image_path);
+    }
+
+    res.json({ message: 'Variant deleted successfully' });
+  });
+
+  /**
+   * @swagger
+   * /products/{id}/stock:
+   *   patch:
+   *     summary: Adjust a product's or variant's stock by a positive or negative quantity
+   *     description: The change is recorded in the inventory ledger with its reason and the admin who made it. Pass variantId to adjust one of the product's variants.
+   *     tags: [Products]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *           minimum: 1
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - quantity
+   *             properties:
+   *               quantity:
+   *                 type: integer
+   *                 description: Positive for restock and return, negative for sale and damage, either for adjustment
+   *               variantId:
+   *                 type: integer
+   *                 minimum: 1
+   *               reason:
+   *                 type: string
+   *                 enum: [restock, sale, return, adjustment, damage]
+   *                 default: adjustment
+   *               orderId:
+   *                 type: integer
+   *                 minimum: 1
+   *                 description: Order the change relates to, e.g. for a return
+   *               note:
+   *                 type: string
+   *                 maxLength: 500
+   *     responses:
+   *       200:
+   *         description: The updated product with the recorded movement, and the updated variant when variantId was given
+   *       404:
+   *         description: Product or variant not found
+   *       409:
+   *         description: The referenced order does not exist
+   *       422:
+   *         description: Stock would drop below zero, or the quantity's sign does not fit the reason
+   */
+  router.patch('/products/:id/stock', verifyToken, isAdmin, validate, async (req, res) => {
+    const { id } = req.params;
+    const { quantity, variantId = null, reason = MOVEMENT_REASON.ADJUSTMENT, orderId = null, note = null } = req.body;
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const adjusted = await adjustStock(client, id, { variantId, quantity, reason, orderId, actorId: req.userId, note });
+      if (!adjusted) {
+        throw variantId
+          ? new NotFoundError('Variant not found', { code: 'variant_not_found' })
+          : new NotFoundError('Product not found', { code: 'product_not_found' });
+      }
+      await client.query('COMMIT');
+      res.json({ ...adjusted.product, variant: adjusted.variant, movement: adjusted.movement });
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  });
+
+  /**
+   * @swagger
+   * /admin/products/{id}/stock-history:
+   *   get:
+   *     summary: List the inventory movements of a product, newest first
+   *     tags: [Admin]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *           minimum: 1
+   *       - in: query
+   *         name: page
+   *         schema:
+   *           type: integer
+   *           minimum: 1
+   *           default: 1
+   *       - in: query
+   *         name: limit
+   *         schema:
+   *           type: integer
+   *           minimum: 1
+   *           maximum: 200
+   *           default: 50
+   *     responses:
+   *       200:
+   *         description: Current stock and the movements, each with the running balance of its product or variant after it
+   *       404:
+   *         description: Product not found
+   */
+  router.get('/admin/products/:id/stock-history', verifyToken, isAdmin, validate, async (req, res) => {
+    const { id } = req.params;
+    const { page, limit } = req.query;
+    const product = await pool.query('SELECT id, name, stock_quantity FROM product WHERE id = $1', [id]);
+    if (product.rows.length === 0) {
+      throw new NotFoundError('Product not found', { code: 'product_not_found' });
+    }
+
+    const movements = await getStockHistory(pool, id, { limit, offset: (page - 1) * limit });
+    res.json({
+      productId: product.rows[0].id,
+      name: product.rows[0].name,
+      stockQuantity: product.rows[0].stock_quantity,
+      currentPage: page,
+      movements,
+    });
+  });
+
+  /**
+   * @swagger
+   * /admin/inventory/reconciliation:
+   *   get:
+   *     summary: Compare each product's stock with the sum of its inventory movements
+   *     tags: [Admin]
+   *     security:
+   *       - bearerAuth: []
+   *     responses:
+   *       200:
+   *         description: Products whose stock does not match the ledger; empty when everything agrees
+   */
+  router.get('/admin/inventory/reconciliation', verifyToken, isAdmin, async (req, res) => {
+    const discrepancies = await findStockDiscrepancies(pool);
+    res.json({ consistent: discrepancies.length === 0, discrepancies });
+  });
+
+  /**
+   * @swagger
+   * /categories:
+   *   post:
+   *     summary: Add a product category
+   *     tags: [Products]
+   *     security:
+   *       - bearerAuth: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             $ref: '#/components/schemas/CategoryInput'
+   *     responses:
+   *       201:
+   *         description: The created category
+   *       409:
+   *         description: A category with this name already exists under the same parent, the slug is taken, or the parent does not exist
+   */
+  router.post('/categories', verifyToken, isAdmin, validate, async (req, res) => {
+    const { name, description, slug, parent_id, sort_order } = req.body;
+    const category = await createCategory(pool, { name, description, slug, parentId: parent_id, sortOrder: sort_order });
+    res.status(201).json(category);
+  });
+
+  /**
+   * @swagger
+   * /categories/{id}:
+   *   put:
+   *     summary: Rename, move or reorder a category
+   *     description: Moving a category takes its subcategories and products with it. The slug only changes when a new one is sent.
+   *     tags: [Products]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *           minimum: 1
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             $ref: '#/components/schemas/CategoryInput'
+   *     responses:
+   *       200:
+   *         description: The updated category
+   *       404:
+   *         description: Category not found
+   *       409:
+   *         description: A category with this name already exists under the new parent, the slug is taken, or the parent does not exist
+   *       422:
+   *         description: Invalid details, or the new parent is the category itself or one of its subcategories
+   */
+  router.put('/categories/:id', verifyToken, isAdmin, validate, async (req, res) => {
+    const { id } = req.params;
+    const { name, description, slug, parent_id, sort_order } = req.body;
+    const client = await pool.connect();
+    let category;
+    try {
+      await client.query('BEGIN');
+      category = await updateCategory(client, id, { name, description, slug, parentId: parent_id, sortOrder: sort_order });
+      if (!category) {
+        throw new NotFoundError('Category not found', { code: 'category_not_found' });
+      }
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+    res.json(category);
+  });
+
+  /**
+   * @swagger
+   * /categories/{id}:
+   *   delete:
+   *     summary: Delete a category
+   *     description: Its subcategories move up to its parent. Its products move to reassignTo, or to its parent when reassignTo is left out. A top-level category that still has products can only be deleted with reassignTo. Coupons restricted to it are deactivated, so they never discount more than they did.
+   *     tags: [Products]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *           minimum: 1
+   *       - in: query
+   *         name: reassignTo
+   *         schema:
+   *           type: integer
+   *           minimum: 1
+   *         description: The category that takes over the products
+   *     responses:
+   *       200:
+   *         description: How many products and subcategories were moved, and the codes of the coupons that were deactivated
+   *       404:
+   *         description: Category not found
+   *       409:
+   *         description: The category has products and nowhere to move them (category_not_empty), or a subcategory's name is already used under the parent
+   *       422:
+   *         description: reassignTo is not another existing category
+   */
+  router.delete('/categories/:id', verifyToken, isAdmin, validate, async (req, res) => {
+    const { id } = req.params;
+    const { reassignTo } = req.query;
+    const client = await pool.connect();
+    let result;
+    try {
+      await client.query('BEGIN');
+      result = await deleteCategory(client, id, { reassignTo });
+      if (!result) {
+        throw new NotFoundError('Category not found', { code: 'category_not_found' });
+      }
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+    res.json({
+      message: 'Category deleted successfully',
+      movedProducts: result.movedProducts,
+      movedSubcategories: result.movedSubcategories,
+      deactivatedCoupons: result.deactivatedCoupons,
+    });
+  });
+
+  // Coupons
+
+  /**
+   * @swagger
+   * /coupons:
+   *   post:
+   *     summary: Create a coupon
+   *     tags: [Coupons]
+   *     security:
+   *       - bearerAuth: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - code
+   *               - discount_type
+   *               - valid_from
+   *               - valid_to
+   *             properties:
+   *               code:
+   *                 type: string
+   *                 minLength: 1
+   *                 maxLength: 50
+   *               discount_type:
+   *                 type: string
+   *                 enum: [percent, fixed]
+   *               discount_percent:
+   *                 type: number
+   *                 description: Required for percent coupons, greater than 0 and at most 100
+   *               discount_amount:
+   *                 type: number
+   *                 description: Required for fixed coupons, greater than 0
+   *               valid_from:
+   *                 type: string
+   *                 format: date
+   *               valid_to:
+   *                 type: string
+   *                 format: date
+   *               min_order_total:
+   *                 type: number
+   *                 minimum: 0
+   *               max_redemptions:
+   *                 type: integer
+   *                 minimum: 1
+   *               max_redemptions_per_customer:
+   *                 type: integer
+   *                 minimum: 1
+   *               product_ids:
+   *                 type: array
+   *                 items:
+   *                   type: integer
+   *               category_ids:
+   *                 type: array
+   *                 items:
+   *                   type: integer
+   *     responses:
+   *       201:
+   *         description: The created coupon
+   *       400:
+   *         description: Discount does not match the discount type
+   *       409:
+   *         description: A coupon with this code already exists
+   */
+  router.post('/coupons', verifyToken, isAdmin, validate, async (req, res) => {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const coupon = await createCoupon(client, req.body);
+      await client.query('COMMIT');
+      res.status(201).json(coupon);
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  });
+
+  // Review moderation
+
+  /**
+   * @swagger
+   * /admin/reviews:
+   *   get:
+   *     summary: List reviews by moderation status, the queue of pending reviews by default
+   *     tags: [Admin]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: query
+   *         name: status
+   *         schema:
+   *           type: string
+   *           enum: [pending, approved, rejected, hidden]
+   *           default: pending
+   *       - in: query
+   *         name: page
+   *         schema:
+   *           type: integer
+   *           minimum: 1
+   *           default: 1
+   *       - in: query
+   *         name: limit
+   *         schema:
+   *           type: integer
+   *           minimum: 1
+   *           maximum: 100
+   *           default: 20
+   *     responses:
+   *       200:
+   *         description: A page of reviews with their product name, oldest first
+   */
+  router.get('/admin/reviews', verifyToken, isAdmin, validate, async (req, res) => {
+    const { status, page, limit } = req.query;
+    const { reviews, total } = await listModerationQueue(pool, { status, limit, offset: (page - 1) * limit });
+    res.json({
+      reviews,
+      currentPage: page,
+      totalPages: Math.ceil(total / limit),
+      totalReviews: total,
+    });
+  });
+
+  /**
+   * @swagger
+   * /admin/reviews/{id}/status:
+   *   patch:
+   *     summary: Approve, reject or hide a review
+   *     description: Pending reviews can be approved or rejected, approved ones hidden, and rejected or hidden ones approved.
+   *     tags: [Admin]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *           minimum: 1
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - status
+   *             properties:
+   *               status:
+   *                 type: string
+   *                 enum: [approved, rejected, hidden]
+   *               note:
+   *                 type: string
+   *                 description: The reason for the decision, kept as moderation_note
+   *     responses:
+   *       200:
+   *         description: The moderated review
+   *       404:
+   *         description: Review not found
+   *       409:
+   *         description: The decision is not allowed from the review's current status
+   */
+  router.patch('/admin/reviews/:id/status', verifyToken, isAdmin, validate, async (req, res) => {
+    const { status, note } = req.body;
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const review = await moderateReview(client, req.params.id, status, { moderatorId: req.userId, note });
+      if (!review) {
+        throw new NotFoundError('Review not found', { code: 'review_not_found' });
+      }
+      await client.query('COMMIT');
+      res.json(review);
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  });
+
+  // Reports
+
+  /**
+   * @swagger
+   * /admin/sales-report:
+   *   get:
+   *     summary: Units sold and revenue per product and variant for a date range
+   *     tags: [Admin]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: query
+   *         name: startDate
+   *         required: true
+   *         schema:
+   *           type: string
+   *           format: date
+   *       - in: query
+   *         name: endDate
+   *         required: true
+   *         schema:
+   *           type: string
+   *           format: date
+   *     responses:
+   *       200:
+   *         description: Sales per product, split by variant for products sold as variants, highest revenue first. Only paid orders count; unpaid, cancelled and refunded orders are left out.
+   */
+  router.get('/admin/sales-report', verifyToken, isAdmin, validate, async (req, res) => {
+    const { startDate, endDate } = req.query;
+    const result = await pool.query(
+      `SELECT oi.product_id as id,
+              oi.variant_id,
+              (ARRAY_AGG(oi.product_name ORDER BY co.created_at DESC))[1] as name,
+              (ARRAY_AGG(oi.sku ORDER BY co.created_at DESC))[1] as sku,
+              (ARRAY_AGG(oi.variant_name ORDER BY co.created_at DESC))[1] as variant_name,
+              SUM(oi.quantity) as total_sold,
+              SUM(oi.line_subtotal - oi.discount_amount) as revenue
+       FROM order_item oi
+       JOIN customer_order co ON oi.order_id = co.id
+       WHERE co.created_at BETWEEN $1 AND $2 AND co.status <> ALL($3)
+       GROUP BY oi.product_id, oi.variant_id
+       ORDER BY revenue DESC`,
+      [startDate, endDate, UNSOLD_STATUSES]
+    );
+    res.json(result.rows);
+  });
+
+  /**
+   * @swagger
+   * /admin/low-stock-alerts:
+   *   get:
+   *     summary: List products and variants whose stock is at or below a threshold
+   *     tags: [Admin]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: query
+   *         name: threshold
+   *         schema:
+   *           type: integer
+   *           minimum: 0
+   *           default: 10
+   *     responses:
+   *       200:
+   *         description: Products low on stock, lowest first. Products with variants are listed per variant.
+   */
+  router.get('/admin/low-stock-alerts', verifyToken, isAdmin, validate, async (req, res) => {
+    const threshold = req.query.threshold || 10;
+    const result = await pool.query(
+      `SELECT p.id, p.name, NULL::integer AS variant_id, NULL AS sku, NULL AS variant_name, p.stock_quantity
+       FROM product p
+       WHERE p.stock_quantity <= $1 AND NOT EXISTS (SELECT 1 FROM product_variant v WHERE v.product_id = p.id)
+       UNION ALL
+       SELECT p.id, p.name, v.id, v.sku, v.name, v.stock_quantity
+       FROM product_variant v
+       JOIN product p ON v.product_id = p.id
+       WHERE v.stock_quantity <= $1
+       ORDER BY stock_quantity ASC`,
+      [threshold]
+    );
+    res.json(result.rows);
+  });
+
+  // Releases the uploaded images when the request that carried them fails
+  router.use((error, req, res, next) => {
+    if (!req.storedImages) {
+      return next(error);
+    }
+    releaseImages(pool, storage, req.storedImages.map((image) => image.id)).then(() => next(error), () => next(error));
+  });
+
+  return router;
+};
+
+module.exports = { createAdminRouter };
@@ -0,0 +1,827 @@
+// routes/auth.js
+const express = require('express');
+const bcrypt = require('bcrypt');
+const { RefreshTokenError, issueTokens, rotateRefreshToken, revokeSession, revokeAllSessions } = require('../lib/sessions');
+const { TOKEN_PURPOSE, createAccountToken, consumeAccountToken } = require('../lib/accountTokens');
+const { sendVerificationEmail, sendPasswordResetEmail } = require('../lib/accountEmails');
+const {
+  startGoogleLink,
+  readLinkState,
+  finishGoogleLink,
+  findOrCreateGoogleCustomer,
+  linkGoogle,
+  unlinkGoogle,
+  setPassword,
+} = require('../lib/identities');
+const { BadRequestError, UnauthorizedError, ForbiddenError, ConflictError } = require('../lib/errors');
+const { setAuthCookie, clearAuthCookie } = require('../lib/authMiddleware');
+const { findGuestCart, mergeGuestCart, clearCartCookie } = require('../lib/guestCarts');
+
+const createAuthRouter = ({ pool, oauth2Client, verifyToken, validate }) => {
+  const router = express.Router();
+
+  // Moves the signed-in shopper's guest cart, if they had one, into their customer cart inside the
+  // caller's transaction. Returns the number of cart lines added or changed.
+  const mergeGuestCartOnSignIn = async (client, req, res, customerId) => {
+    const cartId = await findGuestCart(client, req);
+    if (!cartId) {
+      return 0;
+    }
+    const merged = await mergeGuestCart(client, cartId, customerId);
+    clearCartCookie(res);
+    return merged;
+  };
+
+  // Google sign-in
+
+  /**
+   * @swagger
+   * /auth/google:
+   *   get:
+   *     summary: Initiate Google OAuth flow
+   *     tags: [Authentication]
+   *     responses:
+   *       302:
+   *         description: Redirects to Google OAuth page
+   */
+  router.get('/auth/google', (req, res) => {
+    const url = oauth2Client.generateAuthUrl({
+      access_type: 'offline',
+      scope: ['https://www.googleapis.com/auth/userinfo.profile', 'https://www.googleapis.com/auth/userinfo.email']
+    });
+    res.redirect(url);
+  });
+
+  /**
+   * @swagger
+   * /auth/google/callback:
+   *   get:
+   *     summary: Handle Google OAuth callback
+   *     tags: [Authentication]
+   *     parameters:
+   *       - in: query
+   *         name: code
+   *         required: true
+   *         schema:
+   *           type: string
+   *           minLength: 1
+   *       - in: query
+   *         name: state
+   *         description: Set when the flow was started from /user/google/connect, which also sets the google_link cookie the callback requires
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: Authentication successful (or Google connected to the current account); returns a short-lived access token and a refresh token. On sign-in a guest cart named by the cart cookie is merged into the customer's cart, with mergedCartItems as for POST /auth/login.
+   *       400:
+   *         description: Authentication failed, or a Google connection that this browser did not start or that was already used
+   *       401:
+   *         description: The session that started connecting Google has ended
+   *       409:
+   *         description: The Google account or email conflicts with another customer account
+   */
+  router.get('/auth/google/callback', validate, async (req, res) => {
+    const { code, state } = req.query;
+
+    // A state parameter means a signed-in customer is connecting Google to their account
+    const link = state ? readLinkState(state) : null;
+    if (state && !link) {
+      throw new BadRequestError('Invalid or expired state', { code: 'invalid_state' });
+    }
+
+    let payload;
+    try {
+      const { tokens } = await oauth2Client.getToken(code);
+      oauth2Client.setCredentials(tokens);
+
+      const ticket = await oauth2Client.verifyIdToken({
+        idToken: tokens.id_token,
+        audience: process.env.AUTH_GOOGLE_ID,
+      });
+      payload = ticket.getPayload();
+    } catch (error) {
+      throw new BadRequestError('Authentication failed', { code: 'google_auth_failed' });
+    }
+
+    const profile = {
+      googleId: payload.sub,
+      email: payload.email,
+      emailVerified: payload.email_verified === true,
+      name: payload.name,
+    };
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      if (link) {
+        const customerId = await finishGoogleLink(client, req, res, link);
+        await linkGoogle(client, customerId, profile);
+        await client.query('COMMIT');
+        return res.json({ message: 'Google account connected' });
+      }
+
+      const user = await findOrCreateGoogleCustomer(client, profile);
+      const mergedCartItems = await mergeGuestCartOnSignIn(client, req, res, user.id);
+      await client.query('COMMIT');
+
+      const { token, refreshToken } = await issueTokens(pool, user.id, { userAgent: req.headers['user-agent'] });
+      setAuthCookie(res, token);
+      res.json({ auth: true, token, refreshToken, mergedCartItems });
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  });
+
+  // Password accounts and sessions
+
+  /**
+   * @swagger
+   * /auth/register:
+   *   post:
+   *     summary: Register a new user
+   *     tags: [Authentication]
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - email
+   *               - password
+   *               - firstName
+   *               - lastName
+   *             properties:
+   *               email:
+   *                 type: string
+   *                 format: email
+   *               password:
+   *                 type: string
+   *                 minLength: 8
+   *               firstName:
+   *                 type: string
+   *                 minLength: 1
+   *               lastName:
+   *                 type: string
+   *                 minLength: 1
+   *     responses:
+   *       201:
+   *         description: User registered successfully
+   *       400:
+   *         description: Invalid input
+   *       409:
+   *         description: An account with this email already exists
+   *       422:
+   *         description: Invalid input
+   */
+  router.post('/auth/register', validate, async (req, res) => {
+    const { email, password, firstName, lastName } = req.body;
+    const existing = await pool.query('SELECT google_id FROM customer WHERE LOWER(email_address) = LOWER($1)', [email]);
+    if (existing.rows.length > 0) {
+      throw new ConflictError(
+        existing.rows[0].google_id
+          ? 'An account with this email already exists. Sign in with Google, then set a password from your profile.'
+          : 'An account with this email already exists',
+        { code: 'email_taken' }
+      );
+    }
+
+    const hashedPassword = await bcrypt.hash(password, 10);
+    // Both rows or neither, so a failure cannot leave an account without a password
+    const client = await pool.connect();
+    let customerId;
+    try {
+      await client.query('BEGIN');
+      const result = await client.query(
+        'INSERT INTO customer (email_address, first_name, last_name) VALUES ($1, $2, $3) RETURNING id',
+        [email, firstName, lastName]
+      );
+      customerId = result.rows[0].id;
+      await client.query(
+        'INSERT INTO customer_login (customer_id, password_hash) VALUES ($1, $2)',
+        [customerId, hashedPassword]
+      );
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    // The account exists even if the email fails; /auth/resend-verification sends a new link
+    const verificationToken = await createAccountToken(pool, customerId, TOKEN_PURPOSE.EMAIL_VERIFICATION);
+    try {
+      await sendVerificationEmail(email, verificationToken);
+    } catch (mailError) {
+      console.error('Failed to send verification email:', mailError.message);
+    }
+
+    res.status(201).json({ message: 'User registered successfully. Check your email to verify your address.' });
+  });
+
+  /**
+   * @swagger
+   * /auth/login:
+   *   post:
+   *     summary: Login user
+   *     tags: [Authentication]
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - email
+   *               - password
+   *             properties:
+   *               email:
+   *                 type: string
+   *                 minLength: 1
+   *               password:
+   *                 type: string
+   *                 minLength: 1
+   *     responses:
+   *       200:
+   *         description: Login successful; returns a short-lived access token and a refresh token. A guest cart named by the X-Cart-Token header or cart cookie is merged into the customer's cart, and mergedCartItems says how many cart lines that added or changed.
+   *       401:
+   *         description: Invalid credentials
+   *       403:
+   *         description: Email not verified (only when REQUIRE_EMAIL_VERIFICATION is true)
+   */
+  router.post('/auth/login', validate, async (req, res) => {
+    const { email, password } = req.body;
+    const result = await pool.query(
+      'SELECT c.id, c.email_verified_at, cl.password_hash FROM customer c JOIN customer_login cl ON c.id = cl.customer_id WHERE LOWER(c.email_address) = LOWER($1)',
+      [email]
+    );
+    if (result.rows.length > 0 && await bcrypt.compare(password, result.rows[0].password_hash)) {
+      if (process.env.REQUIRE_EMAIL_VERIFICATION === 'true' && !result.rows[0].email_verified_at) {
+        throw new ForbiddenError('Email address has not been verified', { code: 'email_not_verified' });
+      }
+      const client = await pool.connect();
+      let mergedCartItems;
+      try {
+        await client.query('BEGIN');
+        mergedCartItems = await mergeGuestCartOnSignIn(client, req, res, result.rows[0].id);
+        await client.query('COMMIT');
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+      } finally {
+        client.release();
+      }
+
+      const { token, refreshToken } = await issueTokens(pool, result.rows[0].id, { userAgent: req.headers['user-agent'] });
+      setAuthCookie(res, token);
+      res.json({ auth: true, token, refreshToken, mergedCartItems });
+    } else {
+      throw new UnauthorizedError('Invalid credentials', { code: 'invalid_credentials' });
+    }
+  });
+
+  /**
+   * @swagger
+   * /auth/refresh:
+   *   post:
+   *     summary: Exchange a refresh token for a new access token
+   *     description: The refresh token is rotated on every call. Presenting a refresh token that was already used revokes the whole session.
+   *     tags: [Authentication]
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - refreshToken
+   *             properties:
+   *               refreshToken:
+   *                 type: string
+   *                 minLength: 1
+   *     responses:
+   *       200:
+   *         description: New access token and refresh token
+   *       401:
+   *         description: Refresh token invalid, expired, revoked or reused
+   */
+  router.post('/auth/refresh', validate, async (req, res) => {
+    const { refreshToken } = req.body;
+    const client = await pool.connect();
+    let rotated;
+    try {
+      await client.query('BEGIN');
+      rotated = await rotateRefreshToken(client, refreshToken);
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    // Reuse revokes the session, so this is only reported after that has been committed
+    if (rotated.reused) {
+      throw new RefreshTokenError('Refresh token reuse detected, session revoked');
+    }
+    setAuthCookie(res, rotated.token);
+    res.json({ auth: true, token: rotated.token, refreshToken: rotated.refreshToken });
+  });
+
+  /**
+   * @swagger
+   * /auth/logout:
+   *   post:
+   *     summary: Log out the current session
+   *     tags: [Authentication]
+   *     security:
+   *       - bearerAuth: []
+   *     responses:
+   *       200:
+   *         description: Session revoked; its access and refresh tokens stop working
+   */
+  router.post('/auth/logout', verifyToken, async (req, res) => {
+    await revokeSession(pool, req.sessionId);
+    clearAuthCookie(res);
+    res.json({ message: 'Logged out successfully' });
+  });
+
+  /**
+   * @swagger
+   * /auth/logout-all:
+   *   post:
+   *     summary: Log out of every session of the current user
+   *     tags: [Authentication]
+   *     security:
+   *       - bearerAuth: []
+   *     responses:
+   *       200:
+   *         description: All sessions revoked
+   */
+  router.post('/auth/logout-all', verifyToken, async (req, res) => {
+    const revoked = await revokeAllSessions(pool, req.userId);
+    clearAuthCookie(res);
+    res.json({ message: 'Logged out of all sessions', revokedSessions: revoked });
+  });
+
+  /**
+   * @swagger
+   * /auth/forgot-password:
+   *   post:
+   *     summary: Email a password reset link
+   *     description: Always answers 200 so it cannot be used to find out which emails have accounts.
+   *     tags: [Authentication]
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - email
+   *             properties:
+   *               email:
+   *                 type: string
+   *                 format: email
+   *     responses:
+   *       200:
+   *         description: Reset link sent if the account exists
+   */
+  router.post('/auth/forgot-password', validate, async (req, res) => {
+    const { email } = req.body;
+    const result = await pool.query('SELECT id, email_address FROM customer WHERE LOWER(email_address) = LOWER($1)', [email]);
+    if (result.rows.length > 0) {
+      const token = await createAccountToken(pool, result.rows[0].id, TOKEN_PURPOSE.PASSWORD_RESET);
+      try {
+        await sendPasswordResetEmail(result.rows[0].email_address, token);
+      } catch (mailError) {
+        console.error('Failed to send password reset email:', mailError.message);
+      }
+    }
+    // Same answer either way, even when the email failed, so the endpoint cannot be used to probe for accounts
+    res.json({ message: 'If an account exists for that email, a reset link has been sent' });
+  });
+
+  /**
+   * @swagger
+   * /auth/reset-password:
+   *   post:
+   *     summary: Set a new password using a reset token
+   *     description: The token is single-use and expires after an hour. All sessions of the account are logged out.
+   *     tags: [Authentication]
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - token
+   *               - password
+   *             properties:
+   *               token:
+   *                 type: string
+   *                 minLength: 1
+   *               password:
+   *                 type: string
+   *                 minLength: 8
+   *     responses:
+   *       200:
+   *         description: Password has been reset
+   *       400:
+   *         description: Invalid or expired reset token
+   */
+  router.post('/auth/reset-password', validate, async (req, res) => {
+    const { token, password } = req.body;
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const customerId = await consumeAccountToken(client, token, TOKEN_PURPOSE.PASSWORD_RESET);
+      if (!customerId) {
+        throw new BadRequestError('Invalid or expired reset token', { code: 'invalid_token' });
+      }
+
+      const hashedPassword = await bcrypt.hash(password, 10);
+      await client.query(
+        'INSERT INTO customer_login (customer_id, password_hash) VALUES ($1, $2) ON CONFLICT (customer_id) DO UPDATE SET password_hash = EXCLUDED.password_hash',
+        [customerId, hashedPassword]
+      );
+      // Following the emailed link proves the address as well
+      await client.query(
+        'UPDATE customer SET email_verified_at = COALESCE(email_verified_at, CURRENT_TIMESTAMP) WHERE id = $1',
+        [customerId]
+      );
+      // Sign out everywhere in case the old password was compromised
+      await revokeAllSessions(client, customerId);
+
+      await client.query('COMMIT');
+      res.json({ message: 'Password has been reset' });
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  });
+
+  /**
+   * @swagger
+   * /auth/verify-email:
+   *   get:
+   *     summary: Confirm an email address using the emailed token
+   *     tags: [Authentication]
+   *     parameters:
+   *       - in: query
+   *         name: token
+   *         required: true
+   *         schema:
+   *           type: string
+   *           minLength: 1
+   *     responses:
+   *       200:
+   *         description: Email address verified
+   *       400:
+   *         description: Invalid or expired verification token
+   */
+  router.get('/auth/verify-email', validate, async (req, res) => {
+    const { token } = req.query;
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const customerId = await consumeAccountToken(client, token, TOKEN_PURPOSE.EMAIL_VERIFICATION);
+      if (!customerId) {
+        throw new BadRequestError('Invalid or expired verification token', { code: 'invalid_token' });
+      }
+      await client.query(
+        'UPDATE customer SET email_verified_at = COALESCE(email_verified_at, CURRENT_TIMESTAMP) WHERE id = $1',
+        [customerId]
+      );
+      await client.query('COMMIT');
+      res.json({ message: 'Email address verified' });
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  });
+
+  /**
+   * @swagger
+   * /auth/resend-verification:
+   *   post:
+   *     summary: Send a new email verification link
+   *     tags: [Authentication]
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - email
+   *             properties:
+   *               email:
+   *                 type: string
+   *                 format: email
+   *     responses:
+   *       200:
+   *         description: Link sent if the address is registered and unverified
+   */
+  router.post('/auth/resend-verification', validate, async (req, res) => {
+    const { email } = req.body;
+    const result = await pool.query(
+      'SELECT id, email_address FROM customer WHERE LOWER(email_address) = LOWER($1) AND email_verified_at IS NULL',
+      [email]
+    );
+    if (result.rows.length > 0) {
+      const token = await createAccountToken(pool, result.rows[0].id, TOKEN_PURPOSE.EMAIL_VERIFICATION);
+      try {
+        await sendVerificationEmail(result.rows[0].email_address, token);
+      } catch (mailError) {
+        console.error('Failed to send verification email:', mailError.message);
+      }
+    }
+    res.json({ message: 'If the address is registered and not yet verified, a new link has been sent' });
+  });
+
+  // Profile and linked sign-in methods
+
+  /**
+   * @swagger
+   * /user/profile:
+   *   get:
+   *     summary: Get user profile
+   *     tags: [User Profile]
+   *     security:
+   *       - bearerAuth: []
+   *     responses:
+   *       200:
+   *         description: User profile
+   */
+  router.get('/user/profile', verifyToken, async (req, res) => {
+    const result = await pool.query(
+      `SELECT c.id, c.email_address, c.first_name, c.last_name, c.created_at,
+              c.google_id IS NOT NULL AS google_connected,
+              EXISTS (SELECT 1 FROM customer_login cl WHERE cl.customer_id = c.id) AS has_password
+       FROM customer c WHERE c.id = $1`,
+      [req.userId]
+    );
+    res.json(result.rows[0]);
+  });
+
+  /**
+   * @swagger
+   * /user/profile:
+   *   put:
+   *     summary: Update user profile
+   *     tags: [User Profile]
+   *     security:
+   *       - bearerAuth: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - firstName
+   *               - lastName
+   *               - email
+   *             properties:
+   *               firstName:
+   *                 type: string
+   *                 minLength: 1
+   *               lastName:
+   *                 type: string
+   *                 minLength: 1
+   *               email:
+   *                 type: string
+   *                 format: email
+   *     responses:
+   *       200:
+   *         description: Profile updated successfully. A new email address is unverified until the link emailed to it is opened.
+   *       409:
+   *         description: Another account already uses this email
+   */
+  router.put('/user/profile', verifyToken, validate, async (req, res) => {
+    const { firstName, lastName, email } = req.body;
+    const client = await pool.connect();
+    let verificationToken = null;
+    try {
+      await client.query('BEGIN');
+      const current = await client.query('SELECT email_address FROM customer WHERE id = $1 FOR UPDATE', [req.userId]);
+      // Changing only the case keeps the same mailbox, so it stays verified
+      const emailChanged = current.rows[0].email_address.toLowerCase() !== email.toLowerCase();
+      if (emailChanged) {
+        const taken = await client.query(
+          'SELECT 1 FROM customer WHERE LOWER(email_address) = LOWER($1) AND id <> $2',
+          [email, req.userId]
+        );
+        if (taken.rows.length > 0) {
+          throw new ConflictError('An account with this email already exists', { code: 'email_taken' });
+        }
+      }
+
+      await client.query(
+        `UPDATE customer SET first_name = $1, last_name = $2, email_address = $3,
+           email_verified_at = CASE WHEN $4 THEN NULL ELSE email_verified_at END
+         WHERE id = $5`,
+        [firstName, lastName, email, emailChanged, req.userId]
+      );
+      // Also invalidates any link still pending for the old address
+      if (emailChanged) {
+        verificationToken = await createAccountToken(client, req.userId, TOKEN_PURPOSE.EMAIL_VERIFICATION);
+      }
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    // As on registration, /auth/resend-verification sends a new link if this email fails
+    if (verificationToken) {
+      try {
+        await sendVerificationEmail(email, verificationToken);
+      } catch (mailError) {
+        console.error('Failed to send verification email:', mailError.message);
+      }
+      return res.json({ message: 'Profile updated successfully. Check your email to verify your new address.' });
+    }
+    res.json({ message: 'Profile updated successfully' });
+  });
+
+  /**
+   * @swagger
+   * /user/google/connect:
+   *   get:
+   *     summary: Get the Google sign-in URL for connecting Google to the current account
+   *     description: Open the returned URL in the same browser, within 10 minutes; Google redirects back to /auth/google/callback, which connects the account once. The response sets an HttpOnly google_link cookie the callback checks, so the URL is useless in another browser, and the session that asked for it must still be signed in.
+   *     tags: [User Profile]
+   *     security:
+   *       - bearerAuth: []
+   *     responses:
+   *       200:
+   *         description: Google authorization URL
+   */
+  router.get('/user/google/connect', verifyToken, async (req, res) => {
+    const url = oauth2Client.generateAuthUrl({
+      access_type: 'offline',
+      scope: ['https://www.googleapis.com/auth/userinfo.profile', 'https://www.googleapis.com/auth/userinfo.email'],
+      state: await startGoogleLink(pool, res, req.userId, req.sessionId),
+    });
+    res.json({ url });
+  });
+
+  /**
+   * @swagger
+   * /user/google:
+   *   delete:
+   *     summary: Disconnect Google from the current account
+   *     tags: [User Profile]
+   *     security:
+   *       - bearerAuth: []
+   *     responses:
+   *       200:
+   *         description: Google account disconnected
+   *       409:
+   *         description: The account has no password yet, so Google is its only sign-in method
+   */
+  router.delete('/user/google', verifyToken, async (req, res) => {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      await unlinkGoogle(client, req.userId);
+      await client.query('COMMIT');
+      res.json({ message: 'Google account disconnected' });
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  });
+
+  /**
+   * @swagger
+   * /user/password:
+   *   put:
+   *     summary: Set or change the account password
+   *     description: Google-only accounts can set a first password without currentPassword; otherwise currentPassword is required.
+   *     tags: [User Profile]
+   *     security:
+   *       - bearerAuth: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - newPassword
+   *             properties:
+   *               currentPassword:
+   *                 type: string
+   *               newPassword:
+   *                 type: string
+   *                 minLength: 8
+   *     responses:
+   *       200:
+   *         description: Password updated successfully
+   *       403:
+   *         description: Current password is incorrect
+   */
+  router.put('/user/password', verifyToken, validate, async (req, res) => {
+    const { currentPassword, newPassword } = req.body;
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      await setPassword(client, req.userId, { currentPassword, newPassword });
+      await client.query('COMMIT');
+      res.json({ message: 'Password updated successfully' });
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  });
+
+  // Addresses
+
+  /**
+   * @swagger
+   * /user/addresses:
+   *   post:
+   *     summary: Add an address to the current user's account
+   *     tags: [User Profile]
+   *     security:
+   *       - bearerAuth: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - address_line1
+   *             properties:
+   *               address_line1:
+   *                 type: string
+   *                 minLength: 1
+   *                 maxLength: 255
+   *               address_line2:
+   *                 type: string
+   *                 maxLength: 255
+   *               city:
+   *                 type: string
+   *                 maxLength: 100
+   *               state:
+   *                 type: string
+   *                 maxLength: 100
+   *               postal_code:
+   *                 type: string
+   *                 maxLength: 20
+   *               country:
+   *                 type: string
+   *                 maxLength: 100
+   *     responses:
+   *       201:
+   *         description: The created address
+   */
+  router.post('/user/addresses', verifyToken, validate, async (req, res) => {
+    const { address_line1, address_line2, city, state, postal_code, country } = req.body;
+    const result = await pool.query(
+      'INSERT INTO customer_address (customer_id, address_line1, address_line2, city, state, postal_code, country) VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING *',
+      [req.userId, address_line1, address_line2, city, state, postal_code, country]
+    );
+    res.status(201).json(result.rows[0]);
+  });
+
+  /**
+   * @swagger
+   * /user/addresses:
+   *   get:
+   *     summary: List the current user's addresses
+   *     tags: [User Profile]
+   *     security:
+   *       - bearerAuth: []
+   *     responses:
+   *       200:
+   *         description: The user's addresses
+   */
+  router.get('/user/addresses', verifyToken, async (req, res) => {
+    const result = await pool.query('SELECT * FROM customer_address WHERE customer_id = $1', [req.userId]);
+    res.json(result.rows);
+  });
+
+  return router;
+};
+
+module.exports = { createAuthRouter };
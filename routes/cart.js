@@ -0,0 +1,513 @@
+// routes/cart.js
+const express = require('express');
+const { evaluateCoupon } = require('../lib/coupons');
+const { checkVariantSelection } = require('../lib/variants');
+const { findGuestCart, createGuestCart, touchGuestCart, setCartCookie } = require('../lib/guestCarts');
+const { NotFoundError } = require('../lib/errors');
+
+const createCartRouter = ({ pool, verifyToken, validate }) => {
+  const router = express.Router();
+
+  // Cart
+
+  /**
+   * @swagger
+   * /cart:
+   *   get:
+   *     summary: Get user's cart
+   *     tags: [Cart]
+   *     security:
+   *       - bearerAuth: []
+   *     responses:
+   *       200:
+   *         description: User's cart; variant lines include the variant's sku, name and price
+   */
+  router.get('/cart', verifyToken, async (req, res) => {
+    const result = await pool.query(
+      `SELECT c.*, p.name, COALESCE(v.price, p.price) AS price, v.sku, v.name AS variant_name
+       FROM cart c
+       JOIN product p ON c.product_id = p.id
+       LEFT JOIN product_variant v ON c.variant_id = v.id
+       WHERE c.customer_id = $1`,
+      [req.userId]
+    );
+    res.json(result.rows);
+  });
+
+  /**
+   * @swagger
+   * /cart:
+   *   post:
+   *     summary: Add a product to the cart
+   *     description: Adding a product that is already in the cart increases its quantity. Products with variants need a variantId; each variant is a separate cart line.
+   *     tags: [Cart]
+   *     security:
+   *       - bearerAuth: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - productId
+   *               - quantity
+   *             properties:
+   *               productId:
+   *                 type: integer
+   *                 minimum: 1
+   *               variantId:
+   *                 type: integer
+   *                 minimum: 1
+   *               quantity:
+   *                 type: integer
+   *                 minimum: 1
+   *     responses:
+   *       201:
+   *         description: Product added to cart
+   *       404:
+   *         description: The variant does not belong to the product
+   *       422:
+   *         description: Invalid product or quantity, or no variantId for a product with variants
+   */
+  router.post('/cart', verifyToken, validate, async (req, res) => {
+    const { productId, variantId = null, quantity } = req.body;
+    await checkVariantSelection(pool, productId, variantId);
+    await pool.query(
+      `INSERT INTO cart (customer_id, product_id, variant_id, quantity) VALUES ($1, $2, $3, $4)
+       ON CONFLICT (customer_id, product_id, (COALESCE(variant_id, 0))) DO UPDATE SET quantity = cart.quantity + $4`,
+      [req.userId, productId, variantId, quantity]
+    );
+    res.status(201).json({ message: 'Product added to cart' });
+  });
+
+  /**
+   * @swagger
+   * /cart/{productId}:
+   *   put:
+   *     summary: Set the quantity of a product in the cart
+   *     tags: [Cart]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: productId
+   *         required: true
+   *         schema:
+   *           type: integer
+   *           minimum: 1
+   *       - in: query
+   *         name: variantId
+   *         schema:
+   *           type: integer
+   *           minimum: 1
+   *         description: The variant line to update
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - quantity
+   *             properties:
+   *               quantity:
+   *                 type: integer
+   *                 minimum: 1
+   *     responses:
+   *       200:
+   *         description: Cart item quantity updated
+   *       404:
+   *         description: The product is not in the cart
+   */
+  router.put('/cart/:productId', verifyToken, validate, async (req, res) => {
+    const productId = req.params.productId;
+    const variantId = req.query.variantId || null;
+    const { quantity } = req.body;
+    const result = await pool.query(
+      'UPDATE cart SET quantity = $1 WHERE customer_id = $2 AND product_id = $3 AND variant_id IS NOT DISTINCT FROM $4 RETURNING *',
+      [quantity, req.userId, productId, variantId]
+    );
+    if (result.rows.length === 0) {
+      throw new NotFoundError('Cart item not found', { code: 'cart_item_not_found' });
+    }
+    res.json({ message: 'Cart item quantity updated', item: result.rows[0] });
+  });
+
+  /**
+   * @swagger
+   * /cart/{productId}:
+   *   delete:
+   *     summary: Remove product from cart
+   *     tags: [Cart]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: productId
+   *         required: true
+   *         schema:
+   *           type: integer
+   *           minimum: 1
+   *       - in: query
+   *         name: variantId
+   *         schema:
+   *           type: integer
+   *           minimum: 1
+   *         description: Remove only this variant; without it every line of the product is removed
+   *     responses:
+   *       200:
+   *         description: Product removed from cart
+   */
+  router.delete('/cart/:productId', verifyToken, validate, async (req, res) => {
+    const productId = req.params.productId;
+    const variantId = req.query.variantId || null;
+    await pool.query(
+      'DELETE FROM cart WHERE customer_id = $1 AND product_id = $2 AND ($3::integer IS NULL OR variant_id = $3)',
+      [req.userId, productId, variantId]
+    );
+    res.json({ message: 'Product removed from cart' });
+  });
+
+  /**
+   * @swagger
+   * /cart:
+   *   delete:
+   *     summary: Remove every product from the cart
+   *     tags: [Cart]
+   *     security:
+   *       - bearerAuth: []
+   *     responses:
+   *       200:
+   *         description: Cart cleared successfully
+   */
+  router.delete('/cart', verifyToken, async (req, res) => {
+    await pool.query('DELETE FROM cart WHERE customer_id = $1', [req.userId]);
+    res.json({ message: 'Cart cleared successfully' });
+  });
+
+  /**
+   * @swagger
+   * /apply-coupon:
+   *   post:
+   *     summary: Preview a coupon's discount on the current cart
+   *     description: Nothing is redeemed; pass the code as couponCode to POST /orders to use it.
+   *     tags: [Cart]
+   *     security:
+   *       - bearerAuth: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - code
+   *             properties:
+   *               code:
+   *                 type: string
+   *                 minLength: 1
+   *     responses:
+   *       200:
+   *         description: Discount the coupon would give
+   *       404:
+   *         description: Invalid or expired coupon
+   *       409:
+   *         description: Coupon redemption limit reached
+   *       422:
+   *         description: Coupon does not apply to this cart
+   */
+  router.post('/apply-coupon', verifyToken, validate, async (req, res) => {
+    const { code } = req.body;
+    const cartItems = await pool.query(
+      `SELECT c.product_id, c.quantity, COALESCE(v.price, p.price) AS unit_price, p.category_id
+       FROM cart c
+       JOIN product p ON c.product_id = p.id
+       LEFT JOIN product_variant v ON c.variant_id = v.id
+       WHERE c.customer_id = $1`,
+      [req.userId]
+    );
+    const { coupon, discountTotal } = await evaluateCoupon(pool, code, { customerId: req.userId, items: cartItems.rows });
+    res.json({
+      message: 'Coupon applied successfully',
+      code: coupon.code,
+      discountType: coupon.discount_type,
+      discountPercent: coupon.discount_percent,
+      discount: discountTotal,
+    });
+  });
+
+  // Guest cart
+
+  /**
+   * @swagger
+   * /guest-cart:
+   *   get:
+   *     summary: Get the guest cart of a shopper who is not signed in
+   *     description: The cart is named by the cart token from POST /guest-cart, sent in the X-Cart-Token header or the cart cookie. Without a valid token the cart is empty.
+   *     tags: [Cart]
+   *     responses:
+   *       200:
+   *         description: The guest cart's lines; variant lines include the variant's sku, name and price
+   */
+  router.get('/guest-cart', async (req, res) => {
+    const cartId = await findGuestCart(pool, req);
+    if (!cartId) {
+      return res.json([]);
+    }
+    const result = await pool.query(
+      `SELECT i.*, p.name, COALESCE(v.price, p.price) AS price, v.sku, v.name AS variant_name
+       FROM guest_cart_item i
+       JOIN product p ON i.product_id = p.id
+       LEFT JOIN product_variant v ON i.variant_id = v.id
+       WHERE i.guest_cart_id = $1`,
+      [cartId]
+    );
+    res.json(result.rows);
+  });
+
+  /**
+   * @swagger
+   * /guest-cart:
+   *   post:
+   *     summary: Add a product to the guest cart
+   *     description: Works like POST /cart. Without a valid cart token a new guest cart is started; its cartToken is returned and also set in the cart cookie. Signing in with the token merges the guest cart into the customer's cart.
+   *     tags: [Cart]
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - productId
+   *               - quantity
+   *             properties:
+   *               productId:
+   *                 type: integer
+   *                 minimum: 1
+   *               variantId:
+   *                 type: integer
+   *                 minimum: 1
+   *               quantity:
+   *                 type: integer
+   *                 minimum: 1
+   *     responses:
+   *       201:
+   *         description: Product added to the guest cart, with the cartToken
+   *       404:
+   *         description: The variant does not belong to the product
+   *       422:
+   *         description: Invalid product or quantity, or no variantId for a product with variants
+   */
+  router.post('/guest-cart', validate, async (req, res) => {
+    const { productId, variantId = null, quantity } = req.body;
+    await checkVariantSelection(pool, productId, variantId);
+
+    let cartId = await findGuestCart(pool, req);
+    let cartToken = null;
+    if (cartId) {
+      await touchGuestCart(pool, cartId);
+    } else {
+      ({ cartId, token: cartToken } = await createGuestCart(pool));
+      setCartCookie(res, cartToken);
+    }
+    await pool.query(
+      `INSERT INTO guest_cart_item (guest_cart_id, product_id, variant_id, quantity) VALUES ($1, $2, $3, $4)
+       ON CONFLICT (guest_cart_id, product_id, (COALESCE(variant_id, 0))) DO UPDATE SET quantity = guest_cart_item.quantity + $4`,
+      [cartId, productId, variantId, quantity]
+    );
+    res.status(201).json({ message: 'Product added to cart', ...(cartToken && { cartToken }) });
+  });
+
+  /**
+   * @swagger
+   * /guest-cart/{productId}:
+   *   put:
+   *     summary: Set the quantity of a product in the guest cart
+   *     tags: [Cart]
+   *     parameters:
+   *       - in: path
+   *         name: productId
+   *         required: true
+   *         schema:
+   *           type: integer
+   *           minimum: 1
+   *       - in: query
+   *         name: variantId
+   *         schema:
+   *           type: integer
+   *           minimum: 1
+   *         description: The variant line to update
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - quantity
+   *             properties:
+   *               quantity:
+   *                 type: integer
+   *                 minimum: 1
+   *     responses:
+   *       200:
+   *         description: Cart item quantity updated
+   *       404:
+   *         description: There is no guest cart or the product is not in it
+   */
+  router.put('/guest-cart/:productId', validate, async (req, res) => {
+    const productId = req.params.productId;
+    const variantId = req.query.variantId || null;
+    const { quantity } = req.body;
+    const cartId = await findGuestCart(pool, req);
+    const result = cartId && await pool.query(
+      'UPDATE guest_cart_item SET quantity = $1 WHERE guest_cart_id = $2 AND product_id = $3 AND variant_id IS NOT DISTINCT FROM $4 RETURNING *',
+      [quantity, cartId, productId, variantId]
+    );
+    if (!result || result.rows.length === 0) {
+      throw new NotFoundError('Cart item not found', { code: 'cart_item_not_found' });
+    }
+    await touchGuestCart(pool, cartId);
+    res.json({ message: 'Cart item quantity updated', item: result.rows[0] });
+  });
+
+  /**
+   * @swagger
+   * /guest-cart/{productId}:
+   *   delete:
+   *     summary: Remove a product from the guest cart
+   *     tags: [Cart]
+   *     parameters:
+   *       - in: path
+   *         name: productId
+   *         required: true
+   *         schema:
+   *           type: integer
+   *           minimum: 1
+   *       - in: query
+   *         name: variantId
+   *         schema:
+   *           type: integer
+   *           minimum: 1
+   *         description: Remove only this variant; without it every line of the product is removed
+   *     responses:
+   *       200:
+   *         description: Product removed from cart
+   */
+  router.delete('/guest-cart/:productId', validate, async (req, res) => {
+    const productId = req.params.productId;
+    const variantId = req.query.variantId || null;
+    const cartId = await findGuestCart(pool, req);
+    if (cartId) {
+      await pool.query(
+        'DELETE FROM guest_cart_item WHERE guest_cart_id = $1 AND product_id = $2 AND ($3::integer IS NULL OR variant_id = $3)',
+        [cartId, productId, variantId]
+      );
+      await touchGuestCart(pool, cartId);
+    }
+    res.json({ message: 'Product removed from cart' });
+  });
+
+  /**
+   * @swagger
+   * /guest-cart:
+   *   delete:
+   *     summary: Remove every product from the guest cart
+   *     tags: [Cart]
+   *     responses:
+   *       200:
+   *         description: Cart cleared successfully
+   */
+  router.delete('/guest-cart', async (req, res) => {
+    const cartId = await findGuestCart(pool, req);
+    if (cartId) {
+      await pool.query('DELETE FROM guest_cart_item WHERE guest_cart_id = $1', [cartId]);
+      await touchGuestCart(pool, cartId);
+    }
+    res.json({ message: 'Cart cleared successfully' });
+  });
+
+  // Wishlist
+
+  /**
+   * @swagger
+   * /wishlist:
+   *   get:
+   *     summary: Get user's wishlist
+   *     tags: [Wishlist]
+   *     security:
+   *       - bearerAuth: []
+   *     responses:
+   *       200:
+   *         description: User's wishlist
+   */
+  router.get('/wishlist', verifyToken, async (req, res) => {
+    const result = await pool.query(
+      'SELECT p.* FROM wishlist w JOIN product p ON w.product_id = p.id WHERE w.customer_id = $1',
+      [req.userId]
+    );
+    res.json(result.rows);
+  });
+
+  /**
+   * @swagger
+   * /wishlist/{productId}:
+   *   post:
+   *     summary: Add product to wishlist
+   *     tags: [Wishlist]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: productId
+   *         required: true
+   *         schema:
+   *           type: integer
+   *           minimum: 1
+   *     responses:
+   *       201:
+   *         description: Product added to wishlist
+   */
+  router.post('/wishlist/:productId', verifyToken, validate, async (req, res) => {
+    const productId = req.params.productId;
+    await pool.query(
+      'INSERT INTO wishlist (customer_id, product_id) VALUES ($1, $2) ON CONFLICT DO NOTHING',
+      [req.userId, productId]
+    );
+    res.status(201).json({ message: 'Product added to wishlist' });
+  });
+
+  /**
+   * @swagger
+   * /wishlist/{productId}:
+   *   delete:
+   *     summary: Remove product from wishlist
+   *     tags: [Wishlist]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: productId
+   *         required: true
+   *         schema:
+   *           type: integer
+   *           minimum: 1
+   *     responses:
+   *       200:
+   *         description: Product removed from wishlist
+   */
+  router.delete('/wishlist/:productId', verifyToken, validate, async (req, res) => {
+    const productId = req.params.productId;
+    await pool.query(
+      'DELETE FROM wishlist WHERE customer_id = $1 AND product_id = $2',
+      [req.userId, productId]
+    );
+    res.json({ message: 'Product removed from wishlist' });
+  });
+
+  return router;
+};
+
+module.exports = { createCartRouter };
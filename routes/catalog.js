@@ -0,0 +1,504 @@
+// routes/catalog.js
+const express = require('express');
+const { listProducts, getProduct } = require('../lib/catalog');
+const { searchProducts, suggest } = require('../lib/search');
+const { attachVariants } = require('../lib/variants');
+const { getCategoryTree, listCategories, attachBreadcrumbs } = require('../lib/categories');
+const { attachPrimaryImages, attachGalleries } = require('../lib/productImages');
+const { createReview, listProductReviews, updateReview, deleteReview, setHelpfulVote } = require('../lib/reviews');
+const { NotFoundError, ValidationError } = require('../lib/errors');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ReviewInput:
+ *       type: object
+ *       required:
+ *         - rating
+ *         - comment
+ *       properties:
+ *         rating:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 5
+ *         comment:
+ *           type: string
+ *           maxLength: 5000
+ */
+
+const createCatalogRouter = ({ pool, verifyToken, validate }) => {
+  const router = express.Router();
+
+  // Adds the primary image, variants and category breadcrumbs to product rows
+  const withDetails = async (products) => attachBreadcrumbs(pool, await attachVariants(pool, await attachPrimaryImages(pool, products)));
+
+  // Products and categories
+
+  /**
+   * @swagger
+   * /products:
+   *   get:
+   *     summary: List products with filters, sorting and facet counts
+   *     description: A product's price for filtering and sorting is the lowest it sells for, i.e. its cheapest variant when it has variants. Popularity is the number of units sold in orders that were not cancelled or refunded. The facet counts apply every filter except their own, so categories are counted without the category filter and price ranges without the price filters.
+   *     tags: [Products]
+   *     parameters:
+   *       - in: query
+   *         name: page
+   *         schema:
+   *           type: integer
+   *           minimum: 1
+   *           default: 1
+   *         description: Page number
+   *       - in: query
+   *         name: limit
+   *         schema:
+   *           type: integer
+   *           minimum: 1
+   *           maximum: 100
+   *           default: 10
+   *         description: Number of items per page
+   *       - in: query
+   *         name: category
+   *         schema:
+   *           type: array
+   *           maxItems: 20
+   *           items:
+   *             type: string
+   *         description: Category slugs; repeat the parameter to match any of several categories. A value that is no category's slug matches categories by name instead. A category includes its subcategories.
+   *       - in: query
+   *         name: minPrice
+   *         schema:
+   *           type: number
+   *           minimum: 0
+   *       - in: query
+   *         name: maxPrice
+   *         schema:
+   *           type: number
+   *           minimum: 0
+   *       - in: query
+   *         name: inStock
+   *         schema:
+   *           type: boolean
+   *         description: Only products that have stock themselves or in any variant
+   *       - in: query
+   *         name: minRating
+   *         schema:
+   *           type: number
+   *           minimum: 1
+   *           maximum: 5
+   *         description: Minimum average review rating
+   *       - in: query
+   *         name: sort
+   *         schema:
+   *           type: string
+   *           enum: [newest, price_asc, price_desc, popularity, rating]
+   *           default: newest
+   *     responses:
+   *       200:
+   *         description: A page of products, each with its primary image, its option types, its variants and the breadcrumbs of its category, and facets with product counts per category (subcategories included) and per price range
+   *       422:
+   *         description: Invalid filter, sort or page size, or minPrice above maxPrice
+   */
+  router.get('/products', validate, async (req, res) => {
+    const { page, limit, category, minPrice, maxPrice, inStock, minRating, sort } = req.query;
+    if (minPrice !== undefined && maxPrice !== undefined && minPrice > maxPrice) {
+      throw new ValidationError([{ in: 'query', field: 'maxPrice', message: 'must be greater than or equal to minPrice' }]);
+    }
+
+    const { products, total, facets } = await listProducts(
+      pool,
+      { categories: category, minPrice, maxPrice, inStock, minRating },
+      { sort, limit, offset: (page - 1) * limit }
+    );
+
+    res.json({
+      products: await withDetails(products),
+      currentPage: page,
+      totalPages: Math.ceil(total / limit),
+      totalProducts: total,
+      facets,
+    });
+  });
+
+  /**
+   * @swagger
+   * /products/{id}:
+   *   get:
+   *     summary: Get a product with its image gallery
+   *     tags: [Products]
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *           minimum: 1
+   *     responses:
+   *       200:
+   *         description: The product with its primary image, every gallery image in order under images, its option types, its variants and the breadcrumbs of its category
+   *       404:
+   *         description: Product not found
+   */
+  router.get('/products/:id', validate, async (req, res) => {
+    const product = await getProduct(pool, req.params.id);
+    if (!product) {
+      throw new NotFoundError('Product not found', { code: 'product_not_found' });
+    }
+    const [detailed] = await attachGalleries(pool, await withDetails([product]));
+    res.json(detailed);
+  });
+
+  /**
+   * @swagger
+   * /categories:
+   *   get:
+   *     summary: List product categories
+   *     description: Categories in display order, each followed by its subcategories, siblings ordered by sort_order then name.
+   *     tags: [Products]
+   *     responses:
+   *       200:
+   *         description: All categories with their parent_id and depth (0 at the top level)
+   */
+  router.get('/categories', async (req, res) => {
+    res.json(await listCategories(pool));
+  });
+
+  /**
+   * @swagger
+   * /categories/tree:
+   *   get:
+   *     summary: Get the category tree
+   *     tags: [Products]
+   *     responses:
+   *       200:
+   *         description: The top-level categories, each with its subcategories nested in children
+   */
+  router.get('/categories/tree', async (req, res) => {
+    res.json(await getCategoryTree(pool));
+  });
+
+  /**
+   * @swagger
+   * /search:
+   *   get:
+   *     summary: Search products by relevance
+   *     description: Full-text search over product names, descriptions and category names, weighted in that order. The query accepts "quoted phrases", or and -word. Matches are ranked by relevance, with the matching words wrapped in <mark> in highlight.name and highlight.description. The rest of the highlighted text is HTML-escaped, so it can be rendered as HTML. When nothing matches, product names similar to the query are returned instead, with matchType fuzzy.
+   *     tags: [Products]
+   *     parameters:
+   *       - in: query
+   *         name: query
+   *         required: true
+   *         schema:
+   *           type: string
+   *           minLength: 1
+   *           maxLength: 200
+   *       - in: query
+   *         name: page
+   *         schema:
+   *           type: integer
+   *           minimum: 1
+   *           default: 1
+   *       - in: query
+   *         name: limit
+   *         schema:
+   *           type: integer
+   *           minimum: 1
+   *           maximum: 100
+   *           default: 10
+   *     responses:
+   *       200:
+   *         description: Matching products, most relevant first, and whether they matched the text (fulltext) or only resemble it (fuzzy)
+   */
+  router.get('/search', validate, async (req, res) => {
+    const { query, page, limit } = req.query;
+    const { products, total, matchType } = await searchProducts(pool, query, { limit, offset: (page - 1) * limit });
+
+    res.json({
+      products: await withDetails(products),
+      matchType,
+      currentPage: page,
+      totalPages: Math.ceil(total / limit),
+      totalProducts: total,
+    });
+  });
+
+  /**
+   * @swagger
+   * /search/suggest:
+   *   get:
+   *     summary: Autocomplete product and category names for a search box
+   *     description: Names starting with the text come first, then names containing it, then close misspellings.
+   *     tags: [Products]
+   *     parameters:
+   *       - in: query
+   *         name: q
+   *         required: true
+   *         schema:
+   *           type: string
+   *           minLength: 1
+   *           maxLength: 100
+   *       - in: query
+   *         name: limit
+   *         schema:
+   *           type: integer
+   *           minimum: 1
+   *           maximum: 20
+   *           default: 8
+   *         description: Maximum number of products and of categories
+   *     responses:
+   *       200:
+   *         description: Matching product and category names
+   */
+  router.get('/search/suggest', validate, async (req, res) => {
+    const { q, limit } = req.query;
+    const suggestions = await suggest(pool, q, { limit });
+    res.json({ query: q, ...suggestions });
+  });
+
+  // Reviews
+
+  /**
+   * @swagger
+   * /products/{id}/reviews:
+   *   post:
+   *     summary: Review a product
+   *     description: Each customer can review a product once. The review is shown once an admin approves it.
+   *     tags: [Reviews]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *           minimum: 1
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             $ref: '#/components/schemas/ReviewInput'
+   *     responses:
+   *       201:
+   *         description: The pending review
+   *       409:
+   *         description: The customer already reviewed the product (review_exists, with its reviewId), or the product does not exist
+   *       422:
+   *         description: Invalid rating or comment
+   */
+  router.post('/products/:id/reviews', verifyToken, validate, async (req, res) => {
+    const { rating, comment } = req.body;
+    const review = await createReview(pool, req.params.id, req.userId, { rating, comment });
+    res.status(201).json(review);
+  });
+
+  /**
+   * @swagger
+   * /products/{id}/reviews:
+   *   get:
+   *     summary: Get the approved reviews of a product
+   *     description: Each review says whether it is a verified purchase, i.e. its author has a delivered order containing the product, and how many customers found it helpful.
+   *     tags: [Reviews]
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *           minimum: 1
+   *       - in: query
+   *         name: page
+   *         schema:
+   *           type: integer
+   *           minimum: 1
+   *           default: 1
+   *       - in: query
+   *         name: limit
+   *         schema:
+   *           type: integer
+   *           minimum: 1
+   *           maximum: 100
+   *           default: 10
+   *       - in: query
+   *         name: sort
+   *         schema:
+   *           type: string
+   *           enum: [newest, oldest, highest, lowest, helpful]
+   *           default: newest
+   *       - in: query
+   *         name: verified
+   *         schema:
+   *           type: boolean
+   *           default: false
+   *         description: Only verified purchases
+   *     responses:
+   *       200:
+   *         description: A page of reviews
+   */
+  router.get('/products/:id/reviews', validate, async (req, res) => {
+    const { page, limit, sort, verified } = req.query;
+    const { reviews, total } = await listProductReviews(pool, req.params.id, { sort, verified, limit, offset: (page - 1) * limit });
+    res.json({
+      reviews,
+      currentPage: page,
+      totalPages: Math.ceil(total / limit),
+      totalReviews: total,
+    });
+  });
+
+  /**
+   * @swagger
+   * /reviews/{id}:
+   *   put:
+   *     summary: Edit your review
+   *     description: The edited review goes back to the moderation queue and is hidden until it is approved again.
+   *     tags: [Reviews]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *           minimum: 1
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             $ref: '#/components/schemas/ReviewInput'
+   *     responses:
+   *       200:
+   *         description: The updated review
+   *       404:
+   *         description: The review does not exist or was written by someone else
+   *       422:
+   *         description: Invalid rating or comment
+   */
+  router.put('/reviews/:id', verifyToken, validate, async (req, res) => {
+    const { rating, comment } = req.body;
+    const review = await updateReview(pool, req.params.id, req.userId, { rating, comment });
+    if (!review) {
+      throw new NotFoundError('Review not found', { code: 'review_not_found' });
+    }
+    res.json(review);
+  });
+
+  /**
+   * @swagger
+   * /reviews/{id}:
+   *   delete:
+   *     summary: Delete your review
+   *     tags: [Reviews]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *           minimum: 1
+   *     responses:
+   *       200:
+   *         description: Review deleted
+   *       404:
+   *         description: The review does not exist or was written by someone else
+   */
+  router.delete('/reviews/:id', verifyToken, validate, async (req, res) => {
+    const review = await deleteReview(pool, req.params.id, req.userId);
+    if (!review) {
+      throw new NotFoundError('Review not found', { code: 'review_not_found' });
+    }
+    res.json({ message: 'Review deleted', review });
+  });
+
+  /**
+   * @swagger
+   * /reviews/{id}/helpful:
+   *   post:
+   *     summary: Mark a review as helpful
+   *     description: A customer's vote counts once however often it is sent. Authors cannot vote on their own reviews.
+   *     tags: [Reviews]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *           minimum: 1
+   *     responses:
+   *       200:
+   *         description: The review's helpful_count
+   *       403:
+   *         description: The review is the customer's own
+   *       404:
+   *         description: No approved review with this id
+   *   delete:
+   *     summary: Withdraw your helpful vote
+   *     tags: [Reviews]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *           minimum: 1
+   *     responses:
+   *       200:
+   *         description: The review's helpful_count
+   *       404:
+   *         description: No approved review with this id
+   */
+  const helpfulVote = (helpful) => async (req, res) => {
+    const helpfulCount = await setHelpfulVote(pool, req.params.id, req.userId, helpful);
+    if (helpfulCount === null) {
+      throw new NotFoundError('Review not found', { code: 'review_not_found' });
+    }
+    res.json({ reviewId: req.params.id, helpful_count: helpfulCount });
+  };
+  router.post('/reviews/:id/helpful', verifyToken, validate, helpfulVote(true));
+  router.delete('/reviews/:id/helpful', verifyToken, validate, helpfulVote(false));
+
+  /**
+   * @swagger
+   * /products/{id}/rating:
+   *   get:
+   *     summary: Get the average rating, review count and star histogram of a product
+   *     description: Only approved reviews count. The histogram maps each star rating from 1 to 5 to its number of reviews.
+   *     tags: [Reviews]
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *           minimum: 1
+   *     responses:
+   *       200:
+   *         description: average_rating (null without reviews), review_count and rating_histogram
+   *       404:
+   *         description: Product not found
+   */
+  router.get('/products/:id/rating', validate, async (req, res) => {
+    const result = await pool.query(
+      'SELECT average_rating, review_count, rating_histogram FROM product WHERE id = $1',
+      [req.params.id]
+    );
+    if (result.rows.length === 0) {
+      throw new NotFoundError('Product not found', { code: 'product_not_found' });
+    }
+    res.json(result.rows[0]);
+  });
+
+  return router;
+};
+
+module.exports = { createCatalogRouter };
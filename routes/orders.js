@@ -0,0 +1,388 @@
+// routes/orders.js
+const express = require('express');
+const { ORDER_STATUS, transitionOrder, getStatusHistory } = require('../lib/orderStatus');
+const { createOrder, getOrderItems } = require('../lib/orders');
+const { evaluateCoupon } = require('../lib/coupons');
+const { getPaymentProvider, WebhookSignatureError } = require('../lib/payments');
+const { startPayment, handleWebhookEvent, refundOrderPayments } = require('../lib/payments/paymentService');
+const { RESTOCK_STATUSES, getReservationMinutes, reserveStock, releaseStock } = require('../lib/inventory');
+const { AppError, BadRequestError, ConflictError, NotFoundError } = require('../lib/errors');
+
+const createOrdersRouter = ({ pool, verifyToken, isAdmin, validate }) => {
+  const router = express.Router();
+
+  // Orders
+
+  /**
+   * @swagger
+   * /orders:
+   *   post:
+   *     summary: Create a new order
+   *     description: Prices, names and totals are computed on the server from the cart and stored on the order, so later catalog changes do not affect it. Tax uses the TAX_RATE setting. The ordered quantities are taken from stock straight away and given back if the order is not paid before reservedUntil.
+   *     tags: [Orders]
+   *     security:
+   *       - bearerAuth: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - shippingAddress
+   *             properties:
+   *               shippingAddress:
+   *                 type: string
+   *                 minLength: 1
+   *               couponCode:
+   *                 type: string
+   *                 description: Optional coupon; its discount is stored on the order and counts towards the coupon's limits
+   *     responses:
+   *       201:
+   *         description: Order created successfully; returns orderId, grandTotal and reservedUntil
+   *       404:
+   *         description: Invalid or expired coupon
+   *       409:
+   *         description: Coupon redemption limit reached, not enough stock for a cart item, or a cart item needs a variant chosen
+   *       422:
+   *         description: The cart is empty (cart_empty), or the coupon does not apply to this cart (minimum order, product or category restrictions)
+   */
+  router.post('/orders', verifyToken, validate, async (req, res) => {
+    const { shippingAddress, couponCode } = req.body;
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      // Get cart items; the current price (the variant's own, if it has one) is snapshotted onto the order
+      const cartItems = await client.query(
+        `SELECT c.product_id, c.variant_id, c.quantity, p.name AS product_name, v.sku, v.name AS variant_name,
+                COALESCE(v.price, p.price) AS unit_price, p.category_id,
+                c.variant_id IS NULL AND EXISTS (SELECT 1 FROM product_variant pv WHERE pv.product_id = p.id) AS variant_missing
+         FROM cart c
+         JOIN product p ON c.product_id = p.id
+         LEFT JOIN product_variant v ON c.variant_id = v.id
+         WHERE c.customer_id = $1`,
+        [req.userId]
+      );
+
+      if (cartItems.rows.length === 0) {
+        throw new AppError('Cart is empty', { status: 422, code: 'cart_empty' });
+      }
+
+      // Lines added before the product got variants have to be replaced by a variant
+      const missing = cartItems.rows.find((item) => item.variant_missing);
+      if (missing) {
+        throw new ConflictError(`Choose a variant for product ID ${missing.product_id}`, {
+          code: 'variant_required',
+          details: { productId: missing.product_id },
+        });
+      }
+
+      // Apply the coupon, if any, before totals are computed
+      let items = cartItems.rows;
+      let coupon = null;
+      if (couponCode) {
+        ({ coupon, items } = await evaluateCoupon(client, couponCode, { customerId: req.userId, items, lock: true }));
+      }
+
+      // Create order with its items and totals
+      const order = await createOrder(client, {
+        customerId: req.userId,
+        shippingAddress,
+        items,
+        coupon,
+      });
+
+      // Reserve stock as sales of this order; fails with 409 if any product has run out
+      await reserveStock(client, cartItems.rows, { orderId: order.id, actorId: req.userId });
+
+      // Unpaid orders give the stock back when the reservation runs out
+      const reservation = await client.query(
+        'UPDATE customer_order SET reserved_until = CURRENT_TIMESTAMP + make_interval(mins => $1) WHERE id = $2 RETURNING reserved_until',
+        [getReservationMinutes(), order.id]
+      );
+
+      // Clear cart
+      await client.query('DELETE FROM cart WHERE customer_id = $1', [req.userId]);
+
+      await client.query('COMMIT');
+      res.status(201).json({
+        message: 'Order created successfully',
+        orderId: order.id,
+        grandTotal: order.grand_total,
+        reservedUntil: reservation.rows[0].reserved_until,
+      });
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  });
+
+  /**
+   * @swagger
+   * /orders:
+   *   get:
+   *     summary: Get user's orders
+   *     tags: [Orders]
+   *     security:
+   *       - bearerAuth: []
+   *     responses:
+   *       200:
+   *         description: List of user's orders
+   */
+  router.get('/orders', verifyToken, async (req, res) => {
+    const result = await pool.query(
+      'SELECT * FROM customer_order WHERE customer_id = $1 ORDER BY created_at DESC',
+      [req.userId]
+    );
+    res.json(result.rows);
+  });
+
+  /**
+   * @swagger
+   * /orders/{orderId}:
+   *   get:
+   *     summary: Get order details
+   *     tags: [Orders]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: orderId
+   *         required: true
+   *         schema:
+   *           type: integer
+   *           minimum: 1
+   *     responses:
+   *       200:
+   *         description: Order details, its items and the status change history
+   */
+  router.get('/orders/:orderId', verifyToken, validate, async (req, res) => {
+    const orderId = req.params.orderId;
+    const orderResult = await pool.query(
+      'SELECT * FROM customer_order WHERE id = $1 AND customer_id = $2',
+      [orderId, req.userId]
+    );
+    if (orderResult.rows.length === 0) {
+      throw new NotFoundError('Order not found', { code: 'order_not_found' });
+    }
+
+    const items = await getOrderItems(pool, orderId);
+    const history = await getStatusHistory(pool, orderId);
+
+    res.json({
+      order: orderResult.rows[0],
+      items,
+      history
+    });
+  });
+
+  /**
+   * @swagger
+   * /orders/{orderId}/status:
+   *   patch:
+   *     summary: Move an order to a new status
+   *     description: "Allowed transitions: Pending → Paid | Cancelled, Paid → Fulfilling | Refunded, Fulfilling → Shipped | Refunded, Shipped → Delivered, Delivered → Refunded. Cancelled and refunded orders return their items to stock."
+   *     tags: [Orders]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: orderId
+   *         required: true
+   *         schema:
+   *           type: integer
+   *           minimum: 1
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - status
+   *             properties:
+   *               status:
+   *                 type: string
+   *                 enum: [Pending, Paid, Fulfilling, Shipped, Delivered, Cancelled, Refunded]
+   *               note:
+   *                 type: string
+   *     responses:
+   *       200:
+   *         description: Order status updated
+   *       422:
+   *         description: Unknown status
+   *       404:
+   *         description: Order not found
+   *       409:
+   *         description: Transition not allowed from the current status
+   */
+  router.patch('/orders/:orderId/status', verifyToken, isAdmin, validate, async (req, res) => {
+    const { orderId } = req.params;
+    const { status, note } = req.body;
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const order = await transitionOrder(client, orderId, status, { changedBy: req.userId, note });
+      if (!order) {
+        throw new NotFoundError('Order not found', { code: 'order_not_found' });
+      }
+      if (status === ORDER_STATUS.REFUNDED) {
+        await refundOrderPayments(client, orderId);
+      }
+      if (RESTOCK_STATUSES.includes(status)) {
+        await releaseStock(client, orderId, { actorId: req.userId, note: `Order ${status.toLowerCase()}` });
+      }
+      await client.query('COMMIT');
+      res.json({ message: 'Order status updated', order });
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  });
+
+  // Payments
+
+  /**
+   * @swagger
+   * /orders/{orderId}/pay:
+   *   post:
+   *     summary: Start a payment for an order
+   *     tags: [Payments]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: orderId
+   *         required: true
+   *         schema:
+   *           type: integer
+   *           minimum: 1
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - paymentMethod
+   *             properties:
+   *               paymentMethod:
+   *                 type: string
+   *                 minLength: 1
+   *     responses:
+   *       202:
+   *         description: Payment initiated; the order is marked Paid when the provider confirms it via /payments/webhook
+   *       404:
+   *         description: Order not found
+   *       409:
+   *         description: Order is not awaiting payment (already paid, cancelled, etc.)
+   */
+  router.post('/orders/:orderId/pay', verifyToken, validate, async (req, res) => {
+    const orderId = req.params.orderId;
+    const { paymentMethod } = req.body;
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      // The order only moves to Paid once the provider confirms through /payments/webhook
+      const started = await startPayment(client, getPaymentProvider(), {
+        orderId,
+        customerId: req.userId,
+        paymentMethod,
+        currency: process.env.CURRENCY || 'USD',
+      });
+      if (!started) {
+        throw new NotFoundError('Order not found', { code: 'order_not_found' });
+      }
+
+      await client.query('COMMIT');
+      const { payment, clientSecret } = started;
+      res.status(202).json({
+        message: 'Payment initiated, awaiting confirmation',
+        paymentId: payment.id,
+        provider: payment.provider,
+        reference: payment.provider_reference,
+        amount: payment.amount,
+        currency: payment.currency,
+        clientSecret,
+      });
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  });
+
+  /**
+   * @swagger
+   * /payments/webhook:
+   *   post:
+   *     summary: Receive a signed payment confirmation from the payment provider
+   *     description: Moves the order to Paid once a payment.succeeded (or captured payment.authorized) event is verified. Replayed events are acknowledged without effect.
+   *     tags: [Payments]
+   *     parameters:
+   *       - in: header
+   *         name: x-fake-signature
+   *         schema:
+   *           type: string
+   *         description: "Signature header of the fake provider: t=<unix time>,v1=<hex HMAC-SHA256 of \"<t>.<raw body>\">"
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               id:
+   *                 type: string
+   *               type:
+   *                 type: string
+   *                 enum: [payment.authorized, payment.succeeded, payment.failed]
+   *               reference:
+   *                 type: string
+   *               amount:
+   *                 type: number
+   *     responses:
+   *       200:
+   *         description: Event received
+   *       400:
+   *         description: Missing or invalid signature
+   */
+  router.post('/payments/webhook', async (req, res) => {
+    const provider = getPaymentProvider();
+
+    let event;
+    try {
+      event = provider.verifyWebhook(req.rawBody, req.headers);
+    } catch (error) {
+      if (error instanceof WebhookSignatureError) throw error;
+      throw new BadRequestError('Invalid webhook payload', { code: 'invalid_webhook_payload' });
+    }
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const { outcome } = await handleWebhookEvent(client, provider, event);
+      await client.query('COMMIT');
+      res.json({ received: true, outcome });
+    } catch (error) {
+      // A non-2xx response makes the provider retry the delivery later
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  });
+
+  return router;
+};
+
+module.exports = { createOrdersRouter };
@@ -0,0 +1,28 @@
+// scripts/fake-payment-webhook.js
+// Sends a signed webhook from the fake payment provider to a locally running server.
+// Usage: node scripts/fake-payment-webhook.js <reference> [type] [amount]
+require('dotenv').config();
+const { FakePaymentProvider } = require('../lib/payments/fakeProvider');
+
+const [reference, type = 'payment.succeeded', amount] = process.argv.slice(2);
+if (!reference) {
+  console.error('Usage: node scripts/fake-payment-webhook.js <reference> [type] [amount]');
+  process.exit(1);
+}
+
+const provider = new FakePaymentProvider({ webhookSecret: process.env.PAYMENT_WEBHOOK_SECRET });
+const { body, headers } = provider.buildWebhook({
+  type,
+  reference,
+  amount: amount === undefined ? undefined : Number(amount),
+});
+const serverUrl = process.env.PUBLIC_SERVER_URL || `http://localhost:${process.env.PORT || 3000}`;
+
+fetch(`${serverUrl}/payments/webhook`, { method: 'POST', headers, body })
+  .then(async (response) => {
+    console.log(response.status, await response.text());
+  })
+  .catch((error) => {
+    console.error(error.message);
+    process.exitCode = 1;
+  });
@@ -0,0 +1,33 @@
+// scripts/import-legacy-images.js
+// Moves the originals uploaded before images were processed into storage: each one is processed
+// like a new upload, becomes its product's gallery image or its variant's image, and the original
+// is deleted. Originals are read through the configured storage driver, or from a directory such
+// as the old uploads/ when one is given, e.g. when STORAGE_DRIVER=s3.
+// Usage: node scripts/import-legacy-images.js [directory]
+require('dotenv').config();
+const { Pool } = require('pg');
+const { createStorage } = require('../lib/storage');
+const { LocalStorage } = require('../lib/storage/localStorage');
+const { importLegacyImages } = require('../lib/legacyImages');
+
+const pool = new Pool({ connectionString: process.env.POSTGRES_URL });
+const storage = createStorage({ uploadDir: process.env.UPLOAD_DIR || 'uploads' });
+const source = process.argv[2] ? new LocalStorage({ dir: process.argv[2] }) : storage;
+
+importLegacyImages(pool, storage, { source })
+  .then((results) => {
+    const failed = results.filter((row) => row.error);
+    for (const row of results) {
+      const label = row.kind === 'variant' ? `Variant ${row.id} of product ${row.product_id}` : `Product ${row.id}`;
+      console.log(`${label}: ${row.image_path} -> ${row.error ? `not imported, ${row.error}` : `image ${row.imageId}`}`);
+    }
+    console.log(`Imported ${results.length - failed.length} legacy image(s); ${failed.length} failed`);
+    if (failed.length > 0) {
+      process.exitCode = 1;
+    }
+  })
+  .catch((error) => {
+    console.error(error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
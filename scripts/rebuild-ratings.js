@@ -0,0 +1,23 @@
+// scripts/rebuild-ratings.js
+// Recomputes every product's average rating, review count and star histogram from its approved
+// reviews and lists the products whose stored values were wrong.
+// Usage: node scripts/rebuild-ratings.js
+require('dotenv').config();
+const { Pool } = require('pg');
+const { rebuildProductRatings } = require('../lib/reviews');
+
+const pool = new Pool({ connectionString: process.env.POSTGRES_URL });
+
+rebuildProductRatings(pool)
+  .then((corrected) => {
+    for (const row of corrected) {
+      const { previous } = row;
+      console.log(`Product ${row.id} (${row.name}): average ${previous.average_rating} -> ${row.average_rating}, reviews ${previous.review_count} -> ${row.review_count}`);
+    }
+    console.log(`Rebuilt rating aggregates; ${corrected.length} product(s) corrected`);
+  })
+  .catch((error) => {
+    console.error(error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
@@ -0,0 +1,27 @@
+// scripts/reconcile-inventory.js
+// Compares every product's and variant's stock_quantity with the sum of its inventory_movement rows.
+// Exits with status 1 when they disagree, so it can run from cron or CI.
+// Usage: node scripts/reconcile-inventory.js
+require('dotenv').config();
+const { Pool } = require('pg');
+const { findStockDiscrepancies } = require('../lib/inventory');
+
+const pool = new Pool({ connectionString: process.env.POSTGRES_URL });
+
+findStockDiscrepancies(pool)
+  .then((discrepancies) => {
+    if (discrepancies.length === 0) {
+      console.log('Stock matches the inventory ledger');
+      return;
+    }
+    for (const row of discrepancies) {
+      const label = row.variant_id ? `Variant ${row.variant_id} (${row.name}, ${row.sku})` : `Product ${row.product_id} (${row.name})`;
+      console.log(`${label}: stock ${row.stock_quantity}, ledger ${row.ledger_quantity}, difference ${row.difference}`);
+    }
+    process.exitCode = 1;
+  })
+  .catch((error) => {
+    console.error(error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
@@ -0,0 +1,23 @@
+// server.js
+require('dotenv').config();
+const { createApp } = require('./app');
+const { startReservationSweeper } = require('./lib/inventory');
+const { startImageSweeper } = require('./lib/images');
+const { startGuestCartSweeper } = require('./lib/guestCarts');
+
+const app = createApp();
+
+// Cancel unpaid orders whose stock reservation has expired
+startReservationSweeper(app.locals.pool);
+
+// Delete stored image files that no image record refers to
+startImageSweeper(app.locals.pool, app.locals.storage);
+
+// Delete guest carts that have not been used for GUEST_CART_TTL_DAYS
+startGuestCartSweeper(app.locals.pool);
+
+// Start the server
+const PORT = process.env.PORT || 3000;
+app.listen(PORT, () => {
+  console.log(`Server is running on port ${PORT}`);
+});
@@ -0,0 +1,487 @@
+// test/admin.test.js
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const request = require('supertest');
+const sharp = require('sharp');
+const { setupTestApp, createCustomer, createProduct, createImage } = require('./helpers');
+const { releaseExpiredReservations } = require('../lib/inventory');
+
+// Smallest valid PNG
+const PNG = Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=', 'base64');
+
+describe('admin', () => {
+  let ctx;
+  let admin;
+  let customer;
+  let categoryId;
+
+  // The content hashes of the stored images, one directory each
+  const uploads = () => {
+    const dir = path.join(ctx.uploadDir, 'images');
+    return fs.existsSync(dir) ? fs.readdirSync(dir) : [];
+  };
+
+  before(async () => {
+    ctx = await setupTestApp();
+    admin = await createCustomer(ctx, { admin: true });
+    customer = await createCustomer(ctx);
+    categoryId = (await createProduct(ctx.pool, { name: 'Seed', category: 'Garden' })).category_id;
+  });
+
+  after(async () => {
+    await ctx.close();
+  });
+
+  it('rejects anonymous callers with 401 and customers with 403', async () => {
+    await request(ctx.app).get('/admin/low-stock-alerts').expect(401);
+    const res = await request(ctx.app).get('/admin/low-stock-alerts').set(customer.auth).expect(403);
+    assert.equal(res.body.code, 'admin_required');
+    await request(ctx.app).post('/categories').set(customer.auth).send({ name: 'Nope' }).expect(403);
+  });
+
+  describe('products', () => {
+    let productId;
+
+    it('creates a product from JSON', async () => {
+      const res = await request(ctx.app)
+        .post('/products')
+        .set(admin.auth)
+        .send({ name: 'Rake', price: 19.99, category_id: categoryId, stock_quantity: 4 })
+        .expect(201);
+      assert.equal(res.body.price, '19.99');
+      assert.equal(res.body.image_path, null);
+    });
+
+    it('creates a product with an uploaded image and serves its sizes', async () => {
+      const res = await request(ctx.app)
+        .post('/products')
+        .set(admin.auth)
+        .field('name', 'Shovel')
+        .field('price', '25')
+        .field('category_id', String(categoryId))
+        .field('stock_quantity', '3')
+        .attach('image', await createImage({ width: 2000, height: 1000, format: 'jpeg', exif: { IFD0: { Copyright: 'Secret' } } }), 'shovel.jpg')
+        .expect(201);
+      productId = res.body.id;
+      assert.equal(res.body.stock_quantity, 3);
+      assert.deepEqual(uploads(), [res.body.image.hash]);
+      assert.deepEqual([res.body.image.width, res.body.image.height], [2000, 1000]);
+      assert.deepEqual(Object.keys(res.body.image.urls), ['thumbnail', 'card', 'zoom']);
+
+      const zoom = await request(ctx.app).get(res.body.image.urls.zoom.webp).expect('Content-Type', 'image/webp').expect(200);
+      const zoomed = await sharp(zoom.body).metadata();
+      assert.deepEqual([zoomed.width, zoomed.height], [1600, 800]);
+
+      // Re-encoding strips the EXIF data
+      const card = await request(ctx.app).get(res.body.image.urls.card.jpeg).expect('Content-Type', 'image/jpeg').expect(200);
+      const carded = await sharp(card.body).metadata();
+      assert.equal(carded.width, 480);
+      assert.equal(carded.exif, undefined);
+    });
+
+    it('does not keep the upload when the request is invalid', async () => {
+      const res = await request(ctx.app)
+        .post('/products')
+        .set(admin.auth)
+        .field('name', 'Hoe')
+        .field('price', 'free')
+        .field('category_id', String(categoryId))
+        .field('stock_quantity', '1')
+        .attach('image', PNG, 'hoe.png')
+        .expect(422);
+      assert.equal(res.body.errors[0].field, 'price');
+      assert.equal(uploads().length, 1);
+
+      await request(ctx.app)
+        .post('/products')
+        .set(admin.auth)
+        .field('name', 'Hoe')
+        .field('price', '5')
+        .field('category_id', '99999')
+        .field('stock_quantity', '1')
+        .attach('image', PNG, 'hoe.png')
+        .expect(409);
+      // The processed files are removed asynchronously
+      await new Promise((resolve) => setTimeout(resolve, 50));
+      assert.equal(uploads().length, 1);
+      const images = await ctx.pool.query('SELECT COUNT(*)::int AS count FROM media_image');
+      assert.equal(images.rows[0].count, 1);
+    });
+
+    it('rejects files that are not images or are too large', async () => {
+      const upload = (file, name) => request(ctx.app)
+        .post('/products')
+        .set(admin.auth)
+        .field('name', 'Hoe')
+        .field('price', '5')
+        .field('category_id', String(categoryId))
+        .field('stock_quantity', '1')
+        .attach('image', file, name);
+
+      // Checked by content, not by the file name
+      const text = await upload(Buffer.from('not an image at all'), 'hoe.png').expect(422);
+      assert.equal(text.body.errors[0].field, 'image');
+      const truncated = await upload(PNG.subarray(0, 20), 'hoe.png').expect(422);
+      assert.equal(truncated.body.errors[0].field, 'image');
+
+      const large = await upload(Buffer.concat([PNG, Buffer.alloc(10 * 1024 * 1024)]), 'hoe.png').expect(413);
+      assert.equal(large.body.code, 'file_too_large');
+      assert.equal(uploads().length, 1);
+    });
+
+    it('stores identical uploads once', async () => {
+      const post = (name) => request(ctx.app)
+        .post('/products')
+        .set(admin.auth)
+        .field('name', name)
+        .field('price', '5')
+        .field('category_id', String(categoryId))
+        .field('stock_quantity', '1')
+        .attach('image', PNG, 'same.png')
+        .expect(201);
+      const first = await post('Trowel A');
+      const second = await post('Trowel B');
+      assert.equal(first.body.image.image_id, second.body.image.image_id);
+      assert.equal(uploads().length, 2);
+
+      // The files stay while another product uses them
+      await request(ctx.app).delete(`/products/${first.body.id}`).set(admin.auth).expect(200);
+      await new Promise((resolve) => setTimeout(resolve, 50));
+      assert.ok(uploads().includes(second.body.image.hash));
+      await request(ctx.app).delete(`/products/${second.body.id}`).set(admin.auth).expect(200);
+      await new Promise((resolve) => setTimeout(resolve, 50));
+      assert.equal(uploads().length, 1);
+    });
+
+    it('replaces the image on update and removes the old files', async () => {
+      const before = uploads();
+      const res = await request(ctx.app)
+        .put(`/products/${productId}`)
+        .set(admin.auth)
+        .field('name', 'Steel shovel')
+        .field('price', '29.5')
+        .field('category_id', String(categoryId))
+        .field('stock_quantity', '3')
+        .attach('image', await createImage({ colour: '#999999' }), 'steel.png')
+        .expect(200);
+      assert.equal(res.body.name, 'Steel shovel');
+
+      // The old files are removed asynchronously
+      await new Promise((resolve) => setTimeout(resolve, 50));
+      const after = uploads();
+      assert.deepEqual(after, [res.body.image.hash]);
+      assert.notDeepEqual(after, before);
+    });
+
+    it('answers 404 when updating a missing product', async () => {
+      const res = await request(ctx.app)
+        .put('/products/99999')
+        .set(admin.auth)
+        .send({ name: 'Ghost', price: 1, category_id: categoryId, stock_quantity: 1 })
+        .expect(404);
+      assert.equal(res.body.code, 'product_not_found');
+    });
+
+    it('adjusts stock by a relative quantity', async () => {
+      const res = await request(ctx.app).patch(`/products/${productId}/stock`).set(admin.auth).send({ quantity: -2 }).expect(200);
+      assert.equal(res.body.stock_quantity, 1);
+      await request(ctx.app).patch('/products/99999/stock').set(admin.auth).send({ quantity: 1 }).expect(404);
+    });
+
+    it('deletes a product together with its image', async () => {
+      await request(ctx.app).delete(`/products/${productId}`).set(admin.auth).expect(200);
+      await new Promise((resolve) => setTimeout(resolve, 50));
+      assert.deepEqual(uploads(), []);
+      await request(ctx.app).delete(`/products/${productId}`).set(admin.auth).expect(404);
+    });
+  });
+
+  describe('product images', () => {
+    let productId;
+
+    const addImages = (id, files) => {
+      const req = request(ctx.app).post(`/products/${id}/images`).set(admin.auth);
+      files.forEach((file, i) => req.attach('images', file, `photo-${i}.png`));
+      return req;
+    };
+
+    before(async () => {
+      productId = (await createProduct(ctx.pool, { name: 'Wheelbarrow', category: 'Garden' })).id;
+    });
+
+    it('uploads several images at once, the first becoming the primary one', async () => {
+      const res = await addImages(productId, [
+        await createImage({ colour: '#aa0000' }),
+        await createImage({ colour: '#00aa00' }),
+        await createImage({ colour: '#0000aa' }),
+      ]).expect(201);
+      assert.deepEqual(res.body.map((image) => image.position), [0, 1, 2]);
+      assert.deepEqual(res.body.map((image) => image.is_primary), [true, false, false]);
+      assert.ok(res.body[0].urls.card.webp);
+
+      // Images already in the gallery are skipped
+      const again = await addImages(productId, [await createImage({ colour: '#00aa00' }), PNG]).expect(201);
+      assert.equal(again.body.length, 4);
+      assert.deepEqual(again.body.map((image) => image.is_primary), [true, false, false, false]);
+    });
+
+    it('rejects empty uploads and unknown products', async () => {
+      await request(ctx.app).post(`/products/${productId}/images`).set(admin.auth).expect(422);
+      const empty = await request(ctx.app).post(`/products/${productId}/images`).set(admin.auth).field('caption', 'none').expect(422);
+      assert.equal(empty.body.errors[0].field, 'images');
+
+      const before = uploads();
+      const missing = await addImages(99999, [await createImage({ colour: '#123456' })]).expect(404);
+      assert.equal(missing.body.code, 'product_not_found');
+      await new Promise((resolve) => setTimeout(resolve, 50));
+      assert.deepEqual(uploads(), before);
+    });
+
+    it('reorders the gallery', async () => {
+      const gallery = (await request(ctx.app).get(`/products/${productId}`).expect(200)).body.images;
+      const order = gallery.map((image) => image.id).reverse();
+      const res = await request(ctx.app)
+        .put(`/products/${productId}/images/order`)
+        .set(admin.auth)
+        .send({ image_ids: order })
+        .expect(200);
+      assert.deepEqual(res.body.map((image) => image.id), order);
+      assert.deepEqual(res.body.map((image) => image.position), [0, 1, 2, 3]);
+
+      // Every image has to be listed exactly once
+      const partial = await request(ctx.app)
+        .put(`/products/${productId}/images/order`)
+        .set(admin.auth)
+        .send({ image_ids: order.slice(1) })
+        .expect(422);
+      assert.equal(partial.body.errors[0].field, 'image_ids');
+      await request(ctx.app)
+        .put(`/products/${productId}/images/order`)
+        .set(admin.auth)
+        .send({ image_ids: [...order.slice(1), order[1]] })
+        .expect(422);
+    });
+
+    it('sets the alt text and the primary image', async () => {
+      const gallery = (await request(ctx.app).get(`/products/${productId}`).expect(200)).body.images;
+      const last = gallery[gallery.length - 1];
+      const res = await request(ctx.app)
+        .patch(`/products/${productId}/images/${last.id}`)
+        .set(admin.auth)
+        .send({ alt_text: 'Wheelbarrow from the side', is_primary: true })
+        .expect(200);
+      assert.equal(res.body.alt_text, 'Wheelbarrow from the side');
+      assert.equal(res.body.is_primary, true);
+
+      const list = await request(ctx.app).get('/products').query({ category: 'garden', limit: 100 }).expect(200);
+      const listed = list.body.products.find((p) => p.id === productId);
+      assert.equal(listed.image.id, last.id);
+      assert.equal(listed.image.alt_text, 'Wheelbarrow from the side');
+      assert.equal(listed.images, undefined);
+
+      await request(ctx.app).patch(`/products/${productId}/images/${last.id}`).set(admin.auth).send({ alt_text: null }).expect(200);
+      await request(ctx.app).patch(`/products/${productId}/images/${last.id}`).set(admin.auth).send({ is_primary: false }).expect(422);
+      const missing = await request(ctx.app).patch(`/products/${productId}/images/99999`).set(admin.auth).send({ alt_text: 'x' }).expect(404);
+      assert.equal(missing.body.code, 'image_not_found');
+    });
+
+    it('deletes an image and promotes the next one when it was the primary', async () => {
+      const gallery = (await request(ctx.app).get(`/products/${productId}`).expect(200)).body.images;
+      const primary = gallery.find((image) => image.is_primary);
+      const res = await request(ctx.app).delete(`/products/${productId}/images/${primary.id}`).set(admin.auth).expect(200);
+      assert.equal(res.body.length, gallery.length - 1);
+      assert.deepEqual(res.body.map((image) => image.position), [0, 1, 2]);
+      assert.equal(res.body.filter((image) => image.is_primary).length, 1);
+      assert.equal(res.body[0].is_primary, true);
+
+      await new Promise((resolve) => setTimeout(resolve, 50));
+      assert.ok(!uploads().includes(primary.hash));
+      await request(ctx.app).delete(`/products/${productId}/images/${primary.id}`).set(admin.auth).expect(404);
+    });
+
+    it('returns the gallery with the product detail', async () => {
+      const res = await request(ctx.app).get(`/products/${productId}`).expect(200);
+      assert.equal(res.body.name, 'Wheelbarrow');
+      assert.equal(res.body.images.length, 3);
+      assert.equal(res.body.image.id, res.body.images[0].id);
+      assert.deepEqual(res.body.breadcrumbs.map((c) => c.slug), ['garden']);
+
+      const missing = await request(ctx.app).get('/products/99999').expect(404);
+      assert.equal(missing.body.code, 'product_not_found');
+    });
+
+    it('deletes the gallery files with the product', async () => {
+      const { images } = (await request(ctx.app).get(`/products/${productId}`).expect(200)).body;
+      await request(ctx.app).delete(`/products/${productId}`).set(admin.auth).expect(200);
+      await new Promise((resolve) => setTimeout(resolve, 50));
+      for (const image of images) {
+        assert.ok(!uploads().includes(image.hash));
+      }
+    });
+  });
+
+  describe('categories and coupons', () => {
+    it('creates categories with unique names', async () => {
+      const res = await request(ctx.app).post('/categories').set(admin.auth).send({ name: 'Tools', description: 'Hand tools' }).expect(201);
+      assert.equal(res.body.name, 'Tools');
+
+      const duplicate = await request(ctx.app).post('/categories').set(admin.auth).send({ name: 'Tools' }).expect(409);
+      assert.equal(duplicate.body.code, 'already_exists');
+      await request(ctx.app).post('/categories').set(admin.auth).send({}).expect(422);
+    });
+
+    it('moves, renames and reorders categories', async () => {
+      const create = (body) => request(ctx.app).post('/categories').set(admin.auth).send(body).expect(201);
+      const power = await create({ name: 'Power tools' });
+      assert.equal(power.body.slug, 'power-tools');
+      const drills = await create({ name: 'Drills', parent_id: power.body.id, sort_order: 2 });
+      const saws = await create({ name: 'Saws', parent_id: power.body.id, sort_order: 1 });
+      assert.equal((await create({ name: 'Power Tools!' })).body.slug, 'power-tools-2');
+
+      // Renaming keeps the slug unless a new one is given
+      const renamed = await request(ctx.app)
+        .put(`/categories/${drills.body.id}`)
+        .set(admin.auth)
+        .send({ name: 'Cordless drills', parent_id: power.body.id, sort_order: 0 })
+        .expect(200);
+      assert.equal(renamed.body.slug, 'drills');
+
+      const tree = await request(ctx.app).get('/categories/tree').expect(200);
+      const branch = tree.body.find((c) => c.id === power.body.id);
+      assert.deepEqual(branch.children.map((c) => c.name), ['Cordless drills', 'Saws']);
+
+      // A category cannot move under itself or its subcategories
+      const cycle = await request(ctx.app).put(`/categories/${power.body.id}`).set(admin.auth).send({ name: 'Power tools', parent_id: saws.body.id }).expect(422);
+      assert.equal(cycle.body.errors[0].field, 'parent_id');
+      await request(ctx.app).put(`/categories/${power.body.id}`).set(admin.auth).send({ name: 'Power tools', parent_id: power.body.id }).expect(422);
+
+      const moved = await request(ctx.app).put(`/categories/${saws.body.id}`).set(admin.auth).send({ name: 'Saws', slug: 'hand-saws' }).expect(200);
+      assert.equal(moved.body.parent_id, null);
+      assert.equal(moved.body.slug, 'hand-saws');
+
+      await request(ctx.app).put(`/categories/${saws.body.id}`).set(admin.auth).send({ name: 'Saws', slug: 'drills' }).expect(409);
+      await request(ctx.app).put(`/categories/${saws.body.id}`).set(admin.auth).send({ name: 'Saws', slug: 'Not A Slug' }).expect(422);
+      await request(ctx.app).put('/categories/99999').set(admin.auth).send({ name: 'Ghost' }).expect(404);
+      await request(ctx.app).put(`/categories/${saws.body.id}`).set(customer.auth).send({ name: 'Saws' }).expect(403);
+    });
+
+    it('deletes categories, reassigns their products and deactivates their coupons', async () => {
+      const create = (body) => request(ctx.app).post('/categories').set(admin.auth).send(body).expect(201);
+      const outdoor = await create({ name: 'Outdoor' });
+      const sheds = await create({ name: 'Sheds', parent_id: outdoor.body.id });
+      const kits = await create({ name: 'Kits', parent_id: sheds.body.id });
+      const shed = await createProduct(ctx.pool, { name: 'Shed' });
+      await ctx.pool.query('UPDATE product SET category_id = $1 WHERE id = $2', [sheds.body.id, shed.id]);
+      await request(ctx.app)
+        .post('/coupons')
+        .set(admin.auth)
+        .send({ code: 'SHEDS', discount_type: 'percent', discount_percent: 10, valid_from: '2020-01-01', valid_to: '2099-12-31', category_ids: [sheds.body.id] })
+        .expect(201);
+
+      // Products and subcategories move up to the parent
+      const res = await request(ctx.app).delete(`/categories/${sheds.body.id}`).set(admin.auth).expect(200);
+      assert.equal(res.body.movedProducts, 1);
+      assert.equal(res.body.movedSubcategories, 1);
+      assert.deepEqual(res.body.deactivatedCoupons, ['SHEDS']);
+      const product = await ctx.pool.query('SELECT category_id FROM product WHERE id = $1', [shed.id]);
+      assert.equal(product.rows[0].category_id, outdoor.body.id);
+      const kit = await ctx.pool.query('SELECT parent_id FROM product_category WHERE id = $1', [kits.body.id]);
+      assert.equal(kit.rows[0].parent_id, outdoor.body.id);
+
+      // The coupon no longer applies anywhere instead of to the whole shop or all of Outdoor
+      const coupon = await ctx.pool.query("SELECT c.is_active, cc.category_id FROM coupon c LEFT JOIN coupon_category cc ON cc.coupon_id = c.id WHERE c.code = 'SHEDS'");
+      assert.deepEqual(coupon.rows, [{ is_active: false, category_id: null }]);
+      await request(ctx.app).post('/cart').set(customer.auth).send({ productId: shed.id, quantity: 1 }).expect(201);
+      await request(ctx.app).post('/apply-coupon').set(customer.auth).send({ code: 'SHEDS' }).expect(404);
+      await request(ctx.app).delete('/cart').set(customer.auth).expect(200);
+
+      // A top-level category needs somewhere to move its products
+      const notEmpty = await request(ctx.app).delete(`/categories/${outdoor.body.id}`).set(admin.auth).expect(409);
+      assert.equal(notEmpty.body.code, 'category_not_empty');
+      assert.equal(notEmpty.body.productCount, 1);
+      await request(ctx.app).delete(`/categories/${outdoor.body.id}`).set(admin.auth).query({ reassignTo: outdoor.body.id }).expect(422);
+
+      await request(ctx.app).delete(`/categories/${outdoor.body.id}`).set(admin.auth).query({ reassignTo: categoryId }).expect(200);
+      const reassigned = await ctx.pool.query('SELECT category_id FROM product WHERE id = $1', [shed.id]);
+      assert.equal(reassigned.rows[0].category_id, categoryId);
+      const top = await ctx.pool.query('SELECT parent_id FROM product_category WHERE id = $1', [kits.body.id]);
+      assert.equal(top.rows[0].parent_id, null);
+
+      await request(ctx.app).delete(`/categories/${kits.body.id}`).set(admin.auth).expect(200);
+      await request(ctx.app).delete(`/categories/${kits.body.id}`).set(admin.auth).expect(404);
+    });
+
+    it('creates coupons and checks the discount matches the type', async () => {
+      const res = await request(ctx.app)
+        .post('/coupons')
+        .set(admin.auth)
+        .send({ code: 'SPRING', discount_type: 'percent', discount_percent: 15, valid_from: '2020-01-01', valid_to: '2099-12-31', category_ids: [categoryId] })
+        .expect(201);
+      assert.equal(res.body.code, 'SPRING');
+      assert.deepEqual(res.body.category_ids, [categoryId]);
+
+      await request(ctx.app)
+        .post('/coupons')
+        .set(admin.auth)
+        .send({ code: 'BROKEN', discount_type: 'fixed', valid_from: '2020-01-01', valid_to: '2099-12-31' })
+        .expect(400);
+      await request(ctx.app)
+        .post('/coupons')
+        .set(admin.auth)
+        .send({ code: 'SPRING', discount_type: 'percent', discount_percent: 5, valid_from: '2020-01-01', valid_to: '2099-12-31' })
+        .expect(409);
+    });
+  });
+
+  describe('reports', () => {
+    before(async () => {
+      const trowel = await createProduct(ctx.pool, { name: 'Trowel', price: 8, stock: 6, category: 'Garden' });
+      await request(ctx.app).post('/cart').set(customer.auth).send({ productId: trowel.id, quantity: 5 }).expect(201);
+      const order = await request(ctx.app).post('/orders').set(customer.auth).send({ shippingAddress: '1 Main Street' }).expect(201);
+      await request(ctx.app).patch(`/orders/${order.body.orderId}/status`).set(admin.auth).send({ status: 'Paid' }).expect(200);
+    });
+
+    const salesReport = () => {
+      const tomorrow = new Date(Date.now() + 24 * 60 * 60 * 1000);
+      return request(ctx.app)
+        .get('/admin/sales-report')
+        .set(admin.auth)
+        .query({ startDate: '2020-01-01', endDate: tomorrow.toISOString().slice(0, 10) })
+        .expect(200);
+    };
+
+    it('reports units sold and revenue per product', async () => {
+      const res = await salesReport();
+      assert.equal(res.body.length, 1);
+      assert.equal(res.body[0].name, 'Trowel');
+      assert.equal(Number(res.body[0].total_sold), 5);
+      assert.equal(Number(res.body[0].revenue), 40);
+
+      await request(ctx.app).get('/admin/sales-report').set(admin.auth).query({ startDate: 'yesterday' }).expect(422);
+    });
+
+    it('leaves unpaid and expired orders out of the report', async () => {
+      const seed = await ctx.pool.query("SELECT id FROM product WHERE name = 'Trowel'");
+      const shopper = await createCustomer(ctx);
+      await request(ctx.app).post('/cart').set(shopper.auth).send({ productId: seed.rows[0].id, quantity: 1 }).expect(201);
+      const order = await request(ctx.app).post('/orders').set(shopper.auth).send({ shippingAddress: '2 Main Street' }).expect(201);
+      assert.equal(Number((await salesReport()).body[0].total_sold), 5);
+
+      await ctx.pool.query("UPDATE customer_order SET reserved_until = CURRENT_TIMESTAMP - INTERVAL '1 minute' WHERE id = $1", [order.body.orderId]);
+      assert.deepEqual(await releaseExpiredReservations(ctx.pool), [order.body.orderId]);
+      const res = await salesReport();
+      assert.equal(Number(res.body[0].total_sold), 5);
+      assert.equal(Number(res.body[0].revenue), 40);
+    });
+
+    it('lists products at or below the stock threshold', async () => {
+      const res = await request(ctx.app).get('/admin/low-stock-alerts').set(admin.auth).query({ threshold: 1 }).expect(200);
+      assert.deepEqual(res.body.map((p) => p.name), ['Trowel']);
+
+      const defaults = await request(ctx.app).get('/admin/low-stock-alerts').set(admin.auth).expect(200);
+      assert.ok(defaults.body.some((p) => p.name === 'Seed'));
+    });
+  });
+});
@@ -0,0 +1,398 @@
+// test/auth.test.js
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const { setupTestApp, tokenFromMail, createCustomer } = require('./helpers');
+const { setMailer } = require('../lib/mailer');
+
+describe('auth', () => {
+  let ctx;
+
+  before(async () => {
+    ctx = await setupTestApp();
+  });
+
+  after(async () => {
+    await ctx.close();
+  });
+
+  describe('registration and email verification', () => {
+    it('registers a customer and emails a verification link', async () => {
+      const res = await request(ctx.app)
+        .post('/auth/register')
+        .send({ email: 'new@example.com', password: 'password123', firstName: 'New', lastName: 'Customer' })
+        .expect(201);
+      assert.match(res.body.message, /registered/);
+
+      const token = tokenFromMail(ctx.outbox, 'new@example.com');
+      await request(ctx.app).get('/auth/verify-email').query({ token }).expect(200);
+      const { rows } = await ctx.pool.query("SELECT email_verified_at FROM customer WHERE email_address = 'new@example.com'");
+      assert.ok(rows[0].email_verified_at);
+
+      // Tokens are single-use
+      const reused = await request(ctx.app).get('/auth/verify-email').query({ token }).expect(400);
+      assert.equal(reused.body.code, 'invalid_token');
+    });
+
+    it('rejects an email that is already registered, ignoring case', async () => {
+      const res = await request(ctx.app)
+        .post('/auth/register')
+        .send({ email: 'NEW@example.com', password: 'password123', firstName: 'New', lastName: 'Customer' })
+        .expect(409);
+      assert.equal(res.body.code, 'email_taken');
+
+      // The database holds one account per address too, for requests that pass the check at once
+      await assert.rejects(
+        ctx.pool.query("INSERT INTO customer (email_address, first_name, last_name) VALUES ('New@Example.com', 'New', 'Customer')"),
+        { code: '23505' }
+      );
+    });
+
+    it('validates the request body', async () => {
+      const res = await request(ctx.app)
+        .post('/auth/register')
+        .send({ email: 'not-an-email', password: 'short' })
+        .expect(422);
+      assert.equal(res.type, 'application/problem+json');
+      const fields = res.body.errors.map((e) => e.field).sort();
+      assert.deepEqual(fields, ['email', 'firstName', 'lastName', 'password']);
+    });
+
+    it('resends a verification link only for unverified addresses', async () => {
+      await request(ctx.app)
+        .post('/auth/register')
+        .send({ email: 'unverified@example.com', password: 'password123', firstName: 'U', lastName: 'V' })
+        .expect(201);
+      const sent = ctx.outbox.length;
+
+      await request(ctx.app).post('/auth/resend-verification').send({ email: 'unverified@example.com' }).expect(200);
+      assert.equal(ctx.outbox.length, sent + 1);
+
+      await request(ctx.app).post('/auth/resend-verification').send({ email: 'new@example.com' }).expect(200);
+      assert.equal(ctx.outbox.length, sent + 1);
+    });
+  });
+
+  describe('login and sessions', () => {
+    it('signs in with the email in any case and rejects a wrong password', async () => {
+      const customer = await createCustomer(ctx, { email: 'login@example.com' });
+      const res = await request(ctx.app)
+        .post('/auth/login')
+        .send({ email: 'LOGIN@example.com', password: customer.password })
+        .expect(200);
+      assert.equal(res.body.auth, true);
+      assert.ok(res.body.token);
+      assert.ok(res.body.refreshToken);
+
+      const wrong = await request(ctx.app)
+        .post('/auth/login')
+        .send({ email: 'login@example.com', password: 'wrong-password' })
+        .expect(401);
+      assert.equal(wrong.body.code, 'invalid_credentials');
+    });
+
+    it('requires a valid bearer token on protected routes', async () => {
+      const missing = await request(ctx.app).get('/user/profile').expect(401);
+      assert.match(missing.headers['www-authenticate'], /^Bearer/);
+
+      await request(ctx.app).get('/user/profile').set('Authorization', 'Bearer not-a-token').expect(401);
+    });
+
+    it('accepts only access tokens and treats a malformed auth cookie as missing', async () => {
+      const customer = await createCustomer(ctx);
+      const { sid } = jwt.decode(customer.token);
+      // Signed with the same secret, but for another purpose
+      const other = jwt.sign({ id: customer.id, sid }, process.env.AUTH_SECRET, { audience: 'guest-cart' });
+      const wrongKind = await request(ctx.app).get('/user/profile').set('Authorization', `Bearer ${other}`).expect(401);
+      assert.equal(wrongKind.body.code, 'invalid_token');
+
+      process.env.AUTH_COOKIE_NAME = 'auth_token';
+      try {
+        await request(ctx.app).get('/user/profile').set('Cookie', `auth_token=${customer.token}`).expect(200);
+        const malformed = await request(ctx.app).get('/user/profile').set('Cookie', 'auth_token=%E0%A4%A').expect(401);
+        assert.equal(malformed.body.code, 'unauthorized');
+      } finally {
+        delete process.env.AUTH_COOKIE_NAME;
+      }
+    });
+
+    it('rotates refresh tokens and revokes the session when one is reused', async () => {
+      const customer = await createCustomer(ctx);
+
+      const rotated = await request(ctx.app).post('/auth/refresh').send({ refreshToken: customer.refreshToken }).expect(200);
+      assert.notEqual(rotated.body.refreshToken, customer.refreshToken);
+
+      const reused = await request(ctx.app).post('/auth/refresh').send({ refreshToken: customer.refreshToken }).expect(401);
+      assert.equal(reused.body.code, 'invalid_refresh_token');
+
+      // The whole session is gone, including the token issued by the rotation
+      await request(ctx.app).post('/auth/refresh').send({ refreshToken: rotated.body.refreshToken }).expect(401);
+      await request(ctx.app).get('/user/profile').set('Authorization', `Bearer ${rotated.body.token}`).expect(401);
+    });
+
+    it('logs out the current session', async () => {
+      const customer = await createCustomer(ctx);
+      await request(ctx.app).post('/auth/logout').set(customer.auth).expect(200);
+      await request(ctx.app).get('/user/profile').set(customer.auth).expect(401);
+    });
+
+    it('logs out every session of the customer', async () => {
+      const customer = await createCustomer(ctx);
+      const second = await request(ctx.app)
+        .post('/auth/login')
+        .send({ email: customer.email, password: customer.password })
+        .expect(200);
+
+      const res = await request(ctx.app).post('/auth/logout-all').set(customer.auth).expect(200);
+      assert.equal(res.body.revokedSessions, 2);
+      await request(ctx.app).get('/user/profile').set('Authorization', `Bearer ${second.body.token}`).expect(401);
+    });
+  });
+
+  describe('password reset', () => {
+    it('resets the password with the emailed token and signs out everywhere', async () => {
+      const customer = await createCustomer(ctx, { email: 'reset@example.com' });
+
+      await request(ctx.app).post('/auth/forgot-password').send({ email: customer.email }).expect(200);
+      const token = tokenFromMail(ctx.outbox, customer.email);
+
+      await request(ctx.app).post('/auth/reset-password').send({ token, password: 'new-password-1' }).expect(200);
+      await request(ctx.app).get('/user/profile').set(customer.auth).expect(401);
+      await request(ctx.app).post('/auth/login').send({ email: customer.email, password: customer.password }).expect(401);
+      await request(ctx.app).post('/auth/login').send({ email: customer.email, password: 'new-password-1' }).expect(200);
+
+      const reused = await request(ctx.app).post('/auth/reset-password').send({ token, password: 'another-password' }).expect(400);
+      assert.equal(reused.body.code, 'invalid_token');
+    });
+
+    it('finds the account whatever the case of the email', async () => {
+      // Still unverified, so a new link is sent
+      const customer = await createCustomer(ctx, { email: 'Mixed.Case@example.com' });
+      const sent = ctx.outbox.length;
+      await request(ctx.app).post('/auth/resend-verification').send({ email: 'MIXED.case@example.com' }).expect(200);
+      assert.equal(ctx.outbox.length, sent + 1);
+      const verification = tokenFromMail(ctx.outbox, customer.email);
+      await request(ctx.app).get('/auth/verify-email').query({ token: verification }).expect(200);
+
+      await request(ctx.app).post('/auth/forgot-password').send({ email: 'mixed.case@EXAMPLE.com' }).expect(200);
+      const token = tokenFromMail(ctx.outbox, customer.email);
+      await request(ctx.app).post('/auth/reset-password').send({ token, password: 'new-password-1' }).expect(200);
+    });
+
+    it('answers the same when the email cannot be sent', async () => {
+      await createCustomer(ctx, { email: 'unreachable@example.com' });
+      setMailer({ send: async () => { throw new Error('SMTP unavailable'); } });
+      try {
+        const reset = await request(ctx.app).post('/auth/forgot-password').send({ email: 'unreachable@example.com' }).expect(200);
+        assert.match(reset.body.message, /If an account exists/);
+        await request(ctx.app).post('/auth/resend-verification').send({ email: 'unreachable@example.com' }).expect(200);
+      } finally {
+        setMailer({ send: async (message) => { ctx.outbox.push(message); } });
+      }
+    });
+
+    it('answers the same for unknown addresses without sending mail', async () => {
+      const sent = ctx.outbox.length;
+      const res = await request(ctx.app).post('/auth/forgot-password').send({ email: 'nobody@example.com' }).expect(200);
+      assert.match(res.body.message, /If an account exists/);
+      assert.equal(ctx.outbox.length, sent);
+    });
+  });
+
+  describe('profile and addresses', () => {
+    it('returns and updates the profile', async () => {
+      const customer = await createCustomer(ctx);
+
+      const profile = await request(ctx.app).get('/user/profile').set(customer.auth).expect(200);
+      assert.equal(profile.body.email_address, customer.email);
+      assert.equal(profile.body.has_password, true);
+      assert.equal(profile.body.google_connected, false);
+
+      await request(ctx.app)
+        .put('/user/profile')
+        .set(customer.auth)
+        .send({ firstName: 'Renamed', lastName: 'Person', email: customer.email })
+        .expect(200);
+      const updated = await request(ctx.app).get('/user/profile').set(customer.auth).expect(200);
+      assert.equal(updated.body.first_name, 'Renamed');
+    });
+
+    it('asks for a new email address to be verified and refuses one another account uses', async () => {
+      const customer = await createCustomer(ctx, { email: 'moving@example.com' });
+      await createCustomer(ctx, { email: 'Taken@example.com' });
+      await request(ctx.app).get('/auth/verify-email').query({ token: tokenFromMail(ctx.outbox, customer.email) }).expect(200);
+      const profile = { firstName: 'Moving', lastName: 'Customer' };
+
+      const taken = await request(ctx.app).put('/user/profile').set(customer.auth).send({ ...profile, email: 'taken@EXAMPLE.com' }).expect(409);
+      assert.equal(taken.body.code, 'email_taken');
+
+      // A change of case is the same address and stays verified
+      await request(ctx.app).put('/user/profile').set(customer.auth).send({ ...profile, email: 'Moving@example.com' }).expect(200);
+      const verifiedAt = 'SELECT email_verified_at FROM customer WHERE id = $1';
+      assert.ok((await ctx.pool.query(verifiedAt, [customer.id])).rows[0].email_verified_at);
+
+      await request(ctx.app).put('/user/profile').set(customer.auth).send({ ...profile, email: 'moved@example.com' }).expect(200);
+      assert.equal((await ctx.pool.query(verifiedAt, [customer.id])).rows[0].email_verified_at, null);
+      const token = tokenFromMail(ctx.outbox, 'moved@example.com');
+      await request(ctx.app).get('/auth/verify-email').query({ token }).expect(200);
+      assert.ok((await ctx.pool.query(verifiedAt, [customer.id])).rows[0].email_verified_at);
+    });
+
+    it('adds and lists only the customer\'s own addresses', async () => {
+      const customer = await createCustomer(ctx);
+      const other = await createCustomer(ctx);
+
+      const created = await request(ctx.app)
+        .post('/user/addresses')
+        .set(customer.auth)
+        .send({ address_line1: '1 Main Street', city: 'Springfield', country: 'US' })
+        .expect(201);
+      assert.equal(created.body.customer_id, customer.id);
+
+      await request(ctx.app).post('/user/addresses').set(customer.auth).send({ city: 'Nowhere' }).expect(422);
+
+      const mine = await request(ctx.app).get('/user/addresses').set(customer.auth).expect(200);
+      assert.equal(mine.body.length, 1);
+      const theirs = await request(ctx.app).get('/user/addresses').set(other.auth).expect(200);
+      assert.equal(theirs.body.length, 0);
+    });
+  });
+
+  describe('Google sign-in', () => {
+    it('redirects to Google', async () => {
+      const res = await request(ctx.app).get('/auth/google').expect(302);
+      assert.match(res.headers.location, /^https:\/\/accounts\.google\.test\//);
+    });
+
+    it('creates a customer on first sign-in and reuses it afterwards', async () => {
+      ctx.google.addProfile('code-new', { sub: 'google-new', email: 'google@example.com', email_verified: true, name: 'Goo Gle' });
+
+      const first = await request(ctx.app).get('/auth/google/callback').query({ code: 'code-new' }).expect(200);
+      assert.equal(first.body.auth, true);
+      const second = await request(ctx.app).get('/auth/google/callback').query({ code: 'code-new' }).expect(200);
+
+      const profile = await request(ctx.app).get('/user/profile').set('Authorization', `Bearer ${second.body.token}`).expect(200);
+      assert.equal(profile.body.google_connected, true);
+      assert.equal(profile.body.has_password, false);
+      const { rows } = await ctx.pool.query("SELECT COUNT(*)::int AS count FROM customer WHERE google_id = 'google-new'");
+      assert.equal(rows[0].count, 1);
+    });
+
+    it('connects Google to an existing verified account with the same verified email', async () => {
+      const customer = await createCustomer(ctx, { email: 'Both@example.com' });
+      await request(ctx.app).get('/auth/verify-email').query({ token: tokenFromMail(ctx.outbox, customer.email) }).expect(200);
+      ctx.google.addProfile('code-both', { sub: 'google-both', email: 'both@example.com', email_verified: true });
+
+      await request(ctx.app).get('/auth/google/callback').query({ code: 'code-both' }).expect(200);
+      const profile = await request(ctx.app).get('/user/profile').set(customer.auth).expect(200);
+      assert.equal(profile.body.google_connected, true);
+      assert.equal(profile.body.has_password, true);
+    });
+
+    it('takes an unverified account away from whoever registered it when Google verifies the email', async () => {
+      const squatter = await createCustomer(ctx, { email: 'victim@example.com' });
+      ctx.google.addProfile('code-victim', { sub: 'google-victim', email: 'victim@example.com', email_verified: true });
+
+      const signIn = await request(ctx.app).get('/auth/google/callback').query({ code: 'code-victim' }).expect(200);
+      await request(ctx.app).get('/user/profile').set(squatter.auth).expect(401);
+      await request(ctx.app).post('/auth/login').send({ email: squatter.email, password: squatter.password }).expect(401);
+
+      const profile = await request(ctx.app).get('/user/profile').set('Authorization', `Bearer ${signIn.body.token}`).expect(200);
+      assert.equal(profile.body.id, squatter.id);
+      assert.equal(profile.body.google_connected, true);
+      assert.equal(profile.body.has_password, false);
+    });
+
+    it('refuses to connect an existing account when Google has not verified the email', async () => {
+      await createCustomer(ctx, { email: 'unsure@example.com' });
+      ctx.google.addProfile('code-unsure', { sub: 'google-unsure', email: 'unsure@example.com', email_verified: false });
+      await request(ctx.app).get('/auth/google/callback').query({ code: 'code-unsure' }).expect(409);
+    });
+
+    it('answers 400 when the code cannot be exchanged', async () => {
+      const res = await request(ctx.app).get('/auth/google/callback').query({ code: 'unknown' }).expect(400);
+      assert.equal(res.body.code, 'google_auth_failed');
+    });
+
+    // Starts connecting Google like the storefront would; returns the state and the nonce cookie
+    const startLink = async (customer) => {
+      const connect = await request(ctx.app).get('/user/google/connect').set(customer.auth).expect(200);
+      return {
+        state: new URL(connect.body.url).searchParams.get('state'),
+        cookie: connect.headers['set-cookie'].find((c) => c.startsWith('google_link=')).split(';')[0],
+      };
+    };
+
+    it('links and unlinks Google from the profile', async () => {
+      const customer = await createCustomer(ctx);
+      const { state, cookie } = await startLink(customer);
+
+      ctx.google.addProfile('code-link', { sub: 'google-link', email: 'other-address@example.com', email_verified: true });
+      await request(ctx.app).get('/auth/google/callback').query({ code: 'code-link', state }).set('Cookie', cookie).expect(200);
+      let profile = await request(ctx.app).get('/user/profile').set(customer.auth).expect(200);
+      assert.equal(profile.body.google_connected, true);
+
+      await request(ctx.app).delete('/user/google').set(customer.auth).expect(200);
+      profile = await request(ctx.app).get('/user/profile').set(customer.auth).expect(200);
+      assert.equal(profile.body.google_connected, false);
+
+      const badState = await request(ctx.app).get('/auth/google/callback').query({ code: 'code-link', state: 'tampered' }).expect(400);
+      assert.equal(badState.body.code, 'invalid_state');
+
+      // The nonce works once
+      const reused = await request(ctx.app).get('/auth/google/callback').query({ code: 'code-link', state }).set('Cookie', cookie).expect(400);
+      assert.equal(reused.body.code, 'invalid_state');
+    });
+
+    it('only connects Google in the browser that started it', async () => {
+      const attacker = await createCustomer(ctx);
+      const { state } = await startLink(attacker);
+
+      // The attacker sends their consent URL to a victim, whose browser has no nonce cookie
+      ctx.google.addProfile('code-victim-link', { sub: 'google-victim-link', email: 'victim-link@example.com', email_verified: true });
+      const res = await request(ctx.app).get('/auth/google/callback').query({ code: 'code-victim-link', state }).expect(400);
+      assert.equal(res.body.code, 'invalid_state');
+      const profile = await request(ctx.app).get('/user/profile').set(attacker.auth).expect(200);
+      assert.equal(profile.body.google_connected, false);
+    });
+
+    it('refuses to connect Google once the session that started it has ended', async () => {
+      const customer = await createCustomer(ctx);
+      const { state, cookie } = await startLink(customer);
+      await request(ctx.app).post('/auth/logout').set(customer.auth).expect(200);
+
+      ctx.google.addProfile('code-ended', { sub: 'google-ended', email: 'ended@example.com', email_verified: true });
+      const res = await request(ctx.app).get('/auth/google/callback').query({ code: 'code-ended', state }).set('Cookie', cookie).expect(401);
+      assert.equal(res.body.code, 'invalid_session');
+    });
+
+    it('lets a Google-only customer set a password before unlinking', async () => {
+      ctx.google.addProfile('code-only', { sub: 'google-only', email: 'only@example.com', email_verified: true });
+      const signIn = await request(ctx.app).get('/auth/google/callback').query({ code: 'code-only' }).expect(200);
+      const auth = { Authorization: `Bearer ${signIn.body.token}` };
+
+      const refused = await request(ctx.app).delete('/user/google').set(auth).expect(409);
+      assert.equal(refused.body.code, 'password_required');
+
+      await request(ctx.app).put('/user/password').set(auth).send({ newPassword: 'first-password' }).expect(200);
+      await request(ctx.app).delete('/user/google').set(auth).expect(200);
+      await request(ctx.app).post('/auth/login').send({ email: 'only@example.com', password: 'first-password' }).expect(200);
+    });
+  });
+
+  it('requires the current password to change an existing one', async () => {
+    const customer = await createCustomer(ctx);
+    await request(ctx.app).put('/user/password').set(customer.auth).send({ newPassword: 'changed-password' }).expect(403);
+    await request(ctx.app)
+      .put('/user/password')
+      .set(customer.auth)
+      .send({ currentPassword: 'wrong-password', newPassword: 'changed-password' })
+      .expect(403);
+    await request(ctx.app)
+      .put('/user/password')
+      .set(customer.auth)
+      .send({ currentPassword: customer.password, newPassword: 'changed-password' })
+      .expect(200);
+  });
+});
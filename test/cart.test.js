@@ -0,0 +1,254 @@
+// test/cart.test.js
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const { deleteExpiredGuestCarts } = require('../lib/guestCarts');
+const { createCategory } = require('../lib/categories');
+const { setupTestApp, createCustomer, createProduct } = require('./helpers');
+
+describe('cart and wishlist', () => {
+  let ctx;
+  let customer;
+  let mug;
+  let plate;
+
+  before(async () => {
+    ctx = await setupTestApp();
+    customer = await createCustomer(ctx);
+    mug = await createProduct(ctx.pool, { name: 'Mug', price: 12.5, category: 'Kitchen' });
+    plate = await createProduct(ctx.pool, { name: 'Plate', price: 20, category: 'Tableware' });
+  });
+
+  after(async () => {
+    await ctx.close();
+  });
+
+  describe('cart', () => {
+    it('requires a signed-in customer', async () => {
+      await request(ctx.app).get('/cart').expect(401);
+    });
+
+    it('adds products and sums quantities of the same product', async () => {
+      await request(ctx.app).post('/cart').set(customer.auth).send({ productId: mug.id, quantity: 1 }).expect(201);
+      await request(ctx.app).post('/cart').set(customer.auth).send({ productId: mug.id, quantity: 2 }).expect(201);
+      await request(ctx.app).post('/cart').set(customer.auth).send({ productId: plate.id, quantity: 1 }).expect(201);
+
+      const res = await request(ctx.app).get('/cart').set(customer.auth).expect(200);
+      const quantities = Object.fromEntries(res.body.map((item) => [item.name, item.quantity]));
+      assert.deepEqual(quantities, { Mug: 3, Plate: 1 });
+    });
+
+    it('rejects invalid quantities and unknown products', async () => {
+      await request(ctx.app).post('/cart').set(customer.auth).send({ productId: mug.id, quantity: 0 }).expect(422);
+      const res = await request(ctx.app).post('/cart').set(customer.auth).send({ productId: 99999, quantity: 1 }).expect(409);
+      assert.equal(res.body.code, 'reference_conflict');
+    });
+
+    it('updates the quantity of a cart line', async () => {
+      const res = await request(ctx.app).put(`/cart/${mug.id}`).set(customer.auth).send({ quantity: 5 }).expect(200);
+      assert.equal(res.body.item.quantity, 5);
+
+      const missing = await request(ctx.app).put('/cart/99999').set(customer.auth).send({ quantity: 1 }).expect(404);
+      assert.equal(missing.body.code, 'cart_item_not_found');
+    });
+
+    it('keeps carts separate per customer', async () => {
+      const other = await createCustomer(ctx);
+      const res = await request(ctx.app).get('/cart').set(other.auth).expect(200);
+      assert.deepEqual(res.body, []);
+      await request(ctx.app).put(`/cart/${mug.id}`).set(other.auth).send({ quantity: 1 }).expect(404);
+    });
+
+    it('removes a product and clears the cart', async () => {
+      await request(ctx.app).delete(`/cart/${plate.id}`).set(customer.auth).expect(200);
+      let res = await request(ctx.app).get('/cart').set(customer.auth).expect(200);
+      assert.deepEqual(res.body.map((item) => item.name), ['Mug']);
+
+      await request(ctx.app).delete('/cart').set(customer.auth).expect(200);
+      res = await request(ctx.app).get('/cart').set(customer.auth).expect(200);
+      assert.deepEqual(res.body, []);
+    });
+  });
+
+  describe('guest cart', () => {
+    const guest = (token) => ({ 'X-Cart-Token': token });
+    const lines = (res) => Object.fromEntries(res.body.map((item) => [item.name, item.quantity]));
+
+    // Starts a guest cart holding the given { product: quantity } lines and returns its token
+    const guestCart = async (items) => {
+      let token;
+      for (const [product, quantity] of items) {
+        const req = request(ctx.app).post('/guest-cart').send({ productId: product.id, quantity });
+        const res = await (token ? req.set(guest(token)) : req).expect(201);
+        token = token || res.body.cartToken;
+      }
+      return token;
+    };
+
+    it('adds, updates, removes and clears lines without signing in', async () => {
+      const first = await request(ctx.app).post('/guest-cart').send({ productId: mug.id, quantity: 1 }).expect(201);
+      const token = first.body.cartToken;
+      assert.ok(token);
+      assert.match(first.headers['set-cookie'][0], /^cart_token=.*HttpOnly/);
+
+      const second = await request(ctx.app).post('/guest-cart').set(guest(token)).send({ productId: mug.id, quantity: 2 }).expect(201);
+      assert.equal(second.body.cartToken, undefined);
+      await request(ctx.app).post('/guest-cart').set(guest(token)).send({ productId: plate.id, quantity: 1 }).expect(201);
+      assert.deepEqual(lines(await request(ctx.app).get('/guest-cart').set(guest(token)).expect(200)), { Mug: 3, Plate: 1 });
+
+      // The cookie names the cart too
+      const byCookie = await request(ctx.app).get('/guest-cart').set('Cookie', `cart_token=${token}`).expect(200);
+      assert.equal(byCookie.body.length, 2);
+
+      const updated = await request(ctx.app).put(`/guest-cart/${mug.id}`).set(guest(token)).send({ quantity: 5 }).expect(200);
+      assert.equal(updated.body.item.quantity, 5);
+      const missing = await request(ctx.app).put('/guest-cart/99999').set(guest(token)).send({ quantity: 1 }).expect(404);
+      assert.equal(missing.body.code, 'cart_item_not_found');
+
+      await request(ctx.app).delete(`/guest-cart/${plate.id}`).set(guest(token)).expect(200);
+      assert.deepEqual(lines(await request(ctx.app).get('/guest-cart').set(guest(token)).expect(200)), { Mug: 5 });
+      await request(ctx.app).delete('/guest-cart').set(guest(token)).expect(200);
+      assert.deepEqual((await request(ctx.app).get('/guest-cart').set(guest(token)).expect(200)).body, []);
+    });
+
+    it('ignores tokens that are not signed by the server', async () => {
+      const token = await guestCart([[mug, 1]]);
+      const [header, , signature] = token.split('.');
+      const forged = [header, Buffer.from(JSON.stringify({ guestCart: 1 })).toString('base64url'), signature].join('.');
+      // Signed by the server, but not as a cart token
+      const otherKind = jwt.sign({ guestCart: 1 }, process.env.AUTH_SECRET, { audience: 'access' });
+
+      assert.deepEqual((await request(ctx.app).get('/guest-cart').set(guest(forged)).expect(200)).body, []);
+      assert.deepEqual((await request(ctx.app).get('/guest-cart').set(guest(otherKind)).expect(200)).body, []);
+      assert.deepEqual((await request(ctx.app).get('/guest-cart').set('Cookie', 'cart_token=%E0%A4%A').expect(200)).body, []);
+      await request(ctx.app).put(`/guest-cart/${mug.id}`).set(guest(forged)).send({ quantity: 2 }).expect(404);
+      const fresh = await request(ctx.app).post('/guest-cart').set(guest(forged)).send({ productId: mug.id, quantity: 1 }).expect(201);
+      assert.ok(fresh.body.cartToken);
+      await request(ctx.app).post('/guest-cart').send({ productId: mug.id, quantity: 0 }).expect(422);
+    });
+
+    it('deletes guest carts that have not been used for a while', async () => {
+      const stale = await guestCart([[mug, 1]]);
+      const recent = await guestCart([[plate, 1]]);
+      const staleId = JSON.parse(Buffer.from(stale.split('.')[1], 'base64url')).guestCart;
+      await ctx.pool.query("UPDATE guest_cart SET updated_at = CURRENT_TIMESTAMP - INTERVAL '31 days' WHERE id = $1", [staleId]);
+
+      assert.equal(await deleteExpiredGuestCarts(ctx.pool), 1);
+      assert.deepEqual((await request(ctx.app).get('/guest-cart').set(guest(stale)).expect(200)).body, []);
+      assert.equal((await request(ctx.app).get('/guest-cart').set(guest(recent)).expect(200)).body.length, 1);
+    });
+
+    it('merges the guest cart into the customer cart on login', async () => {
+      const shopper = await createCustomer(ctx);
+      await request(ctx.app).post('/cart').set(shopper.auth).send({ productId: mug.id, quantity: 2 }).expect(201);
+      const token = await guestCart([[mug, 3], [plate, 1]]);
+
+      const login = await request(ctx.app)
+        .post('/auth/login')
+        .set(guest(token))
+        .send({ email: shopper.email, password: shopper.password })
+        .expect(200);
+      assert.equal(login.body.mergedCartItems, 2);
+      assert.match(login.headers['set-cookie'].join(';'), /cart_token=;/);
+      assert.deepEqual(lines(await request(ctx.app).get('/cart').set(shopper.auth).expect(200)), { Mug: 5, Plate: 1 });
+
+      // The guest cart is gone, so signing in with its token again changes nothing
+      assert.deepEqual((await request(ctx.app).get('/guest-cart').set(guest(token)).expect(200)).body, []);
+      const again = await request(ctx.app).post('/auth/login').set(guest(token)).send({ email: shopper.email, password: shopper.password }).expect(200);
+      assert.equal(again.body.mergedCartItems, 0);
+    });
+
+    it('applies the configured merge rule to lines in both carts', async () => {
+      // [customer quantity, guest quantity, merged quantity]
+      const rules = { sum: [2, 3, 5], max: [4, 3, 4], guest: [4, 3, 3], customer: [2, 3, 2] };
+      try {
+        for (const [rule, [customerQuantity, guestQuantity, merged]] of Object.entries(rules)) {
+          process.env.GUEST_CART_MERGE = rule;
+          const shopper = await createCustomer(ctx);
+          await request(ctx.app).post('/cart').set(shopper.auth).send({ productId: mug.id, quantity: customerQuantity }).expect(201);
+          const token = await guestCart([[mug, guestQuantity]]);
+          await request(ctx.app).post('/auth/login').set(guest(token)).send({ email: shopper.email, password: shopper.password }).expect(200);
+          assert.deepEqual(lines(await request(ctx.app).get('/cart').set(shopper.auth).expect(200)), { Mug: merged }, rule);
+        }
+      } finally {
+        delete process.env.GUEST_CART_MERGE;
+      }
+    });
+
+    it('merges the guest cart on Google sign-in through the cart cookie', async () => {
+      ctx.google.addProfile('code-cart', { sub: 'google-cart', email: 'cart@example.com', email_verified: true, name: 'Cart Shopper' });
+      const token = await guestCart([[plate, 2]]);
+
+      const res = await request(ctx.app).get('/auth/google/callback').query({ code: 'code-cart' }).set('Cookie', `cart_token=${token}`).expect(200);
+      assert.equal(res.body.mergedCartItems, 1);
+      const cart = await request(ctx.app).get('/cart').set('Authorization', `Bearer ${res.body.token}`).expect(200);
+      assert.deepEqual(lines(cart), { Plate: 2 });
+    });
+  });
+
+  describe('coupon preview', () => {
+    before(async () => {
+      await ctx.pool.query(
+        "INSERT INTO coupon (code, discount_type, discount_percent, valid_from, valid_to) VALUES ('TENOFF', 'percent', 10, NOW() - INTERVAL '1 day', NOW() + INTERVAL '1 day')"
+      );
+      await ctx.pool.query(
+        "INSERT INTO coupon (code, discount_type, discount_amount, min_order_total, valid_from, valid_to) VALUES ('BIGSPEND', 'fixed', 5, 100, NOW() - INTERVAL '1 day', NOW() + INTERVAL '1 day')"
+      );
+    });
+
+    it('previews the discount for the current cart', async () => {
+      await request(ctx.app).post('/cart').set(customer.auth).send({ productId: plate.id, quantity: 2 }).expect(201);
+      const res = await request(ctx.app).post('/apply-coupon').set(customer.auth).send({ code: 'TENOFF' }).expect(200);
+      assert.equal(res.body.code, 'TENOFF');
+      assert.equal(Number(res.body.discount), 4);
+    });
+
+    it('explains why a coupon does not apply', async () => {
+      const minimum = await request(ctx.app).post('/apply-coupon').set(customer.auth).send({ code: 'BIGSPEND' }).expect(422);
+      assert.equal(minimum.body.code, 'coupon_minimum_not_met');
+
+      const unknown = await request(ctx.app).post('/apply-coupon').set(customer.auth).send({ code: 'NOPE' }).expect(404);
+      assert.equal(unknown.body.code, 'coupon_not_found');
+    });
+
+    it('applies a category coupon to products in its subcategories', async () => {
+      const kitchen = await ctx.pool.query("SELECT id FROM product_category WHERE name = 'Kitchen'");
+      const cutlery = await createCategory(ctx.pool, { name: 'Cutlery', parentId: kitchen.rows[0].id });
+      const fork = await createProduct(ctx.pool, { name: 'Fork', price: 8 });
+      await ctx.pool.query('UPDATE product SET category_id = $1 WHERE id = $2', [cutlery.id, fork.id]);
+      const coupon = await ctx.pool.query(
+        "INSERT INTO coupon (code, discount_type, discount_percent, valid_from, valid_to) VALUES ('KITCHEN', 'percent', 50, NOW() - INTERVAL '1 day', NOW() + INTERVAL '1 day') RETURNING id"
+      );
+      await ctx.pool.query('INSERT INTO coupon_category (coupon_id, category_id) VALUES ($1, $2)', [coupon.rows[0].id, kitchen.rows[0].id]);
+
+      const shopper = await createCustomer(ctx);
+      await request(ctx.app).post('/cart').set(shopper.auth).send({ productId: plate.id, quantity: 1 }).expect(201);
+      const notKitchen = await request(ctx.app).post('/apply-coupon').set(shopper.auth).send({ code: 'KITCHEN' }).expect(422);
+      assert.equal(notKitchen.body.code, 'coupon_not_applicable');
+
+      await request(ctx.app).post('/cart').set(shopper.auth).send({ productId: fork.id, quantity: 1 }).expect(201);
+      const res = await request(ctx.app).post('/apply-coupon').set(shopper.auth).send({ code: 'KITCHEN' }).expect(200);
+      assert.equal(Number(res.body.discount), 4);
+    });
+  });
+
+  describe('wishlist', () => {
+    it('adds products once and lists them', async () => {
+      await request(ctx.app).post(`/wishlist/${mug.id}`).set(customer.auth).expect(201);
+      await request(ctx.app).post(`/wishlist/${mug.id}`).set(customer.auth).expect(201);
+      const res = await request(ctx.app).get('/wishlist').set(customer.auth).expect(200);
+      assert.deepEqual(res.body.map((p) => p.name), ['Mug']);
+    });
+
+    it('removes products', async () => {
+      await request(ctx.app).delete(`/wishlist/${mug.id}`).set(customer.auth).expect(200);
+      const res = await request(ctx.app).get('/wishlist').set(customer.auth).expect(200);
+      assert.deepEqual(res.body, []);
+    });
+
+    it('validates the product id', async () => {
+      await request(ctx.app).post('/wishlist/abc').set(customer.auth).expect(422);
+    });
+  });
+});
@@ -0,0 +1,482 @@
+// test/catalog.test.js
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { rebuildProductRatings } = require('../lib/reviews');
+const { setupTestApp, createCustomer, createProduct } = require('./helpers');
+
+describe('catalog', () => {
+  let ctx;
+  let lamp;
+  let floorLamp;
+
+  before(async () => {
+    ctx = await setupTestApp();
+    lamp = await createProduct(ctx.pool, { name: 'Desk lamp', description: 'Warm light for late nights', category: 'Lighting' });
+    floorLamp = await createProduct(ctx.pool, { name: 'Floor lamp', category: 'Lighting' });
+    await createProduct(ctx.pool, { name: 'Oak chair', description: 'Solid oak', category: 'Furniture' });
+  });
+
+  after(async () => {
+    await ctx.close();
+  });
+
+  it('lists products with pagination', async () => {
+    const res = await request(ctx.app).get('/products').query({ page: 2, limit: 2 }).expect(200);
+    assert.equal(res.body.products.length, 1);
+    assert.equal(res.body.currentPage, 2);
+    assert.equal(res.body.totalPages, 2);
+    assert.equal(res.body.totalProducts, 3);
+  });
+
+  it('filters products by category name', async () => {
+    const res = await request(ctx.app).get('/products').query({ category: 'Lighting' }).expect(200);
+    assert.equal(res.body.totalProducts, 2);
+    assert.ok(res.body.products.every((p) => p.category_name === 'Lighting'));
+  });
+
+  it('filters products by category slug', async () => {
+    const res = await request(ctx.app).get('/products').query({ category: 'lighting' }).expect(200);
+    assert.equal(res.body.totalProducts, 2);
+    assert.ok(res.body.products.every((p) => p.category_name === 'Lighting'));
+  });
+
+  it('rejects an out-of-range limit', async () => {
+    const res = await request(ctx.app).get('/products').query({ limit: 1000 }).expect(422);
+    assert.equal(res.body.errors[0].field, 'limit');
+  });
+
+  it('lists categories', async () => {
+    const res = await request(ctx.app).get('/categories').expect(200);
+    assert.deepEqual(res.body.map((c) => c.name).sort(), ['Furniture', 'Lighting']);
+  });
+
+  it('searches names and descriptions', async () => {
+    const byName = await request(ctx.app).get('/search').query({ query: 'lamp' }).expect(200);
+    assert.equal(byName.body.totalProducts, 2);
+
+    const byDescription = await request(ctx.app).get('/search').query({ query: 'oak' }).expect(200);
+    assert.deepEqual(byDescription.body.products.map((p) => p.name), ['Oak chair']);
+
+    await request(ctx.app).get('/search').expect(422);
+  });
+
+  describe('reviews', () => {
+    let admin;
+
+    const review = (who, productId, body) => request(ctx.app).post(`/products/${productId}/reviews`).set(who.auth).send(body);
+    const moderate = (id, status, note) => request(ctx.app).patch(`/admin/reviews/${id}/status`).set(admin.auth).send({ status, note });
+
+    before(async () => {
+      admin = await createCustomer(ctx, { admin: true });
+    });
+
+    it('requires a signed-in customer to review', async () => {
+      await request(ctx.app).post(`/products/${lamp.id}/reviews`).send({ rating: 5, comment: 'Great' }).expect(401);
+    });
+
+    it('shows reviews and counts their rating once they are approved', async () => {
+      const first = await createCustomer(ctx);
+      const second = await createCustomer(ctx);
+      const great = await review(first, lamp.id, { rating: 5, comment: 'Great' }).expect(201);
+      const dim = await review(second, lamp.id, { rating: 2, comment: 'Too dim' }).expect(201);
+      assert.equal(great.body.status, 'pending');
+
+      const before = await request(ctx.app).get(`/products/${lamp.id}/reviews`).expect(200);
+      assert.equal(before.body.totalReviews, 0);
+
+      await moderate(great.body.id, 'approved').expect(200);
+      await moderate(dim.body.id, 'approved').expect(200);
+      const reviews = await request(ctx.app).get(`/products/${lamp.id}/reviews`).expect(200);
+      assert.equal(reviews.body.reviews.length, 2);
+      assert.equal(reviews.body.reviews[0].first_name, 'Test');
+
+      const rating = await request(ctx.app).get(`/products/${lamp.id}/rating`).expect(200);
+      assert.equal(Number(rating.body.average_rating), 3.5);
+      assert.equal(Number(rating.body.review_count), 2);
+    });
+
+    it('rejects ratings outside 1 to 5', async () => {
+      const customer = await createCustomer(ctx);
+      const res = await review(customer, lamp.id, { rating: 6, comment: 'Wow' }).expect(422);
+      assert.equal(res.body.errors[0].field, 'rating');
+    });
+
+    it('answers 409 for a product that does not exist', async () => {
+      const customer = await createCustomer(ctx);
+      const res = await review(customer, 99999, { rating: 4, comment: 'Hm' }).expect(409);
+      assert.equal(res.body.code, 'reference_conflict');
+    });
+
+    it('allows one review per customer, which its author can edit and delete', async () => {
+      const author = await createCustomer(ctx);
+      const other = await createCustomer(ctx);
+      const created = await review(author, lamp.id, { rating: 3, comment: 'Fine' }).expect(201);
+      const again = await review(author, lamp.id, { rating: 4, comment: 'Better' }).expect(409);
+      assert.equal(again.body.code, 'review_exists');
+      assert.equal(again.body.reviewId, created.body.id);
+
+      // Editing an approved review sends it back to moderation
+      await moderate(created.body.id, 'approved').expect(200);
+      const edited = await request(ctx.app).put(`/reviews/${created.body.id}`).set(author.auth).send({ rating: 4, comment: 'Better' }).expect(200);
+      assert.equal(edited.body.rating, 4);
+      assert.equal(edited.body.status, 'pending');
+      assert.ok(edited.body.updated_at);
+
+      await request(ctx.app).put(`/reviews/${created.body.id}`).set(other.auth).send({ rating: 1, comment: 'Mine now' }).expect(404);
+      await request(ctx.app).delete(`/reviews/${created.body.id}`).set(other.auth).expect(404);
+      await request(ctx.app).delete(`/reviews/${created.body.id}`).set(author.auth).expect(200);
+      await review(author, lamp.id, { rating: 4, comment: 'Second try' }).expect(201);
+    });
+
+    it('moderates reviews through the queue', async () => {
+      const customer = await createCustomer(ctx);
+      const created = await review(customer, lamp.id, { rating: 1, comment: 'Buy my lamps instead' }).expect(201);
+
+      await request(ctx.app).get('/admin/reviews').set(customer.auth).expect(403);
+      const queue = await request(ctx.app).get('/admin/reviews').set(admin.auth).expect(200);
+      assert.ok(queue.body.reviews.every((r) => r.status === 'pending'));
+      const queued = queue.body.reviews.find((r) => r.id === created.body.id);
+      assert.equal(queued.product_name, 'Desk lamp');
+
+      const rejected = await moderate(created.body.id, 'rejected', 'Spam').expect(200);
+      assert.equal(rejected.body.moderation_note, 'Spam');
+      assert.equal(rejected.body.moderated_by, admin.id);
+      const invalid = await moderate(created.body.id, 'hidden').expect(409);
+      assert.equal(invalid.body.code, 'invalid_status_transition');
+      assert.deepEqual(invalid.body.allowedStatuses, ['approved']);
+
+      // Hiding takes an approved review down again
+      await moderate(created.body.id, 'approved').expect(200);
+      await moderate(created.body.id, 'hidden').expect(200);
+      const shown = await request(ctx.app).get(`/products/${lamp.id}/reviews`).query({ limit: 100 }).expect(200);
+      assert.ok(!shown.body.reviews.some((r) => r.id === created.body.id));
+      const hidden = await request(ctx.app).get('/admin/reviews').query({ status: 'hidden' }).set(admin.auth).expect(200);
+      assert.deepEqual(hidden.body.reviews.map((r) => r.id), [created.body.id]);
+
+      await moderate(99999, 'approved').expect(404);
+      await moderate(created.body.id, 'pending').expect(422);
+    });
+
+    it('marks verified purchases, counts helpful votes and sorts reviews', async () => {
+      const product = floorLamp;
+      const buyer = await createCustomer(ctx);
+      const browser = await createCustomer(ctx);
+      const voter = await createCustomer(ctx);
+
+      await request(ctx.app).post('/cart').set(buyer.auth).send({ productId: product.id, quantity: 1 }).expect(201);
+      const order = await request(ctx.app).post('/orders').set(buyer.auth).send({ shippingAddress: '1 Main Street' }).expect(201);
+      await ctx.pool.query("UPDATE customer_order SET status = 'Delivered' WHERE id = $1", [order.body.orderId]);
+
+      const bought = await review(buyer, product.id, { rating: 4, comment: 'Reads well' }).expect(201);
+      const browsed = await review(browser, product.id, { rating: 2, comment: 'Looks cheap' }).expect(201);
+      assert.equal(bought.body.verified_purchase, true);
+      assert.equal(browsed.body.verified_purchase, false);
+      await moderate(bought.body.id, 'approved').expect(200);
+      await moderate(browsed.body.id, 'approved').expect(200);
+
+      // Votes count once and not on your own review
+      await request(ctx.app).post(`/reviews/${browsed.body.id}/helpful`).set(voter.auth).expect(200);
+      const voted = await request(ctx.app).post(`/reviews/${browsed.body.id}/helpful`).set(voter.auth).expect(200);
+      assert.equal(voted.body.helpful_count, 1);
+      const own = await request(ctx.app).post(`/reviews/${browsed.body.id}/helpful`).set(browser.auth).expect(403);
+      assert.equal(own.body.code, 'own_review');
+
+      const list = (query) => request(ctx.app).get(`/products/${product.id}/reviews`).query(query).expect(200);
+      assert.deepEqual((await list({ sort: 'helpful' })).body.reviews.map((r) => r.id), [browsed.body.id, bought.body.id]);
+      assert.deepEqual((await list({ sort: 'highest' })).body.reviews.map((r) => r.id), [bought.body.id, browsed.body.id]);
+      const verified = await list({ verified: true });
+      assert.deepEqual(verified.body.reviews.map((r) => r.id), [bought.body.id]);
+      assert.equal(verified.body.totalReviews, 1);
+      const paged = await list({ sort: 'lowest', limit: 1, page: 2 });
+      assert.deepEqual(paged.body.reviews.map((r) => r.id), [bought.body.id]);
+      assert.equal(paged.body.totalPages, 2);
+
+      const withdrawn = await request(ctx.app).delete(`/reviews/${browsed.body.id}/helpful`).set(voter.auth).expect(200);
+      assert.equal(withdrawn.body.helpful_count, 0);
+
+      // Only approved reviews take votes
+      const pending = await review(voter, product.id, { rating: 3, comment: 'Not yet' }).expect(201);
+      await request(ctx.app).post(`/reviews/${pending.body.id}/helpful`).set(buyer.auth).expect(404);
+    });
+  });
+
+  describe('rating aggregates', () => {
+    let admin;
+    let kettle;
+
+    const rating = async () => (await request(ctx.app).get(`/products/${kettle.id}/rating`).expect(200)).body;
+
+    before(async () => {
+      admin = await createCustomer(ctx, { admin: true });
+      kettle = await createProduct(ctx.pool, { name: 'Kettle', category: 'Kitchen' });
+    });
+
+    after(async () => {
+      await ctx.pool.query('DELETE FROM product WHERE id = $1', [kettle.id]);
+    });
+
+    it('keeps the average, count and histogram of approved reviews up to date', async () => {
+      const empty = await rating();
+      assert.deepEqual(empty, { average_rating: null, review_count: 0, rating_histogram: { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 } });
+
+      const authors = [await createCustomer(ctx), await createCustomer(ctx), await createCustomer(ctx)];
+      const ids = [];
+      for (const [i, stars] of [5, 4, 4].entries()) {
+        const res = await request(ctx.app).post(`/products/${kettle.id}/reviews`).set(authors[i].auth).send({ rating: stars, comment: 'Boils' }).expect(201);
+        ids.push(res.body.id);
+      }
+      assert.equal((await rating()).review_count, 0);
+
+      for (const id of ids) {
+        await request(ctx.app).patch(`/admin/reviews/${id}/status`).set(admin.auth).send({ status: 'approved' }).expect(200);
+      }
+      assert.deepEqual(await rating(), { average_rating: '4.33', review_count: 3, rating_histogram: { 1: 0, 2: 0, 3: 0, 4: 2, 5: 1 } });
+
+      // Editing sends a review back to moderation, and hiding or deleting takes it out
+      await request(ctx.app).put(`/reviews/${ids[0]}`).set(authors[0].auth).send({ rating: 1, comment: 'Leaks' }).expect(200);
+      assert.deepEqual(await rating(), { average_rating: '4.00', review_count: 2, rating_histogram: { 1: 0, 2: 0, 3: 0, 4: 2, 5: 0 } });
+      await request(ctx.app).patch(`/admin/reviews/${ids[0]}/status`).set(admin.auth).send({ status: 'approved' }).expect(200);
+      await request(ctx.app).patch(`/admin/reviews/${ids[1]}/status`).set(admin.auth).send({ status: 'hidden' }).expect(200);
+      await request(ctx.app).delete(`/reviews/${ids[2]}`).set(authors[2].auth).expect(200);
+      assert.deepEqual(await rating(), { average_rating: '1.00', review_count: 1, rating_histogram: { 1: 1, 2: 0, 3: 0, 4: 0, 5: 0 } });
+
+      await request(ctx.app).get('/products/99999/rating').expect(404);
+    });
+
+    it('includes the aggregates in product lists and search results', async () => {
+      const list = await request(ctx.app).get('/products').query({ category: 'kitchen' }).expect(200);
+      assert.equal(list.body.products[0].review_count, 1);
+      assert.deepEqual(list.body.products[0].rating_histogram, { 1: 1, 2: 0, 3: 0, 4: 0, 5: 0 });
+
+      const search = await request(ctx.app).get('/search').query({ query: 'kettle' }).expect(200);
+      assert.equal(search.body.products[0].average_rating, '1.00');
+    });
+
+    it('rebuilds aggregates that drifted from the reviews', async () => {
+      await ctx.pool.query('UPDATE product SET average_rating = 5, review_count = 9 WHERE id = $1', [kettle.id]);
+
+      const corrected = await rebuildProductRatings(ctx.pool);
+      assert.deepEqual(corrected.map((row) => row.id), [kettle.id]);
+      assert.equal(corrected[0].previous.review_count, 9);
+      assert.equal((await rating()).review_count, 1);
+      assert.deepEqual(await rebuildProductRatings(ctx.pool), []);
+    });
+  });
+
+  describe('filtering and sorting', () => {
+    let vase;
+    let clock;
+    let poster;
+
+    const list = (query) => request(ctx.app).get('/products').query(query).expect(200);
+    const names = (res) => res.body.products.map((p) => p.name);
+
+    before(async () => {
+      const admin = await createCustomer(ctx, { admin: true });
+      const buyer = await createCustomer(ctx);
+      const reviewer = await createCustomer(ctx);
+
+      await createProduct(ctx.pool, { name: 'Rug', price: 30, stock: 0, category: 'Decor' });
+      vase = await createProduct(ctx.pool, { name: 'Vase', price: 60, stock: 5, category: 'Decor' });
+      clock = await createProduct(ctx.pool, { name: 'Clock', price: 120, stock: 5, category: 'Decor' });
+      await createProduct(ctx.pool, { name: 'Mirror', price: 300, stock: 1, category: 'Bath' });
+
+      // Sold for less than its own price through its only variant
+      poster = await createProduct(ctx.pool, { name: 'Poster', price: 90, stock: 0, category: 'Prints' });
+      await request(ctx.app)
+        .post(`/products/${poster.id}/variants`)
+        .set(admin.auth)
+        .send({ sku: 'POSTER-A4', options: { Size: 'A4' }, price: 15, stock_quantity: 4 })
+        .expect(201);
+
+      const review = await request(ctx.app).post(`/products/${vase.id}/reviews`).set(reviewer.auth).send({ rating: 5, comment: 'Lovely' }).expect(201);
+      await request(ctx.app).patch(`/admin/reviews/${review.body.id}/status`).set(admin.auth).send({ status: 'approved' }).expect(200);
+      await request(ctx.app).post('/cart').set(buyer.auth).send({ productId: clock.id, quantity: 3 }).expect(201);
+      await request(ctx.app).post('/orders').set(buyer.auth).send({ shippingAddress: '1 Main Street' }).expect(201);
+    });
+
+    it('lists newest first by default', async () => {
+      const res = await list({ limit: 100 });
+      const ids = res.body.products.map((p) => p.id);
+      assert.deepEqual(ids, [...ids].sort((a, b) => b - a));
+      assert.equal(res.body.totalProducts, 8);
+    });
+
+    it('sorts by price using the cheapest variant', async () => {
+      const ascending = await list({ sort: 'price_asc', limit: 5 });
+      assert.deepEqual(names(ascending), ['Desk lamp', 'Floor lamp', 'Oak chair', 'Poster', 'Rug']);
+      assert.equal(ascending.body.products[3].price_from, '15.00');
+
+      const descending = await list({ sort: 'price_desc', limit: 2 });
+      assert.deepEqual(names(descending), ['Mirror', 'Clock']);
+    });
+
+    it('sorts by popularity and rating', async () => {
+      assert.equal(names(await list({ sort: 'popularity' }))[0], 'Clock');
+      assert.deepEqual(names(await list({ sort: 'rating', limit: 2 })), ['Vase', 'Desk lamp']);
+    });
+
+    it('filters by several categories, price range, stock and rating', async () => {
+      const categories = await list({ category: ['decor', 'bath'], sort: 'price_asc' });
+      assert.deepEqual(names(categories), ['Rug', 'Vase', 'Clock', 'Mirror']);
+
+      assert.deepEqual(names(await list({ minPrice: 25, maxPrice: 100, sort: 'price_asc' })), ['Rug', 'Vase']);
+      assert.deepEqual(names(await list({ maxPrice: 20, category: 'prints' })), ['Poster']);
+      assert.deepEqual(names(await list({ category: 'decor', inStock: true, sort: 'price_asc' })), ['Vase', 'Clock']);
+      assert.deepEqual(names(await list({ minRating: 4 })), ['Vase']);
+    });
+
+    it('returns facet counts that ignore their own filter', async () => {
+      const res = await list({ category: 'decor', minPrice: 50 });
+      assert.deepEqual(names(res).sort(), ['Clock', 'Vase']);
+
+      assert.deepEqual(res.body.facets.categories.map((c) => [c.name, c.count]), [['Bath', 1], ['Decor', 2]]);
+      assert.deepEqual(res.body.facets.priceRanges, [
+        { min: 0, max: 25, count: 0 },
+        { min: 25, max: 50, count: 1 },
+        { min: 50, max: 100, count: 1 },
+        { min: 100, max: 250, count: 1 },
+        { min: 250, max: 500, count: 0 },
+        { min: 500, max: null, count: 0 },
+      ]);
+    });
+
+    it('rejects invalid filters and sorts', async () => {
+      const range = await request(ctx.app).get('/products').query({ minPrice: 50, maxPrice: 10 }).expect(422);
+      assert.equal(range.body.errors[0].field, 'maxPrice');
+      await request(ctx.app).get('/products').query({ sort: 'cheapest' }).expect(422);
+      await request(ctx.app).get('/products').query({ minRating: 6 }).expect(422);
+      await request(ctx.app).get('/products').query({ inStock: 'maybe' }).expect(422);
+    });
+  });
+
+  describe('search', () => {
+    const search = (query) => request(ctx.app).get('/search').query({ query }).expect(200);
+    const names = (res) => res.body.products.map((p) => p.name);
+
+    before(async () => {
+      await createProduct(ctx.pool, { name: 'Garden hose', description: 'Flexible hose for watering plants', category: 'Garden' });
+      await createProduct(ctx.pool, { name: 'Watering can', description: 'Galvanised steel can', category: 'Garden' });
+      await createProduct(ctx.pool, { name: 'Steel kettle', description: 'Boils water quickly', category: 'Kitchen' });
+    });
+
+    it('matches word stems and ranks name matches first', async () => {
+      const res = await search('watering');
+      assert.equal(res.body.matchType, 'fulltext');
+      assert.equal(res.body.totalProducts, 3);
+      assert.equal(names(res)[0], 'Watering can');
+      assert.ok(res.body.products[0].rank > res.body.products[1].rank);
+    });
+
+    it('highlights the matching words', async () => {
+      const res = await search('watering');
+      const [can, hose] = res.body.products;
+      assert.equal(can.highlight.name, '<mark>Watering</mark> can');
+      assert.equal(hose.highlight.name, 'Garden hose');
+      assert.match(hose.highlight.description, /<mark>watering<\/mark> plants/);
+    });
+
+    it('HTML-escapes the product text around the highlights', async () => {
+      await createProduct(ctx.pool, { name: 'Trowel <b>sale</b>', description: '<script>alert("trowel")</script> & more', category: 'Garden' });
+      const [trowel] = (await search('trowel')).body.products;
+      assert.equal(trowel.highlight.name, '<mark>Trowel</mark> &lt;b&gt;sale&lt;/b&gt;');
+      // Snippets may start after the leading markup, but never contain any of it unescaped
+      const { description } = trowel.highlight;
+      assert.match(description, /alert\(&quot;<mark>trowel<\/mark>&quot;\)&lt;\/script&gt; &amp; more$/);
+      assert.doesNotMatch(description.replace(/<\/?mark>/g, ''), /[<>"]/);
+    });
+
+    it('searches category names and supports web search syntax', async () => {
+      assert.deepEqual(names(await search('kitchen')), ['Steel kettle']);
+      assert.deepEqual(names(await search('steel -kettle')), ['Watering can']);
+      assert.deepEqual(names(await search('"galvanised steel"')), ['Watering can']);
+    });
+
+    it('falls back to similar names for misspelt queries', async () => {
+      const res = await search('kettel');
+      assert.equal(res.body.matchType, 'fuzzy');
+      assert.equal(names(res)[0], 'Steel kettle');
+      assert.deepEqual(res.body.products[0].highlight, { name: null, description: null });
+
+      const nothing = await search('zzzzqqq');
+      assert.equal(nothing.body.totalProducts, 0);
+    });
+
+    it('follows product and category renames', async () => {
+      await ctx.pool.query("UPDATE product_category SET name = 'Cookware' WHERE name = 'Kitchen'");
+      assert.deepEqual(names(await search('cookware')), ['Steel kettle']);
+      await ctx.pool.query("UPDATE product SET name = 'Steel teapot' WHERE name = 'Steel kettle'");
+      assert.deepEqual(names(await search('teapot')), ['Steel teapot']);
+    });
+
+    it('suggests product and category names', async () => {
+      const res = await request(ctx.app).get('/search/suggest').query({ q: 'gar' }).expect(200);
+      assert.deepEqual(res.body.products.map((p) => p.name), ['Garden hose']);
+      assert.deepEqual(res.body.categories.map((c) => c.name), ['Garden']);
+
+      const starts = await request(ctx.app).get('/search/suggest').query({ q: 'wat' }).expect(200);
+      assert.equal(starts.body.products[0].name, 'Watering can');
+
+      const wildcard = await request(ctx.app).get('/search/suggest').query({ q: '%' }).expect(200);
+      assert.deepEqual(wildcard.body.products, []);
+
+      await request(ctx.app).get('/search/suggest').expect(422);
+      await request(ctx.app).get('/search/suggest').query({ q: 'a', limit: 50 }).expect(422);
+    });
+  });
+
+  describe('category tree', () => {
+    let admin;
+    let outdoor;
+
+    const names = (res) => res.body.products.map((p) => p.name);
+
+    before(async () => {
+      admin = await createCustomer(ctx, { admin: true });
+      const create = (body) => request(ctx.app).post('/categories').set(admin.auth).send(body).expect(201);
+      outdoor = (await create({ name: 'Outdoor', sort_order: -1 })).body;
+      const seating = (await create({ name: 'Seating', parent_id: outdoor.id })).body;
+      await createProduct(ctx.pool, { name: 'Parasol', category: 'Outdoor' });
+
+      // Made at the top level, then moved under Outdoor > Seating
+      const bench = await createProduct(ctx.pool, { name: 'Teak bench', category: 'Benches' });
+      await request(ctx.app)
+        .put(`/categories/${bench.category_id}`)
+        .set(admin.auth)
+        .send({ name: 'Benches', parent_id: seating.id })
+        .expect(200);
+    });
+
+    it('returns the tree and an ordered flat list', async () => {
+      const tree = await request(ctx.app).get('/categories/tree').expect(200);
+      assert.equal(tree.body[0].name, 'Outdoor');
+      assert.equal(tree.body[0].children[0].name, 'Seating');
+      assert.deepEqual(tree.body[0].children[0].children.map((c) => [c.name, c.slug]), [['Benches', 'benches']]);
+
+      const list = await request(ctx.app).get('/categories').expect(200);
+      assert.deepEqual(list.body.slice(0, 3).map((c) => [c.name, c.depth]), [['Outdoor', 0], ['Seating', 1], ['Benches', 2]]);
+    });
+
+    it('includes subcategories when filtering and counting', async () => {
+      const res = await request(ctx.app).get('/products').query({ category: 'outdoor', sort: 'price_asc' }).expect(200);
+      assert.deepEqual(names(res).sort(), ['Parasol', 'Teak bench']);
+
+      const seating = await request(ctx.app).get('/products').query({ category: 'seating' }).expect(200);
+      assert.deepEqual(names(seating), ['Teak bench']);
+
+      const counts = Object.fromEntries(res.body.facets.categories.map((c) => [c.slug, c.count]));
+      assert.equal(counts.outdoor, 2);
+      assert.equal(counts.seating, 1);
+      assert.equal(counts.benches, 1);
+    });
+
+    it('adds breadcrumbs to product responses', async () => {
+      const res = await request(ctx.app).get('/products').query({ category: 'benches' }).expect(200);
+      assert.deepEqual(res.body.products[0].breadcrumbs.map((c) => c.slug), ['outdoor', 'seating', 'benches']);
+
+      const search = await request(ctx.app).get('/search').query({ query: 'parasol' }).expect(200);
+      assert.deepEqual(search.body.products[0].breadcrumbs, [{ id: outdoor.id, name: 'Outdoor', slug: 'outdoor' }]);
+    });
+  });
+});
@@ -0,0 +1,148 @@
+// test/helpers.js
+// Shared setup for the HTTP tests: a fresh migrated database per test file, the app built by
+// createApp with a stubbed Google client, a temporary upload directory and a recording mailer.
+process.env.AUTH_SECRET = process.env.AUTH_SECRET || 'test-auth-secret';
+process.env.PAYMENT_PROVIDER = 'fake';
+process.env.PAYMENT_WEBHOOK_SECRET = process.env.PAYMENT_WEBHOOK_SECRET || 'test-webhook-secret';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Client, Pool } = require('pg');
+const request = require('supertest');
+const sharp = require('sharp');
+const { createApp } = require('../app');
+const { migrate } = require('../db/migrate');
+const { setMailer } = require('../lib/mailer');
+const { getPaymentProvider } = require('../lib/payments');
+const { MOVEMENT_REASON, recordMovement } = require('../lib/inventory');
+const { createCategory } = require('../lib/categories');
+
+// Creates a database named after the test process on the TEST_POSTGRES_URL server and migrates it
+const createTestDatabase = async () => {
+  if (!process.env.TEST_POSTGRES_URL) {
+    throw new Error('TEST_POSTGRES_URL is not set; run the tests with npm test');
+  }
+  const name = `test_${process.pid}_${crypto.randomBytes(4).toString('hex')}`;
+  const adminUrl = process.env.TEST_POSTGRES_URL;
+
+  const admin = new Client({ connectionString: adminUrl });
+  await admin.connect();
+  await admin.query(`CREATE DATABASE ${name}`);
+  await admin.end();
+
+  const url = new URL(adminUrl);
+  url.pathname = `/${name}`;
+  const pool = new Pool({ connectionString: url.toString() });
+  await migrate(pool);
+
+  const drop = async () => {
+    await pool.end();
+    const client = new Client({ connectionString: adminUrl });
+    await client.connect();
+    await client.query(`DROP DATABASE IF EXISTS ${name} WITH (FORCE)`);
+    await client.end();
+  };
+  return { pool, drop };
+};
+
+// Stands in for google-auth-library's OAuth2Client. The authorization code passed to the
+// callback is looked up in the profiles registered with addProfile(code, idTokenPayload).
+const createGoogleStub = () => {
+  const profiles = new Map();
+  return {
+    addProfile: (code, payload) => profiles.set(code, payload),
+    generateAuthUrl: ({ state } = {}) => `https://accounts.google.test/o/oauth2/auth${state ? `?state=${state}` : ''}`,
+    getToken: async (code) => {
+      if (!profiles.has(code)) throw new Error('invalid_grant');
+      return { tokens: { id_token: code } };
+    },
+    setCredentials: () => {},
+    verifyIdToken: async ({ idToken }) => ({ getPayload: () => profiles.get(idToken) }),
+  };
+};
+
+const setupTestApp = async () => {
+  const { pool, drop } = await createTestDatabase();
+  const google = createGoogleStub();
+  const uploadDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ecommerce-test-uploads-'));
+
+  const outbox = [];
+  setMailer({ send: async (message) => { outbox.push(message); } });
+
+  const app = createApp({ pool, oauth2Client: google, uploadDir });
+  return {
+    app,
+    pool,
+    google,
+    outbox,
+    uploadDir,
+    close: async () => {
+      await drop();
+      fs.rmSync(uploadDir, { recursive: true, force: true });
+    },
+  };
+};
+
+// Pulls the token=... out of the last email sent to an address
+const tokenFromMail = (outbox, to) => {
+  const message = [...outbox].reverse().find((m) => m.to === to);
+  if (!message) throw new Error(`No email was sent to ${to}`);
+  return new URL(message.text.match(/https?:\/\/\S+/)[0]).searchParams.get('token');
+};
+
+let customerCount = 0;
+
+// Registers and signs in a customer through the API; admin customers are promoted in the database
+const createCustomer = async (ctx, { email, password = 'password123', admin = false } = {}) => {
+  customerCount += 1;
+  const address = email || `customer${customerCount}@example.com`;
+  await request(ctx.app)
+    .post('/auth/register')
+    .send({ email: address, password, firstName: 'Test', lastName: `Customer${customerCount}` })
+    .expect(201);
+
+  const { rows } = await ctx.pool.query('SELECT id FROM customer WHERE email_address = $1', [address]);
+  if (admin) {
+    await ctx.pool.query('UPDATE customer SET is_admin = true WHERE id = $1', [rows[0].id]);
+  }
+
+  const login = await request(ctx.app).post('/auth/login').send({ email: address, password }).expect(200);
+  return {
+    id: rows[0].id,
+    email: address,
+    password,
+    token: login.body.token,
+    refreshToken: login.body.refreshToken,
+    auth: { Authorization: `Bearer ${login.body.token}` },
+  };
+};
+
+// Inserts a product directly, creating its top-level category on first use; the stock is recorded in the ledger
+const createProduct = async (pool, { name = 'Product', price = 10, stock = 10, category = 'General', description = null } = {}) => {
+  const existing = await pool.query('SELECT id FROM product_category WHERE name = $1 AND parent_id IS NULL', [category]);
+  const categoryId = existing.rows.length > 0 ? existing.rows[0].id : (await createCategory(pool, { name: category })).id;
+  const result = await pool.query(
+    'INSERT INTO product (name, description, price, category_id, stock_quantity) VALUES ($1, $2, $3, $4, $5) RETURNING *',
+    [name, description, price, categoryId, stock]
+  );
+  if (stock > 0) {
+    await recordMovement(pool, { productId: result.rows[0].id, quantity: stock, reason: MOVEMENT_REASON.RESTOCK, note: 'Initial stock' });
+  }
+  return result.rows[0];
+};
+
+// A solid-colour image for upload tests; exif adds metadata fields such as { IFD0: { Copyright: '…' } }
+const createImage = ({ width = 32, height = 32, colour = '#336699', format = 'png', exif = null } = {}) => {
+  let image = sharp({ create: { width, height, channels: 3, background: colour } }).toFormat(format);
+  if (exif) {
+    image = image.withExif(exif);
+  }
+  return image.toBuffer();
+};
+
+// Builds a webhook from the fake payment provider, signed like the real gateway would
+const signedWebhook = (event) => getPaymentProvider().buildWebhook(event);
+
+module.exports = { setupTestApp, createGoogleStub, tokenFromMail, createCustomer, createProduct, createImage, signedWebhook };
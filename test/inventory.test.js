@@ -0,0 +1,245 @@
+// test/inventory.test.js
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { setupTestApp, createCustomer, createProduct } = require('./helpers');
+const { releaseExpiredReservations } = require('../lib/inventory');
+
+describe('inventory reservation', () => {
+  let ctx;
+  let admin;
+
+  const stockOf = async (productId) => {
+    const { rows } = await ctx.pool.query('SELECT stock_quantity FROM product WHERE id = $1', [productId]);
+    return rows[0].stock_quantity;
+  };
+
+  const fillCart = async (who, lines) => {
+    for (const [productId, quantity] of lines) {
+      await request(ctx.app).post('/cart').set(who.auth).send({ productId, quantity }).expect(201);
+    }
+  };
+
+  const checkout = (who) => request(ctx.app).post('/orders').set(who.auth).send({ shippingAddress: '1 Main Street' });
+
+  before(async () => {
+    ctx = await setupTestApp();
+    admin = await createCustomer(ctx, { admin: true });
+  });
+
+  after(async () => {
+    await ctx.close();
+  });
+
+  it('never sells more than the stock under parallel checkouts', async () => {
+    const product = await createProduct(ctx.pool, { name: 'Limited edition', stock: 5 });
+    const customers = [];
+    for (let i = 0; i < 12; i++) {
+      const customer = await createCustomer(ctx);
+      await fillCart(customer, [[product.id, 1]]);
+      customers.push(customer);
+    }
+
+    const responses = await Promise.all(customers.map((customer) => checkout(customer)));
+    const statuses = responses.map((res) => res.status);
+    assert.equal(statuses.filter((status) => status === 201).length, 5);
+    assert.equal(statuses.filter((status) => status === 409).length, 7);
+    assert.ok(responses.filter((res) => res.status === 409).every((res) => res.body.code === 'insufficient_stock'));
+
+    assert.equal(await stockOf(product.id), 0);
+    const sold = await ctx.pool.query('SELECT COALESCE(SUM(quantity), 0)::int AS sold FROM order_item WHERE product_id = $1', [product.id]);
+    assert.equal(sold.rows[0].sold, 5);
+  });
+
+  it('does not deadlock when parallel carts hold the same products in a different order', async () => {
+    const first = await createProduct(ctx.pool, { name: 'Left', stock: 10 });
+    const second = await createProduct(ctx.pool, { name: 'Right', stock: 10 });
+    const customers = [];
+    for (let i = 0; i < 6; i++) {
+      const customer = await createCustomer(ctx);
+      const lines = i % 2 === 0 ? [[first.id, 1], [second.id, 1]] : [[second.id, 1], [first.id, 1]];
+      await fillCart(customer, lines);
+      customers.push(customer);
+    }
+
+    const responses = await Promise.all(customers.map((customer) => checkout(customer)));
+    assert.deepEqual(responses.map((res) => res.status), Array(6).fill(201));
+    assert.equal(await stockOf(first.id), 4);
+    assert.equal(await stockOf(second.id), 4);
+  });
+
+  it('takes nothing from stock when one line cannot be reserved', async () => {
+    const plenty = await createProduct(ctx.pool, { name: 'Plenty', stock: 10 });
+    const scarce = await createProduct(ctx.pool, { name: 'Scarce', stock: 1 });
+    const customer = await createCustomer(ctx);
+    await fillCart(customer, [[plenty.id, 3], [scarce.id, 2]]);
+
+    const res = await checkout(customer).expect(409);
+    assert.equal(res.body.productId, scarce.id);
+    assert.equal(await stockOf(plenty.id), 10);
+    assert.equal(await stockOf(scarce.id), 1);
+  });
+
+  it('returns a reservation deadline with the order', async () => {
+    const product = await createProduct(ctx.pool, { name: 'Timed', stock: 1 });
+    const customer = await createCustomer(ctx);
+    await fillCart(customer, [[product.id, 1]]);
+
+    const res = await checkout(customer).expect(201);
+    const minutes = (new Date(res.body.reservedUntil) - Date.now()) / 60000;
+    assert.ok(minutes > 29 && minutes <= 30, `reserved for ${minutes} minutes`);
+  });
+
+  it('restocks cancelled orders', async () => {
+    const product = await createProduct(ctx.pool, { name: 'Returnable', stock: 4 });
+    const customer = await createCustomer(ctx);
+    await fillCart(customer, [[product.id, 3]]);
+    const { body } = await checkout(customer).expect(201);
+    assert.equal(await stockOf(product.id), 1);
+
+    await request(ctx.app).patch(`/orders/${body.orderId}/status`).set(admin.auth).send({ status: 'Cancelled' }).expect(200);
+    assert.equal(await stockOf(product.id), 4);
+  });
+
+  it('restocks refunded orders', async () => {
+    const product = await createProduct(ctx.pool, { name: 'Refundable', stock: 2 });
+    const customer = await createCustomer(ctx);
+    await fillCart(customer, [[product.id, 2]]);
+    const { body } = await checkout(customer).expect(201);
+
+    await request(ctx.app).patch(`/orders/${body.orderId}/status`).set(admin.auth).send({ status: 'Paid' }).expect(200);
+    await request(ctx.app).patch(`/orders/${body.orderId}/status`).set(admin.auth).send({ status: 'Refunded' }).expect(200);
+    assert.equal(await stockOf(product.id), 2);
+  });
+
+  it('cancels unpaid orders once the reservation expires', async () => {
+    const product = await createProduct(ctx.pool, { name: 'Reserved', stock: 3 });
+    const unpaid = await createCustomer(ctx);
+    const paid = await createCustomer(ctx);
+    await fillCart(unpaid, [[product.id, 1]]);
+    await fillCart(paid, [[product.id, 1]]);
+    const expiring = (await checkout(unpaid).expect(201)).body.orderId;
+    const settled = (await checkout(paid).expect(201)).body.orderId;
+    await request(ctx.app).patch(`/orders/${settled}/status`).set(admin.auth).send({ status: 'Paid' }).expect(200);
+
+    await ctx.pool.query("UPDATE customer_order SET reserved_until = CURRENT_TIMESTAMP - INTERVAL '1 minute' WHERE id = ANY($1)", [[expiring, settled]]);
+    const released = await releaseExpiredReservations(ctx.pool);
+
+    assert.deepEqual(released, [expiring]);
+    assert.equal(await stockOf(product.id), 2);
+    const order = await request(ctx.app).get(`/orders/${expiring}`).set(unpaid.auth).expect(200);
+    assert.equal(order.body.order.status, 'Cancelled');
+    assert.equal(order.body.history.at(-1).note, 'Stock reservation expired');
+
+    // Running again finds nothing left to release
+    assert.deepEqual(await releaseExpiredReservations(ctx.pool), []);
+  });
+
+  it('refuses manual stock adjustments below zero', async () => {
+    const product = await createProduct(ctx.pool, { name: 'Counted', stock: 2 });
+    const res = await request(ctx.app).patch(`/products/${product.id}/stock`).set(admin.auth).send({ quantity: -3 }).expect(422);
+    assert.equal(res.body.code, 'constraint_violation');
+    assert.equal(await stockOf(product.id), 2);
+  });
+
+  describe('ledger', () => {
+    const historyOf = async (productId) => {
+      const res = await request(ctx.app).get(`/admin/products/${productId}/stock-history`).set(admin.auth).expect(200);
+      return res.body;
+    };
+
+    it('records manual adjustments with their reason and actor', async () => {
+      const product = await createProduct(ctx.pool, { name: 'Ledgered', stock: 5 });
+      const res = await request(ctx.app)
+        .patch(`/products/${product.id}/stock`)
+        .set(admin.auth)
+        .send({ quantity: -2, reason: 'damage', note: 'Dropped a box' })
+        .expect(200);
+      assert.equal(res.body.stock_quantity, 3);
+      assert.equal(res.body.movement.reason, 'damage');
+
+      const history = await historyOf(product.id);
+      assert.equal(history.stockQuantity, 3);
+      assert.deepEqual(history.movements.map((m) => [m.reason, m.quantity, Number(m.balance)]), [['damage', -2, 3], ['restock', 5, 5]]);
+      assert.equal(history.movements[0].actor_email, admin.email);
+      assert.equal(history.movements[0].note, 'Dropped a box');
+    });
+
+    it('rejects quantities whose sign does not fit the reason', async () => {
+      const product = await createProduct(ctx.pool, { name: 'Signed', stock: 5 });
+      const restock = await request(ctx.app).patch(`/products/${product.id}/stock`).set(admin.auth).send({ quantity: -1, reason: 'restock' }).expect(422);
+      assert.equal(restock.body.errors[0].message, 'must be positive for restock');
+      await request(ctx.app).patch(`/products/${product.id}/stock`).set(admin.auth).send({ quantity: 1, reason: 'damage' }).expect(422);
+      await request(ctx.app).patch(`/products/${product.id}/stock`).set(admin.auth).send({ quantity: 0 }).expect(422);
+      await request(ctx.app).patch(`/products/${product.id}/stock`).set(admin.auth).send({ quantity: 1, reason: 'gift' }).expect(422);
+      assert.equal((await historyOf(product.id)).movements.length, 1);
+    });
+
+    it('links sales and returns to their order', async () => {
+      const product = await createProduct(ctx.pool, { name: 'Traced', stock: 4 });
+      const customer = await createCustomer(ctx);
+      await fillCart(customer, [[product.id, 3]]);
+      const { orderId } = (await checkout(customer).expect(201)).body;
+      await request(ctx.app).patch(`/orders/${orderId}/status`).set(admin.auth).send({ status: 'Cancelled' }).expect(200);
+
+      const [returned, sold] = (await historyOf(product.id)).movements;
+      assert.deepEqual([sold.reason, sold.quantity, sold.order_id, sold.actor_id], ['sale', -3, orderId, customer.id]);
+      assert.deepEqual([returned.reason, returned.quantity, returned.order_id, returned.actor_id], ['return', 3, orderId, admin.id]);
+
+      const res = await request(ctx.app)
+        .patch(`/products/${product.id}/stock`)
+        .set(admin.auth)
+        .send({ quantity: 1, reason: 'return', orderId: 99999 })
+        .expect(409);
+      assert.equal(res.body.code, 'reference_conflict');
+    });
+
+    it('records stock set through the product endpoints', async () => {
+      const categoryId = (await createProduct(ctx.pool, { name: 'Anchor', category: 'Ledger' })).category_id;
+      const created = await request(ctx.app)
+        .post('/products')
+        .set(admin.auth)
+        .send({ name: 'Managed', price: 3, category_id: categoryId, stock_quantity: 7 })
+        .expect(201);
+      await request(ctx.app)
+        .put(`/products/${created.body.id}`)
+        .set(admin.auth)
+        .send({ name: 'Managed', price: 3, category_id: categoryId, stock_quantity: 4 })
+        .expect(200);
+
+      const history = await historyOf(created.body.id);
+      assert.deepEqual(history.movements.map((m) => [m.reason, m.quantity]), [['adjustment', -3], ['restock', 7]]);
+    });
+
+    it('reports when stock and ledger agree and when they do not', async () => {
+      let res = await request(ctx.app).get('/admin/inventory/reconciliation').set(admin.auth).expect(200);
+      assert.deepEqual(res.body, { consistent: true, discrepancies: [] });
+
+      const product = await createProduct(ctx.pool, { name: 'Tampered', stock: 2 });
+      await ctx.pool.query('UPDATE product SET stock_quantity = 9 WHERE id = $1', [product.id]);
+      res = await request(ctx.app).get('/admin/inventory/reconciliation').set(admin.auth).expect(200);
+      assert.equal(res.body.consistent, false);
+      assert.deepEqual(res.body.discrepancies, [
+        { product_id: product.id, variant_id: null, name: 'Tampered', sku: null, stock_quantity: 9, ledger_quantity: 2, difference: 7 },
+      ]);
+      await ctx.pool.query('UPDATE product SET stock_quantity = 2 WHERE id = $1', [product.id]);
+    });
+
+    it('keeps movements append-only but lets deleted products take theirs along', async () => {
+      const product = await createProduct(ctx.pool, { name: 'Permanent', stock: 1 });
+      await assert.rejects(ctx.pool.query('UPDATE inventory_movement SET quantity = 5 WHERE product_id = $1', [product.id]), /append-only/);
+      await assert.rejects(ctx.pool.query('DELETE FROM inventory_movement WHERE product_id = $1', [product.id]), /append-only/);
+
+      await request(ctx.app).delete(`/products/${product.id}`).set(admin.auth).expect(200);
+      const { rows } = await ctx.pool.query('SELECT COUNT(*)::int AS count FROM inventory_movement WHERE product_id = $1', [product.id]);
+      assert.equal(rows[0].count, 0);
+    });
+
+    it('is reserved for admins', async () => {
+      const customer = await createCustomer(ctx);
+      await request(ctx.app).get('/admin/products/1/stock-history').set(customer.auth).expect(403);
+      await request(ctx.app).get('/admin/inventory/reconciliation').set(customer.auth).expect(403);
+      await request(ctx.app).get('/admin/products/99999/stock-history').set(admin.auth).expect(404);
+    });
+  });
+});
@@ -0,0 +1,235 @@
+// test/orders.test.js
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { setupTestApp, createCustomer, createProduct, signedWebhook } = require('./helpers');
+
+describe('orders and payments', () => {
+  let ctx;
+  let customer;
+  let admin;
+
+  const addToCart = (who, productId, quantity) => {
+    return request(ctx.app).post('/cart').set(who.auth).send({ productId, quantity }).expect(201);
+  };
+
+  const checkout = async (who, body = { shippingAddress: '1 Main Street' }) => {
+    const res = await request(ctx.app).post('/orders').set(who.auth).send(body).expect(201);
+    return res.body.orderId;
+  };
+
+  const stockOf = async (productId) => {
+    const { rows } = await ctx.pool.query('SELECT stock_quantity FROM product WHERE id = $1', [productId]);
+    return rows[0].stock_quantity;
+  };
+
+  const sendWebhook = (event) => {
+    const { body, headers } = signedWebhook(event);
+    return request(ctx.app).post('/payments/webhook').set(headers).send(body);
+  };
+
+  before(async () => {
+    ctx = await setupTestApp();
+    customer = await createCustomer(ctx);
+    admin = await createCustomer(ctx, { admin: true });
+  });
+
+  after(async () => {
+    await ctx.close();
+  });
+
+  describe('checkout', () => {
+    it('creates an order from the cart, decrements stock and empties the cart', async () => {
+      const kettle = await createProduct(ctx.pool, { name: 'Kettle', price: 30, stock: 5 });
+      await addToCart(customer, kettle.id, 2);
+
+      const res = await request(ctx.app).post('/orders').set(customer.auth).send({ shippingAddress: '1 Main Street' }).expect(201);
+      assert.equal(res.body.grandTotal, '60.00');
+      assert.equal(await stockOf(kettle.id), 3);
+
+      const cart = await request(ctx.app).get('/cart').set(customer.auth).expect(200);
+      assert.deepEqual(cart.body, []);
+
+      const order = await request(ctx.app).get(`/orders/${res.body.orderId}`).set(customer.auth).expect(200);
+      assert.equal(order.body.order.status, 'Pending');
+      assert.equal(order.body.items.length, 1);
+      assert.equal(order.body.items[0].product_name, 'Kettle');
+      assert.equal(order.body.history.length, 1);
+    });
+
+    it('refuses to sell more than is in stock and leaves everything untouched', async () => {
+      const toaster = await createProduct(ctx.pool, { name: 'Toaster', price: 25, stock: 1 });
+      await addToCart(customer, toaster.id, 2);
+
+      const res = await request(ctx.app).post('/orders').set(customer.auth).send({ shippingAddress: '1 Main Street' }).expect(409);
+      assert.equal(res.body.code, 'insufficient_stock');
+      assert.equal(res.body.productId, toaster.id);
+      assert.equal(await stockOf(toaster.id), 1);
+
+      const cart = await request(ctx.app).get('/cart').set(customer.auth).expect(200);
+      assert.equal(cart.body.length, 1);
+      await request(ctx.app).delete('/cart').set(customer.auth).expect(200);
+    });
+
+    it('applies a coupon and stores the discount on the order', async () => {
+      await ctx.pool.query(
+        "INSERT INTO coupon (code, discount_type, discount_amount, valid_from, valid_to) VALUES ('FIVE', 'fixed', 5, NOW() - INTERVAL '1 day', NOW() + INTERVAL '1 day')"
+      );
+      const blender = await createProduct(ctx.pool, { name: 'Blender', price: 40 });
+      await addToCart(customer, blender.id, 1);
+
+      const orderId = await checkout(customer, { shippingAddress: '1 Main Street', couponCode: 'FIVE' });
+      const order = await request(ctx.app).get(`/orders/${orderId}`).set(customer.auth).expect(200);
+      assert.equal(order.body.order.discount_total, '5.00');
+      assert.equal(order.body.order.grand_total, '35.00');
+    });
+
+    it('rejects an unknown coupon', async () => {
+      const pan = await createProduct(ctx.pool, { name: 'Pan', price: 15 });
+      await addToCart(customer, pan.id, 1);
+      const res = await request(ctx.app)
+        .post('/orders')
+        .set(customer.auth)
+        .send({ shippingAddress: '1 Main Street', couponCode: 'NOPE' })
+        .expect(404);
+      assert.equal(res.body.code, 'coupon_not_found');
+      await request(ctx.app).delete('/cart').set(customer.auth).expect(200);
+    });
+
+    it('rejects an empty cart, with or without a coupon, before creating an order', async () => {
+      const before = await ctx.pool.query('SELECT COUNT(*)::int AS count FROM customer_order');
+      for (const body of [{ shippingAddress: '1 Main Street' }, { shippingAddress: '1 Main Street', couponCode: 'FIVE' }]) {
+        const res = await request(ctx.app).post('/orders').set(customer.auth).send(body).expect(422);
+        assert.equal(res.body.code, 'cart_empty');
+      }
+      const after = await ctx.pool.query('SELECT COUNT(*)::int AS count FROM customer_order');
+      assert.equal(after.rows[0].count, before.rows[0].count);
+    });
+
+    it('gives a coupon use back when its order is refunded', async () => {
+      await ctx.pool.query(
+        "INSERT INTO coupon (code, discount_type, discount_amount, max_redemptions_per_customer, valid_from, valid_to) VALUES ('ONCE', 'fixed', 5, 1, NOW() - INTERVAL '1 day', NOW() + INTERVAL '1 day')"
+      );
+      const mixer = await createProduct(ctx.pool, { name: 'Mixer', price: 60 });
+      await addToCart(customer, mixer.id, 1);
+      const orderId = await checkout(customer, { shippingAddress: '1 Main Street', couponCode: 'ONCE' });
+
+      await addToCart(customer, mixer.id, 1);
+      const used = await request(ctx.app).post('/orders').set(customer.auth).send({ shippingAddress: '1 Main Street', couponCode: 'ONCE' }).expect(409);
+      assert.equal(used.body.code, 'coupon_already_used');
+
+      await request(ctx.app).patch(`/orders/${orderId}/status`).set(admin.auth).send({ status: 'Paid' }).expect(200);
+      await request(ctx.app).patch(`/orders/${orderId}/status`).set(admin.auth).send({ status: 'Refunded' }).expect(200);
+      await checkout(customer, { shippingAddress: '1 Main Street', couponCode: 'ONCE' });
+    });
+
+    it('requires a shipping address', async () => {
+      const res = await request(ctx.app).post('/orders').set(customer.auth).send({}).expect(422);
+      assert.equal(res.body.errors[0].field, 'shippingAddress');
+    });
+  });
+
+  describe('order access', () => {
+    it('lists only the customer\'s own orders', async () => {
+      const other = await createCustomer(ctx);
+      const mine = await request(ctx.app).get('/orders').set(customer.auth).expect(200);
+      assert.ok(mine.body.length > 0);
+      assert.ok(mine.body.every((order) => order.customer_id === customer.id));
+
+      const theirs = await request(ctx.app).get('/orders').set(other.auth).expect(200);
+      assert.deepEqual(theirs.body, []);
+    });
+
+    it('hides other customers\' orders', async () => {
+      const other = await createCustomer(ctx);
+      const [order] = (await request(ctx.app).get('/orders').set(customer.auth).expect(200)).body;
+
+      const res = await request(ctx.app).get(`/orders/${order.id}`).set(other.auth).expect(404);
+      assert.equal(res.body.code, 'order_not_found');
+      await request(ctx.app).post(`/orders/${order.id}/pay`).set(other.auth).send({ paymentMethod: 'card' }).expect(404);
+    });
+  });
+
+  describe('status changes', () => {
+    it('are reserved for admins', async () => {
+      const [order] = (await request(ctx.app).get('/orders').set(customer.auth).expect(200)).body;
+      const res = await request(ctx.app).patch(`/orders/${order.id}/status`).set(customer.auth).send({ status: 'Cancelled' }).expect(403);
+      assert.equal(res.body.code, 'admin_required');
+    });
+
+    it('follow the order lifecycle and are recorded in the history', async () => {
+      const lamp = await createProduct(ctx.pool, { name: 'Lamp', price: 10 });
+      await addToCart(customer, lamp.id, 1);
+      const orderId = await checkout(customer);
+
+      const invalid = await request(ctx.app).patch(`/orders/${orderId}/status`).set(admin.auth).send({ status: 'Shipped' }).expect(409);
+      assert.equal(invalid.body.code, 'invalid_status_transition');
+      assert.deepEqual(invalid.body.allowedStatuses, ['Paid', 'Cancelled']);
+
+      await request(ctx.app).patch(`/orders/${orderId}/status`).set(admin.auth).send({ status: 'Cancelled', note: 'Customer asked' }).expect(200);
+      const order = await request(ctx.app).get(`/orders/${orderId}`).set(customer.auth).expect(200);
+      assert.equal(order.body.order.status, 'Cancelled');
+      assert.deepEqual(order.body.history.map((h) => h.to_status), ['Pending', 'Cancelled']);
+
+      await request(ctx.app).patch(`/orders/${orderId}/status`).set(admin.auth).send({ status: 'Unknown' }).expect(422);
+      await request(ctx.app).patch('/orders/99999/status').set(admin.auth).send({ status: 'Paid' }).expect(404);
+    });
+  });
+
+  describe('payments', () => {
+    let orderId;
+    let reference;
+
+    before(async () => {
+      const clock = await createProduct(ctx.pool, { name: 'Clock', price: 50 });
+      await addToCart(customer, clock.id, 1);
+      orderId = await checkout(customer);
+    });
+
+    it('starts a payment and keeps the order pending', async () => {
+      const res = await request(ctx.app).post(`/orders/${orderId}/pay`).set(customer.auth).send({ paymentMethod: 'card' }).expect(202);
+      assert.equal(res.body.provider, 'fake');
+      assert.equal(res.body.amount, '50.00');
+      reference = res.body.reference;
+
+      const order = await request(ctx.app).get(`/orders/${orderId}`).set(customer.auth).expect(200);
+      assert.equal(order.body.order.status, 'Pending');
+    });
+
+    it('rejects webhooks without a valid signature', async () => {
+      const unsigned = await request(ctx.app).post('/payments/webhook').send({ type: 'payment.succeeded', reference }).expect(400);
+      assert.equal(unsigned.body.code, 'invalid_webhook_signature');
+
+      const { body, headers } = signedWebhook({ type: 'payment.succeeded', reference });
+      await request(ctx.app).post('/payments/webhook').set(headers).send(body.replace(reference, 'tampered')).expect(400);
+    });
+
+    it('marks the order paid when the provider confirms, once', async () => {
+      const confirmed = await sendWebhook({ type: 'payment.succeeded', reference, amount: 50 }).expect(200);
+      assert.equal(confirmed.body.outcome, 'paid');
+
+      const replayed = await sendWebhook({ type: 'payment.succeeded', reference, amount: 50 }).expect(200);
+      assert.equal(replayed.body.outcome, 'duplicate');
+
+      const order = await request(ctx.app).get(`/orders/${orderId}`).set(customer.auth).expect(200);
+      assert.equal(order.body.order.status, 'Paid');
+    });
+
+    it('does not take a second payment for a paid order', async () => {
+      const res = await request(ctx.app).post(`/orders/${orderId}/pay`).set(customer.auth).send({ paymentMethod: 'card' }).expect(409);
+      assert.equal(res.body.code, 'invalid_status_transition');
+    });
+
+    it('refunds the payment when an admin refunds the order', async () => {
+      await request(ctx.app).patch(`/orders/${orderId}/status`).set(admin.auth).send({ status: 'Refunded' }).expect(200);
+      const { rows } = await ctx.pool.query('SELECT status, refund_reference FROM payment WHERE order_id = $1', [orderId]);
+      assert.equal(rows[0].status, 'refunded');
+      assert.ok(rows[0].refund_reference);
+    });
+
+    it('acknowledges webhooks for unknown payments', async () => {
+      const res = await sendWebhook({ type: 'payment.succeeded', reference: 'fake_unknown' }).expect(200);
+      assert.equal(res.body.outcome, 'unknown_payment');
+    });
+  });
+});
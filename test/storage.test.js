@@ -0,0 +1,207 @@
+// test/storage.test.js
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const { createApp } = require('../app');
+const { LocalStorage } = require('../lib/storage/localStorage');
+const { storeImage, releaseImages, sweepOrphanedImages } = require('../lib/images');
+const { importLegacyImages } = require('../lib/legacyImages');
+const { setupTestApp, createCustomer, createProduct, createImage } = require('./helpers');
+
+const collect = async (iterable) => {
+  const items = [];
+  for await (const item of iterable) items.push(item);
+  return items;
+};
+
+// The behaviour every driver shares
+const describeDriver = (name, createStorage, options = {}) => describe(`${name} storage driver`, options, () => {
+  let storage;
+
+  before(async () => {
+    storage = await createStorage();
+  });
+
+  it('stores, reads, lists and deletes files', async () => {
+    await storage.put('images/abc/card.webp', Buffer.from('card'), { contentType: 'image/webp' });
+    await storage.put('images/abc/zoom.webp', Buffer.from('zoom'), { contentType: 'image/webp' });
+    await storage.put('other/file.txt', Buffer.from('other'), { contentType: 'text/plain' });
+
+    assert.deepEqual(await storage.get('images/abc/card.webp'), Buffer.from('card'));
+    assert.equal(await storage.get('images/abc/missing.webp'), null);
+
+    const listed = await collect(storage.list('images/'));
+    assert.deepEqual(listed.map((file) => file.key).sort(), ['images/abc/card.webp', 'images/abc/zoom.webp']);
+    assert.equal(listed[0].size, 4);
+    assert.ok(listed[0].lastModified instanceof Date);
+
+    await storage.delete('images/abc/card.webp');
+    await storage.delete('images/abc/card.webp');
+    assert.equal(await storage.get('images/abc/card.webp'), null);
+    assert.deepEqual((await collect(storage.list('images/'))).map((file) => file.key), ['images/abc/zoom.webp']);
+  });
+
+  it('replaces a file stored under the same key', async () => {
+    await storage.put('images/def/card.webp', Buffer.from('first'));
+    await storage.put('images/def/card.webp', Buffer.from('second'));
+    assert.deepEqual(await storage.get('images/def/card.webp'), Buffer.from('second'));
+  });
+
+  it('signs download URLs', async () => {
+    const url = await storage.signedUrl('images/abc/zoom.webp', { expiresIn: 60 });
+    assert.match(url, /images\/abc\/zoom\.webp/);
+  });
+});
+
+describe('storage', () => {
+  const dirs = [];
+  const temporaryDir = () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ecommerce-test-storage-'));
+    dirs.push(dir);
+    return dir;
+  };
+
+  after(() => {
+    for (const dir of dirs) fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describeDriver('local', () => new LocalStorage({ dir: temporaryDir() }));
+
+  // Runs against an S3-compatible server such as a local MinIO when TEST_S3_ENDPOINT is set
+  describeDriver('s3', async () => {
+    const { S3Client, CreateBucketCommand } = require('@aws-sdk/client-s3');
+    const { S3Storage } = require('../lib/storage/s3Storage');
+    const config = {
+      bucket: `test-${process.pid}-${Date.now()}`,
+      endpoint: process.env.TEST_S3_ENDPOINT,
+      accessKeyId: process.env.TEST_S3_ACCESS_KEY_ID || 'minioadmin',
+      secretAccessKey: process.env.TEST_S3_SECRET_ACCESS_KEY || 'minioadmin',
+      forcePathStyle: true,
+    };
+    const client = new S3Client({
+      region: 'us-east-1',
+      endpoint: config.endpoint,
+      forcePathStyle: true,
+      credentials: { accessKeyId: config.accessKeyId, secretAccessKey: config.secretAccessKey },
+    });
+    await client.send(new CreateBucketCommand({ Bucket: config.bucket }));
+    return new S3Storage(config);
+  }, { skip: !process.env.TEST_S3_ENDPOINT && 'TEST_S3_ENDPOINT is not set' });
+
+  it('keeps local keys inside the directory and removes emptied directories', async () => {
+    const dir = temporaryDir();
+    const storage = new LocalStorage({ dir });
+    await assert.rejects(storage.put('../escape.txt', Buffer.from('x')), /Invalid storage key/);
+
+    await storage.put('images/abc/card.webp', Buffer.from('card'));
+    await storage.delete('images/abc/card.webp');
+    assert.deepEqual(fs.readdirSync(dir), []);
+  });
+
+  it('redirects downloads to signed URLs for drivers that do not serve files', async () => {
+    const signed = [];
+    const storage = {
+      signedUrl: async (key, { expiresIn }) => {
+        signed.push(key);
+        return `https://bucket.example.com/${key}?expires=${expiresIn}`;
+      },
+    };
+    const app = createApp({ pool: {}, oauth2Client: {}, storage });
+
+    const res = await request(app).get('/uploads/images/abc/card.webp').expect(302);
+    assert.equal(res.headers.location, 'https://bucket.example.com/images/abc/card.webp?expires=300');
+    assert.deepEqual(signed, ['images/abc/card.webp']);
+
+    // Only image files are signed, and a path that cannot be decoded is a client error
+    await request(app).get('/uploads/private/export.csv').expect(404);
+    await request(app).get('/uploads/images/%2e%2e/private/export.csv').expect(404);
+    const malformed = await request(app).get('/uploads/images/%E0%A4%A').expect(400);
+    assert.equal(malformed.body.code, 'invalid_path');
+    assert.deepEqual(signed, ['images/abc/card.webp']);
+  });
+
+  describe('orphaned image sweep', () => {
+    let ctx;
+
+    before(async () => {
+      ctx = await setupTestApp();
+    });
+
+    after(async () => {
+      await ctx.close();
+    });
+
+    it('deletes old image files that no image record refers to', async () => {
+      const { storage } = ctx.app.locals;
+      const image = await storeImage(ctx.pool, storage, await createImage());
+      await storage.put('images/orphan/card.webp', Buffer.from('left behind'));
+
+      // Recent files are kept since their upload may still be running
+      assert.equal(await sweepOrphanedImages(ctx.pool, storage), 0);
+
+      assert.equal(await sweepOrphanedImages(ctx.pool, storage, { graceMs: 0 }), 1);
+      assert.equal(await storage.get('images/orphan/card.webp'), null);
+      assert.ok(await storage.get(`images/${image.content_hash}/card.webp`));
+    });
+
+    it('keeps the files of an image stored again right after it was released', async () => {
+      const { storage } = ctx.app.locals;
+      const buffer = await createImage({ width: 12 });
+      const image = await storeImage(ctx.pool, storage, buffer);
+
+      // The release has deleted the old files by the time it resolves, so none land after the new ones
+      await releaseImages(ctx.pool, storage, [image.id]);
+      assert.equal(await storage.get(`images/${image.content_hash}/card.webp`), null);
+      const again = await storeImage(ctx.pool, storage, buffer);
+      assert.notEqual(again.id, image.id);
+      assert.ok(await storage.get(`images/${image.content_hash}/card.webp`));
+      assert.equal(await sweepOrphanedImages(ctx.pool, storage, { graceMs: 0 }), 0);
+    });
+  });
+
+  describe('legacy images', () => {
+    let ctx;
+
+    before(async () => {
+      ctx = await setupTestApp();
+    });
+
+    after(async () => {
+      await ctx.close();
+    });
+
+    it('imports originals into product galleries and reports missing ones', async () => {
+      const { storage } = ctx.app.locals;
+      const product = await createProduct(ctx.pool, { name: 'Old photo' });
+      const missing = await createProduct(ctx.pool, { name: 'Lost photo' });
+      await ctx.pool.query("UPDATE product SET image_path = 'uploads/old-photo' WHERE id = $1", [product.id]);
+      await ctx.pool.query("UPDATE product SET image_path = 'uploads/lost-photo' WHERE id = $1", [missing.id]);
+      await storage.put('old-photo', await createImage());
+
+      const results = await importLegacyImages(ctx.pool, storage);
+      assert.deepEqual(results.map((row) => [row.id, row.error || null]), [[product.id, null], [missing.id, 'file not found']]);
+
+      const res = await request(ctx.app).get(`/products/${product.id}`).expect(200);
+      assert.equal(res.body.image_path, null);
+      assert.equal(res.body.images.length, 1);
+      assert.equal(res.body.image.image_id, results[0].imageId);
+      assert.equal(await storage.get('old-photo'), null);
+      const { rows } = await ctx.pool.query('SELECT image_path FROM product WHERE id = $1', [missing.id]);
+      assert.equal(rows[0].image_path, 'uploads/lost-photo');
+    });
+
+    it('deletes an original through the storage driver with its product', async () => {
+      const { storage } = ctx.app.locals;
+      const admin = await createCustomer(ctx, { admin: true });
+      const product = await createProduct(ctx.pool, { name: 'Retired photo' });
+      await ctx.pool.query("UPDATE product SET image_path = 'uploads/retired-photo' WHERE id = $1", [product.id]);
+      await storage.put('retired-photo', await createImage());
+
+      await request(ctx.app).delete(`/products/${product.id}`).set(admin.auth).expect(200);
+      assert.equal(await storage.get('retired-photo'), null);
+    });
+  });
+});
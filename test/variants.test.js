@@ -0,0 +1,245 @@
+// test/variants.test.js
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const request = require('supertest');
+const { setupTestApp, createCustomer, createProduct } = require('./helpers');
+
+// Smallest valid PNG
+const PNG = Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=', 'base64');
+
+describe('product variants', () => {
+  let ctx;
+  let admin;
+  let shirt;
+  let small;
+  let large;
+
+  const addVariant = (productId, body) => request(ctx.app).post(`/products/${productId}/variants`).set(admin.auth).send(body);
+
+  const checkout = (who) => request(ctx.app).post('/orders').set(who.auth).send({ shippingAddress: '1 Main Street' });
+
+  before(async () => {
+    ctx = await setupTestApp();
+    admin = await createCustomer(ctx, { admin: true });
+    shirt = await createProduct(ctx.pool, { name: 'Shirt', price: 20, stock: 0, category: 'Clothing' });
+  });
+
+  after(async () => {
+    await ctx.close();
+  });
+
+  describe('admin', () => {
+    it('creates variants whose first one sets the option types', async () => {
+      const res = await addVariant(shirt.id, { sku: 'SHIRT-S-RED', options: { Size: 'S', Colour: 'Red' }, stock_quantity: 3 }).expect(201);
+      small = res.body;
+      assert.equal(small.name, 'S / Red');
+      assert.deepEqual(small.options, { Size: 'S', Colour: 'Red' });
+      assert.equal(small.price, '20.00');
+      assert.equal(small.price_override, null);
+      assert.equal(small.stock_quantity, 3);
+
+      large = (await addVariant(shirt.id, { sku: 'SHIRT-L-RED', options: { Colour: 'Red', Size: 'L' }, price: 24, stock_quantity: 10 }).expect(201)).body;
+      assert.equal(large.name, 'L / Red');
+      assert.equal(large.price, '24.00');
+    });
+
+    it('rejects options that differ from the product option types', async () => {
+      const res = await addVariant(shirt.id, { sku: 'SHIRT-M', options: { Size: 'M' }, stock_quantity: 1 }).expect(422);
+      assert.equal(res.body.errors[0].field, 'options');
+      assert.match(res.body.errors[0].message, /Size, Colour/);
+      await addVariant(shirt.id, { sku: 'SHIRT-X', options: {}, stock_quantity: 1 }).expect(422);
+    });
+
+    it('rejects a second variant with the same options or SKU', async () => {
+      const duplicate = await addVariant(shirt.id, { sku: 'SHIRT-S-RED-2', options: { Size: 'S', Colour: 'Red' }, stock_quantity: 1 }).expect(409);
+      assert.equal(duplicate.body.code, 'variant_exists');
+      const sku = await addVariant(shirt.id, { sku: 'SHIRT-S-RED', options: { Size: 'S', Colour: 'Blue' }, stock_quantity: 1 }).expect(409);
+      assert.equal(sku.body.code, 'already_exists');
+      await addVariant(99999, { sku: 'NOPE', options: { Size: 'S' }, stock_quantity: 1 }).expect(404);
+    });
+
+    it('replaces a variant and records the stock change', async () => {
+      const res = await request(ctx.app)
+        .put(`/products/${shirt.id}/variants/${large.id}`)
+        .set(admin.auth)
+        .send({ sku: 'SHIRT-L-RED', options: { Size: 'L', Colour: 'Red' }, price: 25, stock_quantity: 8 })
+        .expect(200);
+      assert.equal(res.body.price, '25.00');
+      assert.equal(res.body.stock_quantity, 8);
+
+      const history = await request(ctx.app).get(`/admin/products/${shirt.id}/stock-history`).set(admin.auth).expect(200);
+      const largeMovements = history.body.movements.filter((m) => m.variant_id === large.id);
+      assert.deepEqual(largeMovements.map((m) => [m.reason, m.quantity, Number(m.balance)]), [['adjustment', -2, 8], ['restock', 10, 10]]);
+      assert.equal(largeMovements[0].sku, 'SHIRT-L-RED');
+
+      await request(ctx.app)
+        .put(`/products/${shirt.id}/variants/99999`)
+        .set(admin.auth)
+        .send({ sku: 'GONE', options: { Size: 'L', Colour: 'Red' }, stock_quantity: 1 })
+        .expect(404);
+    });
+
+    it('uploads a variant image with the options as form fields', async () => {
+      const res = await request(ctx.app)
+        .post(`/products/${shirt.id}/variants`)
+        .set(admin.auth)
+        .field('sku', 'SHIRT-S-BLUE')
+        .field('options[Size]', 'S')
+        .field('options[Colour]', 'Blue')
+        .field('stock_quantity', '0')
+        .attach('image', PNG, 'blue.png')
+        .expect(201);
+      assert.deepEqual(res.body.options, { Size: 'S', Colour: 'Blue' });
+      const dir = path.join(ctx.uploadDir, 'images', res.body.image.hash);
+      assert.ok(fs.existsSync(dir));
+      await request(ctx.app).get(res.body.image.urls.thumbnail.webp).expect(200);
+
+      await request(ctx.app).delete(`/products/${shirt.id}/variants/${res.body.id}`).set(admin.auth).expect(200);
+      // The files are removed asynchronously
+      await new Promise((resolve) => setTimeout(resolve, 50));
+      assert.equal(fs.existsSync(dir), false);
+    });
+
+    it('adjusts variant stock through the stock endpoint', async () => {
+      const res = await request(ctx.app)
+        .patch(`/products/${shirt.id}/stock`)
+        .set(admin.auth)
+        .send({ variantId: small.id, quantity: 2, reason: 'restock' })
+        .expect(200);
+      assert.equal(res.body.id, shirt.id);
+      assert.equal(res.body.variant.stock_quantity, 5);
+      assert.equal(res.body.movement.variant_id, small.id);
+
+      const other = await createProduct(ctx.pool, { name: 'Other' });
+      await request(ctx.app).patch(`/products/${other.id}/stock`).set(admin.auth).send({ variantId: small.id, quantity: 1 }).expect(404);
+    });
+
+    it('drops the option types with the last variant', async () => {
+      const hat = await createProduct(ctx.pool, { name: 'Hat', stock: 0 });
+      const only = (await addVariant(hat.id, { sku: 'HAT-S', options: { Size: 'S' }, stock_quantity: 0 }).expect(201)).body;
+      await request(ctx.app).delete(`/products/${hat.id}/variants/${only.id}`).set(admin.auth).expect(200);
+      await request(ctx.app).delete(`/products/${hat.id}/variants/${only.id}`).set(admin.auth).expect(404);
+
+      const res = await addVariant(hat.id, { sku: 'HAT-RED', options: { Colour: 'Red' }, stock_quantity: 0 }).expect(201);
+      assert.deepEqual(res.body.options, { Colour: 'Red' });
+    });
+  });
+
+  it('nests variants under their product in the catalog', async () => {
+    const res = await request(ctx.app).get('/products').query({ category: 'clothing' }).expect(200);
+    const [product] = res.body.products;
+    assert.equal(product.name, 'Shirt');
+    assert.deepEqual(product.options, ['Size', 'Colour']);
+    assert.deepEqual(product.variants.map((v) => [v.sku, v.price, v.stock_quantity]), [['SHIRT-S-RED', '20.00', 5], ['SHIRT-L-RED', '25.00', 8]]);
+
+    const plain = await createProduct(ctx.pool, { name: 'Socks', category: 'Hosiery' });
+    const socks = await request(ctx.app).get('/products').query({ category: 'hosiery' }).expect(200);
+    assert.deepEqual(socks.body.products.map((p) => [p.id, p.options, p.variants]), [[plain.id, [], []]]);
+  });
+
+  describe('cart and checkout', () => {
+    let customer;
+
+    before(async () => {
+      customer = await createCustomer(ctx);
+    });
+
+    it('needs a variant of the product', async () => {
+      const res = await request(ctx.app).post('/cart').set(customer.auth).send({ productId: shirt.id, quantity: 1 }).expect(422);
+      assert.equal(res.body.errors[0].field, 'variantId');
+
+      const other = await createProduct(ctx.pool, { name: 'Unrelated' });
+      const mismatch = await request(ctx.app).post('/cart').set(customer.auth).send({ productId: other.id, variantId: small.id, quantity: 1 }).expect(404);
+      assert.equal(mismatch.body.code, 'variant_not_found');
+    });
+
+    it('keeps one cart line per variant at the variant price', async () => {
+      await request(ctx.app).post('/cart').set(customer.auth).send({ productId: shirt.id, variantId: small.id, quantity: 1 }).expect(201);
+      await request(ctx.app).post('/cart').set(customer.auth).send({ productId: shirt.id, variantId: small.id, quantity: 1 }).expect(201);
+      await request(ctx.app).post('/cart').set(customer.auth).send({ productId: shirt.id, variantId: large.id, quantity: 3 }).expect(201);
+      await request(ctx.app).put(`/cart/${shirt.id}`).query({ variantId: large.id }).set(customer.auth).send({ quantity: 1 }).expect(200);
+
+      const res = await request(ctx.app).get('/cart').set(customer.auth).expect(200);
+      const lines = res.body.sort((a, b) => a.variant_id - b.variant_id);
+      assert.deepEqual(lines.map((l) => [l.sku, l.variant_name, l.price, l.quantity]), [
+        ['SHIRT-S-RED', 'S / Red', '20.00', 2],
+        ['SHIRT-L-RED', 'L / Red', '25.00', 1],
+      ]);
+    });
+
+    it('orders variants, taking their own stock and snapshotting them', async () => {
+      const res = await checkout(customer).expect(201);
+      assert.equal(res.body.grandTotal, '65.00');
+
+      const order = await request(ctx.app).get(`/orders/${res.body.orderId}`).set(customer.auth).expect(200);
+      const items = order.body.items.sort((a, b) => a.variant_id - b.variant_id);
+      assert.deepEqual(items.map((i) => [i.variant_id, i.sku, i.variant_name, i.unit_price, i.quantity]), [
+        [small.id, 'SHIRT-S-RED', 'S / Red', '20.00', 2],
+        [large.id, 'SHIRT-L-RED', 'L / Red', '25.00', 1],
+      ]);
+
+      const { rows } = await ctx.pool.query('SELECT id, stock_quantity FROM product_variant WHERE product_id = $1 ORDER BY id', [shirt.id]);
+      assert.deepEqual(rows.map((r) => r.stock_quantity), [3, 7]);
+
+      // Cancelling gives the stock back to the variants
+      await request(ctx.app).patch(`/orders/${res.body.orderId}/status`).set(admin.auth).send({ status: 'Cancelled' }).expect(200);
+      const restocked = await ctx.pool.query('SELECT stock_quantity FROM product_variant WHERE id = ANY($1) ORDER BY id', [[small.id, large.id]]);
+      assert.deepEqual(restocked.rows.map((r) => r.stock_quantity), [5, 8]);
+
+      const reconciliation = await request(ctx.app).get('/admin/inventory/reconciliation').set(admin.auth).expect(200);
+      assert.equal(reconciliation.body.consistent, true);
+    });
+
+    it('refuses a variant that is out of stock', async () => {
+      await request(ctx.app).post('/cart').set(customer.auth).send({ productId: shirt.id, variantId: small.id, quantity: 6 }).expect(201);
+      const res = await checkout(customer).expect(409);
+      assert.equal(res.body.code, 'insufficient_stock');
+      assert.equal(res.body.variantId, small.id);
+      await request(ctx.app).delete(`/cart/${shirt.id}`).query({ variantId: small.id }).set(customer.auth).expect(200);
+    });
+
+    it('asks for a variant when a cart line predates the variants', async () => {
+      const scarf = await createProduct(ctx.pool, { name: 'Scarf' });
+      await request(ctx.app).post('/cart').set(customer.auth).send({ productId: scarf.id, quantity: 1 }).expect(201);
+      await addVariant(scarf.id, { sku: 'SCARF-WOOL', options: { Material: 'Wool' }, stock_quantity: 5 }).expect(201);
+
+      const res = await checkout(customer).expect(409);
+      assert.equal(res.body.code, 'variant_required');
+      assert.equal(res.body.productId, scarf.id);
+      await request(ctx.app).delete(`/cart/${scarf.id}`).set(customer.auth).expect(200);
+    });
+
+    it('keeps ordered variants from being deleted', async () => {
+      await request(ctx.app).delete(`/products/${shirt.id}/variants/${small.id}`).set(admin.auth).expect(409);
+    });
+  });
+
+  describe('reports', () => {
+    it('lists low stock per variant', async () => {
+      const res = await request(ctx.app).get('/admin/low-stock-alerts').set(admin.auth).query({ threshold: 5 }).expect(200);
+      const shirts = res.body.filter((row) => row.id === shirt.id);
+      assert.deepEqual(shirts.map((row) => [row.variant_id, row.sku, row.variant_name, row.stock_quantity]), [[small.id, 'SHIRT-S-RED', 'S / Red', 5]]);
+      // The product-level stock of a product with variants is not reported
+      assert.ok(!res.body.some((row) => row.id === shirt.id && row.variant_id === null));
+    });
+
+    it('reports sales per variant', async () => {
+      const buyer = await createCustomer(ctx);
+      await request(ctx.app).post('/cart').set(buyer.auth).send({ productId: shirt.id, variantId: small.id, quantity: 2 }).expect(201);
+      await request(ctx.app).post('/cart').set(buyer.auth).send({ productId: shirt.id, variantId: large.id, quantity: 1 }).expect(201);
+      const order = await checkout(buyer).expect(201);
+      await request(ctx.app).patch(`/orders/${order.body.orderId}/status`).set(admin.auth).send({ status: 'Paid' }).expect(200);
+
+      const tomorrow = new Date(Date.now() + 86400000).toISOString().slice(0, 10);
+      const res = await request(ctx.app).get('/admin/sales-report').set(admin.auth).query({ startDate: '2020-01-01', endDate: tomorrow }).expect(200);
+      const rows = res.body.filter((row) => row.id === shirt.id).sort((a, b) => a.variant_id - b.variant_id);
+      // The order cancelled during checkout does not count
+      assert.deepEqual(rows.map((row) => [row.sku, row.variant_name, Number(row.total_sold), Number(row.revenue)]), [
+        ['SHIRT-S-RED', 'S / Red', 2, 40],
+        ['SHIRT-L-RED', 'L / Red', 1, 25],
+      ]);
+    });
+  });
+});